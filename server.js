@@ -3,6 +3,17 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 
+const { ServerPlayer, sanitizePlayerName } = require('./server/player');
+const { GameRoom } = require('./server/room');
+const { WEAPONS, getWeaponDamage } = require('./server/weapons');
+const { HIT_TOLERANCE, traceShotToSphere, traceShotToCapsule, isHitZonePlausible, canShotHit, registerShotHit } = require('./server/hit-detection');
+const { LATENCY_PING_INTERVAL } = require('./server/lag-compensation');
+const WireProtocol = require('./shared/protocol');
+const { SessionManager } = require('./server/sessions');
+const { loadRotation } = require('./server/maps');
+const HitZones = require('./shared/hit-zones');
+const TargetTypes = require('./shared/target-types');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -15,363 +26,469 @@ const io = socketIo(server, {
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
-// Game state
-const gameState = {
-    players: {},
-    targets: new Map(), // Use Map for faster target lookups by ID
-    gameTime: 0,
-    nextTargetId: 1
-};
-
-// Target management
-class ServerTarget {
-    constructor(id, position, options = {}) {
-        this.id = id;
-        this.position = position;
-        this.rotation = options.rotation || { x: 0, y: Math.random() * Math.PI * 2, z: 0 };
-        this.scale = options.scale || 5;
-        this.health = options.health || 100;
-        this.maxHealth = this.health;
-        this.points = options.points || 10;
-        this.createdAt = Date.now();
-        this.isAlive = true;
-    }
+// Game constants
+const TICK_RATE = 60; // Server updates per second
+const TICK_INTERVAL = 1000 / TICK_RATE;
+const SNAPSHOT_RATE = Number(process.env.SNAPSHOT_RATE || 20); // gameUpdates sent per second
+const BINARY_PROTOCOL = process.env.BINARY_PROTOCOL !== '0'; // Set BINARY_PROTOCOL=0 to force JSON for every client
+
+// Room management
+const DEFAULT_ROOM_ID = 'main';
+const WAVES_ROOM_ID = 'waves'; // Always-open co-op wave survival room
+const ROOM_MODES = ['multiplayer', 'waves'];
+const MAX_ROOM_NAME_LENGTH = 24;
+const rooms = new Map();
+let nextRoomNumber = 1;
+
+// New rooms start on the first map of the rotation, the end-of-match votes move them along it
+const mapRotation = loadRotation();
+
+// Resumable identities for players whose connection drops
+const sessions = new SessionManager();
+
+function createRoom(name, options = {}) {
+    const id = options.id || `room-${nextRoomNumber++}-${Math.random().toString(36).slice(2, 6)}`;
+    const room = new GameRoom(io, id, name, { snapshotRate: SNAPSHOT_RATE, map: mapRotation[0], ...options });
+    rooms.set(id, room);
+    room.spawnInitialTargets();
+    console.log(`🏠 Created room "${name}" (${id}). Total rooms: ${rooms.size}`);
+    return room;
+}
 
-    takeDamage(damage) {
-        this.health = Math.max(0, this.health - damage);
-        if (this.health <= 0) {
-            this.isAlive = false;
-        }
-        return this.health <= 0; // Returns true if target is destroyed
+function closeRoomIfEmpty(room) {
+    if (!room.isPersistent && room.isEmpty()) {
+        room.close();
+        rooms.delete(room.id);
+        console.log(`🏠 Removed empty room "${room.name}" (${room.id}). Total rooms: ${rooms.size}`);
     }
+}
 
-    toNetworkData() {
-        return {
-            id: this.id,
-            position: this.position,
-            rotation: this.rotation,
-            scale: this.scale,
-            health: this.health,
-            maxHealth: this.maxHealth,
-            points: this.points,
-            isAlive: this.isAlive
-        };
-    }
+// Take a player out of their room for good and tell everyone still there
+function removePlayerFromRoom(room, playerId) {
+    room.removePlayer(playerId);
+    room.emit('playerLeft', playerId);
+    console.log(`Notified room "${room.name}" about ${playerId} leaving`);
+
+    closeRoomIfEmpty(room);
 }
 
-// Initialize some targets
-function spawnInitialTargets() {
-    console.log('🎯 Spawning initial targets on server...');
-    
-    const positions = [
-        { x: 0, y: 2, z: -15 },
-        { x: -8, y: 1.5, z: -20 },
-        { x: 8, y: 2.5, z: -18 },
-        { x: -5, y: 1, z: -25 },
-        { x: 5, y: 3, z: -22 },
-        { x: 0, y: 1.5, z: -30 },
-        { x: -12, y: 2, z: -35 },
-        { x: 12, y: 1.8, z: -32 }
-    ];
-
-    positions.forEach((pos, index) => {
-        const target = new ServerTarget(gameState.nextTargetId++, pos, {
-            health: 75 + Math.random() * 50,
-            points: 10 + Math.floor(Math.random() * 20)
-        });
-        gameState.targets.set(target.id.toString(), target);
-        console.log(`🎯 Created target ${target.id} at position (${pos.x}, ${pos.y}, ${pos.z}) with ${target.health} health`);
-    });
-    
-    console.log(`🎯 Total targets created: ${gameState.targets.size}`);
+function sanitizeRoomName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().substring(0, MAX_ROOM_NAME_LENGTH).replace(/[<>]/g, '');
 }
 
-function spawnNewTarget() {
-    const x = (Math.random() - 0.5) * 40;
-    const y = 1 + Math.random() * 4;
-    const z = -15 - Math.random() * 25;
+// The default room always exists so players can jump straight in
+createRoom('Main Arena', { id: DEFAULT_ROOM_ID, isPersistent: true });
+createRoom('Wave Survival', { id: WAVES_ROOM_ID, isPersistent: true, mode: 'waves' });
 
-    const target = new ServerTarget(gameState.nextTargetId++, { x, y, z }, {
-        health: 50 + Math.random() * 100,
-        points: 5 + Math.floor(Math.random() * 25)
+// Lobby list endpoint
+app.get('/api/rooms', (req, res) => {
+    res.json({
+        rooms: Array.from(rooms.values()).map(room => room.toLobbyData()),
+        defaultRoomId: DEFAULT_ROOM_ID
     });
+});
 
-    gameState.targets.set(target.id.toString(), target);
-    
-    console.log(`🎯 SERVER: Spawning new target ${target.id} at position (${x}, ${y}, ${z})`);
-    console.log(`🎯 SERVER: Target data to send:`, target.toNetworkData());
-    console.log(`🎯 SERVER: Total connected clients:`, io.engine.clientsCount);
-    console.log(`🎯 SERVER: Total targets after spawn:`, gameState.targets.size);
-    
-    // Broadcast new target to all clients
-    io.emit('targetSpawned', target.toNetworkData());
-    
-    console.log(`🎯 SERVER: targetSpawned event emitted to all clients`);
-}
+// Socket connection handling
+io.on('connection', (socket) => {
+    console.log(`Player ${socket.id} connected`);
 
-// Game constants
-const TICK_RATE = 60; // Server updates per second
-const TICK_INTERVAL = 1000 / TICK_RATE;
+    // Use the binary encoding for playerInput/gameUpdate if the client speaks our schema version, JSON otherwise
+    const offeredVersion = socket.handshake.auth ? socket.handshake.auth.protocolVersion : undefined;
+    socket.data.binaryProtocol = BINARY_PROTOCOL && offeredVersion === WireProtocol.VERSION;
+    socket.emit('protocol', { binary: socket.data.binaryProtocol, version: WireProtocol.VERSION });
+    if (offeredVersion !== undefined && !socket.data.binaryProtocol) {
+        console.log(`📦 Player ${socket.id.slice(-4)} offered protocol v${offeredVersion}, falling back to JSON`);
+    }
+
+    // Pick up the client's previous session if it still exists, otherwise give it a new identity
+    const auth = socket.handshake.auth || {};
+    let session = sessions.get(auth.sessionToken);
+    const resumed = session !== null;
+    if (session) {
+        const previousSocket = session.socketId ? io.sockets.sockets.get(session.socketId) : null;
+        sessions.attach(session, socket.id);
+
+        // The old connection may not have timed out yet - this one replaces it
+        if (previousSocket) {
+            previousSocket.disconnect(true);
+        }
 
-// Player management
-class ServerPlayer {
-    constructor(id) {
-        this.id = id;
-        this.name = 'Guest'; // Default name, will be updated by client
-        this.position = { x: 0, y: 1.6, z: 5 }; // Match client starting position
-        this.rotation = { x: 0, y: 0 };
-        this.velocity = { x: 0, y: 0, z: 0 };
-        this.health = 100;
-        this.isMoving = false;
-        this.isCrouching = false;
-        this.isRunning = false;
-        this.lastUpdate = Date.now();
+        // Messages addressed to the player ID reach whichever socket currently owns it
+        socket.join(session.playerId);
+    } else {
+        session = sessions.create(socket.id);
     }
+    socket.data.session = session;
+    const playerId = session.playerId;
+
+    // Room the socket is currently playing in, if any
+    const getRoom = () => socket.data.roomId ? rooms.get(socket.data.roomId) : null;
+    const getPlayer = () => {
+        const room = getRoom();
+        return room ? room.getPlayer(playerId) : null;
+    };
 
-    update(inputData) {
-        if (inputData.position) {
-            // Simple position validation - ensure player isn't moving too fast
-            const maxSpeed = inputData.isRunning ? 20 : 12;
-            const deltaTime = (Date.now() - this.lastUpdate) / 1000;
-            this.lastUpdate = Date.now();
-
-            if (deltaTime > 0) {
-                const deltaX = inputData.position.x - this.position.x;
-                const deltaZ = inputData.position.z - this.position.z;
-                const distance = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
-                const speed = distance / deltaTime;
-
-                // Allow the movement if it's reasonable
-                if (speed <= maxSpeed * 1.5) { // Allow some tolerance
-                    this.position = inputData.position;
-                    this.velocity = inputData.velocity || this.velocity;
-                }
-            }
+    function joinRoom(room, playerName) {
+        if (room.isFull()) {
+            socket.emit('roomError', { roomId: room.id, message: `Room "${room.name}" is full` });
+            return;
         }
 
-        if (inputData.rotation) {
-            this.rotation = inputData.rotation;
+        // Only one room at a time
+        leaveCurrentRoom();
+
+        // Create new player
+        const player = new ServerPlayer(playerId);
+        player.position = { ...room.getSpawnPoint(playerId) }; // Away from the others, the client starts out here (gameState)
+        player.binaryProtocol = socket.data.binaryProtocol;
+        if (sanitizePlayerName(playerName)) {
+            player.name = sanitizePlayerName(playerName);
         }
+        room.addPlayer(player);
 
-        // Update player name if provided
-        if (inputData.name && inputData.name !== this.name) {
-            console.log(`Player ${this.id.slice(-4)} name updated: "${this.name}" -> "${inputData.name}"`);
-            this.name = inputData.name;
+        socket.join(room.id);
+        socket.data.roomId = room.id;
+
+        // CRITICAL: Ensure we always have targets when client joins
+        if (room.gameState.targets.size === 0) {
+            console.log(`⚠️ WARNING: No targets to send to client in room "${room.name}"! Respawning initial targets...`);
+            room.spawnInitialTargets();
         }
 
-        this.isMoving = inputData.isMoving || false;
-        this.isCrouching = inputData.isCrouching || false;
-        this.isRunning = inputData.isRunning || false;
+        // Send initial game state to new player
+        const gameStateData = room.toGameStateData(playerId);
+        console.log(`Sending initial game state for room "${room.name}" to player ${playerId}:`);
+        console.log(`- Players: ${gameStateData.players.length}`);
+        console.log(`- Targets: ${gameStateData.targets.length}`);
+
+        // Debug: Log each target being sent
+        console.log(`🎯 DETAILED TARGET DATA for new player ${playerId}:`);
+        gameStateData.targets.forEach((target) => {
+            console.log(`  Target ${target.id}: pos(${target.position.x.toFixed(1)}, ${target.position.y.toFixed(1)}, ${target.position.z.toFixed(1)}), health: ${target.health.toFixed(1)}/${target.maxHealth.toFixed(1)}, alive: ${target.isAlive}`);
+        });
+
+        socket.emit('gameState', gameStateData);
+
+        // Notify other players in the room about new player
+        const newPlayerData = player.toNetworkData();
+        console.log(`📡 Broadcasting playerJoined event for ${playerId} to room "${room.name}"`);
+        console.log(`📡 Player data being sent:`, newPlayerData);
+        socket.to(room.id).emit('playerJoined', newPlayerData);
     }
 
-    toNetworkData() {
-        return {
-            id: this.id,
-            name: this.name,
-            position: this.position,
-            rotation: this.rotation,
-            velocity: this.velocity,
-            health: this.health,
-            isMoving: this.isMoving,
-            isCrouching: this.isCrouching,
-            isRunning: this.isRunning
-        };
+    function leaveCurrentRoom() {
+        const room = getRoom();
+        if (!room) return null;
+
+        socket.leave(room.id);
+        socket.data.roomId = null;
+        removePlayerFromRoom(room, playerId);
+        return room;
     }
-}
 
-// Socket connection handling
-io.on('connection', (socket) => {
-    console.log(`Player ${socket.id} connected`);
+    // Put a reconnecting player back into the room that kept their slot
+    function resumeRoom(room, player) {
+        player.binaryProtocol = socket.data.binaryProtocol;
+        player.lastAckedSnapshot = 0; // The new connection has no snapshots to build deltas on
+        player.unseenCorrections = []; // Nor any inputs in flight
+
+        socket.join(room.id);
+        socket.data.roomId = room.id;
 
-    // Create new player
-    const player = new ServerPlayer(socket.id);
-    gameState.players[socket.id] = player;
-
-    // Send initial game state to new player
-    const targetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-    console.log(`Sending initial game state to player ${socket.id}:`);
-    console.log(`- Players: ${Object.keys(gameState.players).length}`);
-    console.log(`- Targets: ${targetsArray.length}`);
-    
-    // CRITICAL: Ensure we always have targets when client connects
-    if (targetsArray.length === 0) {
-        console.log('⚠️ WARNING: No targets to send to client! This should not happen.');
-        console.log('⚠️ Server gameState.targets.size:', gameState.targets.size);
-        console.log('⚠️ Attempting to respawn initial targets...');
-        spawnInitialTargets();
-        // Recreate the targets array after spawning
-        const newTargetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-        console.log('⚠️ After respawn, targets count:', newTargetsArray.length);
+        const gameStateData = room.toGameStateData(playerId);
+        gameStateData.resumed = true;
+        socket.emit('gameState', gameStateData);
+        console.log(`🔁 Player ${playerId} resumed their session in room "${room.name}" (score ${player.score})`);
     }
-    
-    // Use the most up-to-date targets array
-    const finalTargetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-    
-    // Debug: Log each target being sent
-    console.log(`🎯 DETAILED TARGET DATA for new player ${socket.id}:`);
-    finalTargetsArray.forEach((target, index) => {
-        console.log(`  Target ${target.id}: pos(${target.position.x.toFixed(1)}, ${target.position.y.toFixed(1)}, ${target.position.z.toFixed(1)}), health: ${target.health.toFixed(1)}/${target.maxHealth.toFixed(1)}, alive: ${target.isAlive}`);
+
+    const resumedRoom = resumed ? Array.from(rooms.values()).find(room => room.getPlayer(playerId)) : null;
+    socket.emit('session', {
+        token: session.token,
+        playerId: playerId,
+        resumed: resumed,
+        roomId: resumedRoom ? resumedRoom.id : null // When set, a gameState follows and the client shouldn't ask for a room
     });
-    console.log(`🎯 Server gameState.targets.size: ${gameState.targets.size}`);
-    console.log(`🎯 Server target IDs:`, Array.from(gameState.targets.keys()));
-    
-    socket.emit('gameState', {
-        players: Object.values(gameState.players).map(p => p.toNetworkData()),
-        targets: finalTargetsArray,
-        gameTime: gameState.gameTime,
-        yourId: socket.id
+    if (resumedRoom) {
+        resumeRoom(resumedRoom, resumedRoom.getPlayer(playerId));
+    }
+
+    // Handle room requests
+    socket.on('joinRoom', (data) => {
+        if (!data || typeof data !== 'object') data = {}; // null or a bare value: defaults all round
+        const roomId = data.roomId || DEFAULT_ROOM_ID;
+        const room = rooms.get(roomId);
+
+        if (!room) {
+            console.log(`🚫 Player ${playerId} tried to join missing room ${roomId}`);
+            socket.emit('roomError', { roomId: roomId, message: 'Room not found' });
+            return;
+        }
+
+        joinRoom(room, data.name);
     });
 
-    // Notify other players about new player
-    const newPlayerData = player.toNetworkData();
-    console.log(`📡 Broadcasting playerJoined event for ${socket.id} to other players`);
-    console.log(`📡 Player data being sent:`, newPlayerData);
-    socket.broadcast.emit('playerJoined', newPlayerData);
-    console.log(`📡 playerJoined broadcast sent for ${socket.id}`);
+    socket.on('createRoom', (data) => {
+        if (!data || typeof data !== 'object') data = {};
+        const roomName = sanitizeRoomName(data.roomName) || `Room ${nextRoomNumber}`;
+        const room = createRoom(roomName, { mode: ROOM_MODES.includes(data.mode) ? data.mode : undefined });
+        joinRoom(room, data.name);
+    });
+
+    socket.on('leaveRoom', () => {
+        const room = leaveCurrentRoom();
+        if (room) {
+            socket.emit('roomLeft', { roomId: room.id });
+        }
+    });
 
     // Handle player input
-    socket.on('playerInput', (inputData) => {
-        const player = gameState.players[socket.id];
+    socket.on('playerInput', (data) => {
+        const room = getRoom();
+        const player = getPlayer();
         if (player) {
+            let inputData = data;
+            if (WireProtocol.isBinary(data)) {
+                try {
+                    inputData = WireProtocol.decodePlayerInput(data);
+                } catch (error) {
+                    console.log(`🚫 Player ${playerId.slice(-4)} sent an unreadable input: ${error.message}`);
+                    return;
+                }
+            } else if (!inputData) {
+                return;
+            }
+
             // Log first few inputs and occasionally after that
             if (!player.inputCount) player.inputCount = 0;
             player.inputCount++;
-            
+
             if (player.inputCount <= 5 || player.inputCount % 120 === 0) { // First 5 and every 2 seconds
-                console.log(`📥 Player ${socket.id.slice(-4)} input #${player.inputCount}:`, {
+                console.log(`📥 Player ${playerId.slice(-4)} input #${player.inputCount}:`, {
                     pos: inputData.position ? `(${inputData.position.x.toFixed(1)},${inputData.position.y.toFixed(1)},${inputData.position.z.toFixed(1)})` : 'none',
                     rot: inputData.rotation ? `(${inputData.rotation.x.toFixed(2)},${inputData.rotation.y.toFixed(2)})` : 'none',
                     moving: inputData.isMoving
                 });
             }
-            
-            player.update(inputData);
+
+            player.update(inputData, room ? room.terrain : null);
         }
     });
 
     // Handle shooting
     socket.on('playerShoot', (shootData) => {
-        console.log(`Player ${socket.id} shot at:`, shootData.position);
-        
-        // Broadcast shooting event to all other players
-        socket.broadcast.emit('playerShot', {
-            playerId: socket.id,
-            position: shootData.position,
-            direction: shootData.direction,
+        const room = getRoom();
+        const player = getPlayer();
+        if (!room || !player || !shootData) return;
+
+        const shot = player.recordShot(shootData);
+        if (!shot) return;
+
+        console.log(`Player ${playerId} shot #${shot.id} at:`, shot.origin);
+
+        // Broadcast shooting event to all other players in the room
+        socket.to(room.id).emit('playerShot', {
+            playerId: playerId,
+            position: shot.origin,
+            direction: shot.direction,
             timestamp: Date.now()
         });
     });
 
     // Handle target hit
     socket.on('targetHit', (hitData) => {
+        const room = getRoom();
+        const player = getPlayer();
+        if (!room || !player || !hitData || hitData.targetId === undefined || hitData.targetId === null) return;
+
+        const gameState = room.gameState;
+
         // Convert targetId to string for consistent lookup
         const targetId = hitData.targetId.toString();
         const target = gameState.targets.get(targetId);
-        
+
+        if (room.match.isEnded()) {
+            console.log(`🚫 Rejected hit on target ${targetId} from player ${playerId}: round is over`);
+            socket.emit('hitRejected', {
+                targetId: targetId,
+                target: target && target.isAlive ? target.toNetworkData() : null,
+                reason: 'round is over'
+            });
+            return;
+        }
+
         if (!target || !target.isAlive) {
             console.log(`Target ${targetId} not found or already dead. Available targets:`, Array.from(gameState.targets.keys()));
             return;
         }
 
-        const damage = hitData.damage || 25;
-        const wasDestroyed = target.takeDamage(damage);
-
-        console.log(`Player ${socket.id} hit target ${targetId} for ${damage} damage. Health: ${target.health}/${target.maxHealth}`);
-
-        if (wasDestroyed) {
-            // Target destroyed
-            console.log(`Target ${targetId} destroyed by player ${socket.id}`);
-            
-            // Broadcast target destruction to all clients
-            io.emit('targetDestroyed', {
-                targetId: targetId, // Already a string
-                playerId: socket.id,
-                points: target.points,
-                timestamp: Date.now()
-            });
+        // The hit must belong to a shot we saw, and that shot's bullet must actually fly through the target
+        const shot = player.recentShots.get(hitData.shotId);
+        let rejectReason = null;
+        let impact = null;
+        let zone = HitZones.DEFAULT_ZONE;
+        if (!shot) {
+            rejectReason = `unknown shot ${hitData.shotId}`;
+        } else if (!canShotHit(shot, `target:${targetId}`)) {
+            rejectReason = `shot ${shot.id} cannot hit anything more`;
+        } else {
+            // Check against where the target was when the shooter saw the bullet arrive
+            const weapon = WEAPONS[shot.weaponId];
+            const viewTime = shot.time - player.getRewindMs();
+            const hitRadius = target.getHitRadius() + HIT_TOLERANCE;
+            impact = traceShotToSphere(shot, weapon, time => target.getPositionAt(viewTime + time * 1000), hitRadius, room.layout.world);
+            if (impact === null) {
+                rejectReason = `shot ${shot.id} never reaches the target within ${shot.weaponId} range`;
+            } else if (HitZones.isZone(hitData.zone) && hitData.zone !== HitZones.DEFAULT_ZONE) {
+                // A zone that doesn't check out still counts as a hit, just not a bonus one
+                const targetPosition = target.getPositionAt(viewTime + impact.time * 1000);
+                if (isHitZonePlausible(shot, impact, hitData.zonePoint, hitData.zone, targetPosition, target.scale, hitRadius)) {
+                    zone = hitData.zone;
+                } else {
+                    console.log(`🚫 Counting ${hitData.zone} hit on target ${targetId} from player ${playerId} as a ${zone} hit: shot ${shot.id} doesn't pass through it`);
+                }
+            }
+        }
 
-            // Remove target from server state
-            gameState.targets.delete(targetId);
+        if (rejectReason) {
+            console.log(`🚫 Rejected hit on target ${targetId} from player ${playerId}: ${rejectReason}`);
 
-            // Spawn a new target after a delay
-            setTimeout(() => {
-                spawnNewTarget();
-            }, 2000 + Math.random() * 3000);
+            // Let the shooter undo its locally predicted damage
+            socket.emit('hitRejected', {
+                targetId: targetId,
+                target: target.toNetworkData(),
+                reason: rejectReason
+            });
+            return;
+        }
+
+        // Zone multiplier first, then the target type's armor
+        const weaponDamage = getWeaponDamage(shot.weaponId, impact.distance, registerShotHit(shot, `target:${targetId}`));
+        room.damageTarget(target, player, TargetTypes.getDamage(weaponDamage, target.type, zone), zone, hitData.hitPoint);
+    });
 
+    // Handle a bullet hitting another player
+    socket.on('playerHit', (hitData) => {
+        const room = getRoom();
+        const player = getPlayer();
+        if (!room || !player || !hitData || typeof hitData.targetPlayerId !== 'string') return;
+
+        const victim = room.getPlayer(hitData.targetPlayerId);
+
+        // Same rules as target hits: a recorded shot whose bullet flies through the victim
+        const shot = player.recentShots.get(hitData.shotId);
+        let rejectReason = null;
+        let impact = null;
+        if (room.match.isEnded()) {
+            rejectReason = 'round is over';
+        } else if (!room.match.allowsPlayerDamage) {
+            rejectReason = 'friendly fire is off in this room';
+        } else if (!victim || !victim.isAlive) {
+            rejectReason = `player ${hitData.targetPlayerId} is not alive here`;
+        } else if (victim.id === player.id) {
+            rejectReason = 'players cannot shoot themselves';
+        } else if (!player.isAlive) {
+            rejectReason = 'shooter is dead';
+        } else if (!shot) {
+            rejectReason = `unknown shot ${hitData.shotId}`;
+        } else if (!canShotHit(shot, `player:${victim.id}`)) {
+            rejectReason = `shot ${shot.id} cannot hit anything more`;
         } else {
-            // Target hit but not destroyed
-            // Broadcast hit event to all clients for visual feedback
-            io.emit('targetHit', {
-                targetId: targetId, // Already a string
-                playerId: socket.id,
-                damage: damage,
-                health: target.health,
-                maxHealth: target.maxHealth,
-                hitPoint: hitData.hitPoint,
-                timestamp: Date.now()
-            });
+            // Rewind the victim to what the shooter was looking at while the bullet flew
+            const viewTime = shot.time - player.getRewindMs();
+            impact = traceShotToCapsule(shot, WEAPONS[shot.weaponId], time => victim.getHitCapsule(viewTime + time * 1000), HIT_TOLERANCE, room.layout.world);
+            if (impact === null) {
+                rejectReason = `shot ${shot.id} never reaches player within ${shot.weaponId} range`;
+            }
         }
+
+        if (rejectReason) {
+            console.log(`🚫 Rejected hit on player ${hitData.targetPlayerId} from player ${playerId}: ${rejectReason}`);
+            return;
+        }
+
+        const damage = getWeaponDamage(shot.weaponId, impact.distance, registerShotHit(shot, `player:${victim.id}`));
+        console.log(`Player ${playerId} hit player ${victim.id} for ${damage} damage (rewound ${player.getRewindMs().toFixed(0)}ms). Health: ${Math.max(0, victim.health - damage)}/${victim.maxHealth}`);
+
+        room.damagePlayer(victim, player, damage);
+    });
+
+    // Vote for the next map while the round is over
+    socket.on('mapVote', (data) => {
+        const room = getRoom();
+        const player = getPlayer();
+        if (!room || !player || !data || typeof data.mapId !== 'string') return;
+
+        if (!room.match.castMapVote(player, data.mapId)) {
+            console.log(`🚫 Ignored map vote for "${data.mapId}" from player ${playerId.slice(-4)} in room "${room.name}"`);
+        }
+    });
+
+    // Round trip measurement for lag compensation - we timestamp the ping, the client just echoes it
+    socket.on('latencyPong', (sentAt) => {
+        const player = getPlayer();
+        if (!player || !Number.isFinite(sentAt)) return;
+
+        const rtt = Date.now() - sentAt;
+        if (rtt < 0 || rtt > 5000) return; // Not one of ours
+        player.updateRtt(rtt);
     });
 
     // Handle player disconnection
     socket.on('disconnect', (reason) => {
-        console.log(`Player ${socket.id} disconnected: ${reason}`);
-        
-        // Remove player from game state
-        if (gameState.players[socket.id]) {
-            delete gameState.players[socket.id];
-            console.log(`Removed player ${socket.id} from game state`);
+        console.log(`Player ${playerId} disconnected: ${reason}`);
+
+        // A newer connection already took over this session
+        if (session.socketId !== socket.id) return;
+
+        const room = getRoom();
+        if (!room || reason === 'client namespace disconnect') {
+            // Left on purpose (or never joined) - nothing to come back to
+            leaveCurrentRoom();
+            sessions.end(session);
+        } else {
+            // Keep the player in their room for a while in case they reconnect
+            console.log(`⏳ Holding ${playerId}'s slot in room "${room.name}" for ${sessions.gracePeriod / 1000}s`);
+            sessions.suspend(session, () => {
+                if (rooms.get(room.id) === room && room.getPlayer(playerId)) {
+                    console.log(`⌛ Session for ${playerId} expired`);
+                    removePlayerFromRoom(room, playerId);
+                }
+            });
         }
-        
-        // Notify all other connected players about the disconnect
-        socket.broadcast.emit('playerLeft', socket.id);
-        console.log(`Notified other players about ${socket.id} leaving`);
-        
-        console.log(`Remaining players: ${Object.keys(gameState.players).length}`);
+
+        console.log(`Remaining rooms: ${rooms.size}`);
     });
 
     // Handle debug info from clients
     socket.on('debugInfo', (debugData) => {
-        console.log(`🔧 DEBUG from player ${socket.id}: ${debugData.message}`);
+        console.log(`🔧 DEBUG from player ${playerId}: ${debugData.message}`);
     });
-    
+
     // Handle manual target spawn requests for debugging
     socket.on('debugSpawnTarget', (data) => {
-        console.log(`🔧 DEBUG: Manual target spawn requested by player ${socket.id}`);
-        spawnNewTarget();
-        console.log(`🔧 DEBUG: Manual target spawned. Total targets: ${gameState.targets.size}`);
+        const room = getRoom();
+        if (!room) return;
+
+        console.log(`🔧 DEBUG: Manual target spawn requested by player ${playerId}`);
+        room.spawnNewTarget();
+        console.log(`🔧 DEBUG: Manual target spawned. Total targets: ${room.gameState.targets.size}`);
     });
 });
 
 // Periodic check to ensure targets always exist
 setInterval(() => {
-    if (gameState.targets.size === 0) {
-        console.log('⚠️ Server has no targets! Respawning initial targets...');
-        spawnInitialTargets();
-    }
+    rooms.forEach(room => room.ensureTargets());
 }, 30000); // Check every 30 seconds
 
-// Game loop - send updates to all clients
-let gameUpdateCount = 0;
+// Measure every client's round trip
 setInterval(() => {
-    gameState.gameTime += TICK_INTERVAL;
-    gameUpdateCount++;
-    
-    // Send game state to all connected clients
-    const networkData = {
-        players: Object.values(gameState.players).map(p => p.toNetworkData()),
-        gameTime: gameState.gameTime
-    };
-    
-    // Log gameUpdate events occasionally (every 60 ticks = 1 second)
-    if (gameUpdateCount % 60 === 0 || gameUpdateCount <= 5) {
-        console.log(`🔄 gameUpdate #${gameUpdateCount}: ${networkData.players.length} players`);
-        if (networkData.players.length > 1) {
-            console.log('🔄 Players in update:', networkData.players.map(p => `${p.id.slice(-4)} at (${p.position.x.toFixed(1)},${p.position.y.toFixed(1)},${p.position.z.toFixed(1)})`));
-        }
-    }
-    
-    io.emit('gameUpdate', networkData);
+    io.emit('latencyPing', Date.now());
+}, LATENCY_PING_INTERVAL);
+
+// Game loop - send updates to every room
+setInterval(() => {
+    rooms.forEach(room => room.tick(TICK_INTERVAL));
 }, TICK_INTERVAL);
 
 // Start server
@@ -379,10 +496,7 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Game server started - visit http://localhost:${PORT} to play`);
-    
-    // Initialize targets after server starts
-    spawnInitialTargets();
-    console.log(`Spawned ${gameState.targets.size} initial targets`);
+    console.log(`Open rooms: ${rooms.size}`);
 });
 
 // Graceful shutdown
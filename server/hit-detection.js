@@ -0,0 +1,95 @@
+const Ballistics = require('../shared/ballistics');
+const HitZones = require('../shared/hit-zones');
+
+// Geometry helpers and tuning values for server-side hit validation
+
+const TARGET_HIT_RADIUS_PER_SCALE = 0.6; // Scale 5 cats get the same 3 unit hit radius the client uses
+const HIT_TOLERANCE = 0.5; // Extra radius to cover the client-side bobbing animation
+const MAX_SHOT_ORIGIN_DISTANCE = 4; // Muzzle must be close to the shooter's last known position
+const FIRE_RATE_TOLERANCE = 0.5; // Allow shots to arrive bunched up by network jitter
+const ZONE_PATH_TOLERANCE = 0.35; // How far a reported hit zone point may be off the server's bullet path (drop)
+const ZONE_TOLERANCE = 0.3; // Cats bob up to 0.3 units on the client (src/targets.js), not on the server
+const SHOT_HISTORY_MS = 5000; // Bullets fly for up to Ballistics.MAX_FLIGHT_TIME (3 seconds), keep shots a bit longer
+
+// Player hitbox relative to the reported (eye) position, matching the RemotePlayer mesh:
+// a 1.4 tall body centered on the position with the head on top
+const PLAYER_HITBOX = {
+    radius: 0.35,
+    bottom: -0.7,
+    top: 1.2
+};
+
+function isValidVector(vector) {
+    return !!vector &&
+        Number.isFinite(vector.x) &&
+        Number.isFinite(vector.y) &&
+        Number.isFinite(vector.z);
+}
+
+// Fly the shot's bullet (shared/ballistics.js) and return where it first comes within radius of a sphere, as
+// { distance, time, point }, or null if it never does. getCenter(time) is the sphere's center `time` seconds
+// after the shot, so moving targets are checked where they were when the bullet got there. world is the room's
+// Ballistics world (GameMap.createLayout()), whose obstacles stop the bullet.
+function traceShotToSphere(shot, weapon, getCenter, radius, world) {
+    return Ballistics.trace(shot.origin, shot.direction, weapon, segment => {
+        return Ballistics.sweepSphere(segment, getCenter(segment.startTime), radius);
+    }, world);
+}
+
+// Same as traceShotToSphere for a capsule; getCapsule(time) returns { start, end, radius }
+function traceShotToCapsule(shot, weapon, getCapsule, extraRadius, world) {
+    return Ballistics.trace(shot.origin, shot.direction, weapon, segment => {
+        const capsule = getCapsule(segment.startTime);
+        return Ballistics.sweepCapsule(segment, capsule.start, capsule.end, capsule.radius + extraRadius);
+    }, world);
+}
+
+// Could a bullet that reached a target at `impact` (from traceShotToSphere) have gone on to hit the given zone at
+// zonePoint? The point must lie on the bullet's path through the target's hit sphere, and the path itself must
+// pass through the zone at the rewound target position for some facing of the cat - the server doesn't follow
+// the cats' idle spin. Only the distance along the path is taken from the client.
+function isHitZonePlausible(shot, impact, zonePoint, zone, targetPosition, scale, hitRadius) {
+    if (!HitZones.isZone(zone) || !isValidVector(zonePoint)) return false;
+
+    const offsetX = zonePoint.x - impact.point.x;
+    const offsetY = zonePoint.y - impact.point.y;
+    const offsetZ = zonePoint.z - impact.point.z;
+    const along = offsetX * shot.direction.x + offsetY * shot.direction.y + offsetZ * shot.direction.z;
+    if (along < -HIT_TOLERANCE || along > hitRadius * 2 + HIT_TOLERANCE) return false;
+
+    const offPathSquared = offsetX * offsetX + offsetY * offsetY + offsetZ * offsetZ - along * along;
+    if (offPathSquared > ZONE_PATH_TOLERANCE * ZONE_PATH_TOLERANCE) return false;
+
+    const pathPoint = {
+        x: impact.point.x + shot.direction.x * along,
+        y: impact.point.y + shot.direction.y * along,
+        z: impact.point.z + shot.direction.z * along
+    };
+    return HitZones.getDistanceToZoneRing(pathPoint, targetPosition, scale, zone) <= ZONE_TOLERANCE;
+}
+
+// A shot can hit one thing, plus one more for every penetration its weapon allows, but never the same thing twice
+function canShotHit(shot, entityKey) {
+    return shot.hits.length < shot.maxHits && !shot.hits.includes(entityKey);
+}
+
+// Record a hit and return how many things the bullet had already passed through
+function registerShotHit(shot, entityKey) {
+    shot.hits.push(entityKey);
+    return shot.hits.length - 1;
+}
+
+module.exports = {
+    TARGET_HIT_RADIUS_PER_SCALE,
+    HIT_TOLERANCE,
+    MAX_SHOT_ORIGIN_DISTANCE,
+    FIRE_RATE_TOLERANCE,
+    SHOT_HISTORY_MS,
+    PLAYER_HITBOX,
+    isValidVector,
+    traceShotToSphere,
+    traceShotToCapsule,
+    isHitZonePlausible,
+    canShotHit,
+    registerShotHit
+};
@@ -0,0 +1,71 @@
+// Position history used to validate hits against what the shooter actually saw.
+// A client sees other players INTERPOLATION_DELAY in the past (see RemotePlayer in src/network.js),
+// and its hit report reaches us half a round trip after that view was sent to it, so hits are
+// checked against where things were RTT + INTERPOLATION_DELAY ago.
+
+const INTERPOLATION_DELAY = 100; // Must match the client's RemotePlayer interpolation delay
+const MAX_REWIND_MS = Number(process.env.MAX_REWIND_MS || 300); // Cap so high (or faked) pings can't shoot into the distant past
+const POSITION_HISTORY_MS = 1000; // History kept per player/target, comfortably longer than the max rewind
+const LATENCY_PING_INTERVAL = 2000; // How often the server measures each client's round trip
+
+class PositionHistory {
+    constructor(duration = POSITION_HISTORY_MS) {
+        this.duration = duration;
+        this.samples = []; // { time, position, ...extra } oldest first
+    }
+
+    record(time, position, extra = {}) {
+        this.samples.push({
+            time: time,
+            position: { x: position.x, y: position.y, z: position.z },
+            ...extra
+        });
+
+        while (this.samples.length > 2 && time - this.samples[0].time > this.duration) {
+            this.samples.shift();
+        }
+    }
+
+    // State at the given time, interpolated between the samples around it.
+    // Times outside the recorded window clamp to the oldest/newest sample.
+    sample(time) {
+        const samples = this.samples;
+        if (samples.length === 0) return null;
+
+        if (time <= samples[0].time) return samples[0];
+
+        const latest = samples[samples.length - 1];
+        if (time >= latest.time) return latest;
+
+        let index = samples.length - 1;
+        while (index > 0 && samples[index - 1].time > time) {
+            index--;
+        }
+
+        const from = samples[index - 1];
+        const to = samples[index];
+        const alpha = (time - from.time) / (to.time - from.time);
+
+        return {
+            ...from,
+            time: time,
+            position: {
+                x: from.position.x + (to.position.x - from.position.x) * alpha,
+                y: from.position.y + (to.position.y - from.position.y) * alpha,
+                z: from.position.z + (to.position.z - from.position.z) * alpha
+            }
+        };
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+module.exports = {
+    INTERPOLATION_DELAY,
+    MAX_REWIND_MS,
+    POSITION_HISTORY_MS,
+    LATENCY_PING_INTERVAL,
+    PositionHistory
+};
@@ -0,0 +1,57 @@
+const { loadMap, getMapCandidates } = require('./maps');
+
+// End-of-match vote on the next map. Players get a few candidates from the rotation (server/maps.js) and
+// one vote each, which they can change until the break is over. Most votes wins; a tie, or nobody voting,
+// goes to the earliest candidate, which is the next map in the rotation.
+class MapVote {
+    constructor(currentMapId) {
+        this.candidates = getMapCandidates(currentMapId).map(id => {
+            const map = loadMap(id);
+            return { id: map.id, name: map.name };
+        });
+        this.votes = new Map(); // Player ID -> map ID
+    }
+
+    // Returns false if mapId isn't one of the candidates
+    cast(playerId, mapId) {
+        if (!this.candidates.some(candidate => candidate.id === mapId)) return false;
+
+        this.votes.set(playerId, mapId);
+        return true;
+    }
+
+    // A player who left doesn't get a say
+    withdraw(playerId) {
+        return this.votes.delete(playerId);
+    }
+
+    getVoteCount(mapId) {
+        let count = 0;
+        this.votes.forEach(vote => {
+            if (vote === mapId) count++;
+        });
+        return count;
+    }
+
+    getWinner() {
+        let winner = this.candidates[0];
+        this.candidates.forEach(candidate => {
+            if (this.getVoteCount(candidate.id) > this.getVoteCount(winner.id)) {
+                winner = candidate;
+            }
+        });
+        return winner.id;
+    }
+
+    toNetworkData() {
+        return {
+            candidates: this.candidates.map(candidate => ({
+                id: candidate.id,
+                name: candidate.name,
+                votes: this.getVoteCount(candidate.id)
+            }))
+        };
+    }
+}
+
+module.exports = { MapVote };
@@ -0,0 +1,65 @@
+// Server side of the map files in maps/ - the same JSON the client builds the world from (src/map-loader.js),
+// so spawns, target movement and bullet obstacles match what players see.
+const fs = require('fs');
+const path = require('path');
+const GameMap = require('../shared/game-map');
+
+const MAPS_DIRECTORY = path.join(__dirname, '..', GameMap.MAPS_URL);
+
+// Maps the rooms cycle through, in order: rooms start on the first one and every end-of-match vote
+// offers the next one. Set MAP_ROTATION to a comma separated list of map IDs to change it.
+const MAP_ROTATION = (process.env.MAP_ROTATION || 'arena,courtyard,dunes,depot')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0);
+const VOTE_CANDIDATES = 3; // Maps offered in each end-of-match vote
+
+const loadedMaps = new Map(); // Map ID -> normalized map, each file is only read once
+
+// The normalized map with the given ID. Throws if the file is missing or not a playable map.
+function loadMap(id) {
+    if (!/^[\w-]+$/.test(id)) {
+        throw new Error(`Invalid map ID "${id}"`);
+    }
+
+    if (!loadedMaps.has(id)) {
+        const file = path.join(MAPS_DIRECTORY, `${id}.json`);
+        const map = GameMap.normalize(JSON.parse(fs.readFileSync(file, 'utf8')), id);
+        loadedMaps.set(id, map);
+        console.log(`🗺️ Loaded map "${map.name}" (${id}) from ${file}`);
+    }
+    return loadedMaps.get(id);
+}
+
+// Read every map in the rotation up front, so a broken file stops the server instead of a match
+function loadRotation() {
+    if (MAP_ROTATION.length === 0) {
+        throw new Error('MAP_ROTATION is empty');
+    }
+    return MAP_ROTATION.map(loadMap);
+}
+
+// The map after currentId in the rotation (the first one if currentId isn't in it)
+function getNextMapId(currentId) {
+    const index = MAP_ROTATION.indexOf(currentId);
+    return MAP_ROTATION[(index + 1) % MAP_ROTATION.length];
+}
+
+// Up to VOTE_CANDIDATES map IDs to vote on after a match on currentId: the next map in the rotation first,
+// then random others. The map just played only comes back if the rotation is too short for anything else.
+function getMapCandidates(currentId) {
+    const nextId = getNextMapId(currentId);
+    const others = MAP_ROTATION.filter(id => id !== nextId && id !== currentId);
+    for (let i = others.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [others[i], others[j]] = [others[j], others[i]];
+    }
+
+    const candidates = [nextId, ...others].slice(0, VOTE_CANDIDATES);
+    if (candidates.length < VOTE_CANDIDATES && !candidates.includes(currentId) && MAP_ROTATION.includes(currentId)) {
+        candidates.push(currentId);
+    }
+    return candidates;
+}
+
+module.exports = { MAP_ROTATION, VOTE_CANDIDATES, loadMap, loadRotation, getNextMapId, getMapCandidates };
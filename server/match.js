@@ -0,0 +1,223 @@
+const TargetSpawns = require('../shared/target-spawns');
+const { MapVote } = require('./map-vote');
+
+// Match lifecycle for a room: warmup -> live -> ended -> (reset) -> warmup. The players vote on the next map
+// while the round is over, and the room switches to it when the next round starts.
+
+const MATCH_STATES = {
+    WARMUP: 'warmup',
+    LIVE: 'live',
+    ENDED: 'ended'
+};
+
+// Durations in milliseconds, overridable through environment variables (in seconds)
+const DEFAULT_MATCH_CONFIG = {
+    warmupDuration: Number(process.env.MATCH_WARMUP_SECONDS || 15) * 1000,
+    matchDuration: Number(process.env.MATCH_DURATION_SECONDS || 300) * 1000,
+    endedDuration: Number(process.env.MATCH_END_SECONDS || 10) * 1000,
+    scoreLimit: Number(process.env.MATCH_SCORE_LIMIT || 500)
+};
+
+class Match {
+    constructor(room, config = {}) {
+        this.room = room;
+        this.config = { ...DEFAULT_MATCH_CONFIG, ...config };
+        this.state = MATCH_STATES.WARMUP;
+        this.stateStartedAt = Date.now();
+        this.round = 1;
+        this.winnerId = null;
+        this.endReason = null;
+        this.finalScoreboard = null; // Frozen scoreboard shown while the round is over
+        this.mapVote = null; // Next map vote, open while the round is over
+        this.spawnsInitialTargets = true; // Rooms start (and restart) with TargetSpawns' initial layout
+        this.allowsPlayerDamage = true;
+    }
+
+    isLive() {
+        return this.state === MATCH_STATES.LIVE;
+    }
+
+    isEnded() {
+        return this.state === MATCH_STATES.ENDED;
+    }
+
+    getStateDuration() {
+        switch (this.state) {
+            case MATCH_STATES.WARMUP:
+                return this.config.warmupDuration;
+            case MATCH_STATES.LIVE:
+                return this.config.matchDuration;
+            case MATCH_STATES.ENDED:
+                return this.config.endedDuration;
+        }
+        return 0;
+    }
+
+    getTimeRemaining(now = Date.now()) {
+        return Math.max(0, this.getStateDuration() - (now - this.stateStartedAt));
+    }
+
+    // Called every server tick
+    update(now = Date.now()) {
+        // An empty room waits in warmup until someone shows up
+        if (this.room.isEmpty()) {
+            if (this.state !== MATCH_STATES.WARMUP) {
+                console.log(`🏁 Room "${this.room.name}" is empty, resetting match`);
+                this.reset(now);
+            } else {
+                this.stateStartedAt = now;
+            }
+            return;
+        }
+
+        if (this.getTimeRemaining(now) > 0) return;
+
+        switch (this.state) {
+            case MATCH_STATES.WARMUP:
+                this.startLive(now);
+                break;
+            case MATCH_STATES.LIVE:
+                this.end('time', now);
+                break;
+            case MATCH_STATES.ENDED:
+                this.reset(now);
+                break;
+        }
+    }
+
+    setState(state, now) {
+        console.log(`🏁 Room "${this.room.name}" round ${this.round}: ${this.state} -> ${state}`);
+        this.state = state;
+        this.stateStartedAt = now;
+    }
+
+    startLive(now = Date.now()) {
+        // Warmup kills don't count
+        this.resetScores();
+        this.setState(MATCH_STATES.LIVE, now);
+        this.broadcastState();
+    }
+
+    // Give points to a player for destroying a target. Returns the points actually awarded.
+    awardPoints(player, points) {
+        if (!this.isLive()) return 0;
+
+        player.score += points;
+        if (points > 0) {
+            player.kills++; // Decoys cost points and don't count as kills
+        }
+        return points;
+    }
+
+    // A target was destroyed or got away: replace it after a while
+    onTargetRemoved() {
+        this.room.scheduleTargetRespawn(TargetSpawns.getRespawnDelay());
+    }
+
+    // Send out the new scores, ending the round if the player reached the score limit
+    checkScoreLimit(player) {
+        if (!this.isLive()) return;
+
+        if (player.score >= this.config.scoreLimit) {
+            this.end('scoreLimit');
+        } else {
+            this.broadcastState();
+        }
+    }
+
+    end(reason, now = Date.now()) {
+        const scoreboard = this.getScoreboard();
+        this.winnerId = scoreboard.length > 0 && scoreboard[0].score > 0 ? scoreboard[0].id : null;
+        this.endReason = reason;
+        this.finalScoreboard = scoreboard;
+        this.startMapVote();
+        this.setState(MATCH_STATES.ENDED, now);
+
+        const winner = scoreboard[0];
+        console.log(`🏁 Round ${this.round} in room "${this.room.name}" ended (${reason}). Winner: ${this.winnerId ? `${winner.name} with ${winner.score}` : 'nobody'}`);
+
+        this.broadcastState();
+    }
+
+    // Start the next round: move to the voted map, clear scores and targets, then go back to warmup
+    reset(now = Date.now()) {
+        if (this.mapVote) {
+            this.room.changeMap(this.mapVote.getWinner());
+            this.mapVote = null;
+        }
+
+        this.round++;
+        this.winnerId = null;
+        this.endReason = null;
+        this.finalScoreboard = null;
+        this.resetScores();
+        this.room.resetTargets();
+        this.setState(MATCH_STATES.WARMUP, now);
+
+        this.room.emit('matchReset', {
+            targets: Array.from(this.room.gameState.targets.values()).map(t => t.toNetworkData()),
+            matchState: this.toNetworkData(now)
+        });
+    }
+
+    // Nothing to vote on when the rotation only has the one map
+    startMapVote() {
+        const vote = new MapVote(this.room.map.id);
+        this.mapVote = vote.candidates.length > 1 ? vote : null;
+    }
+
+    // Record a player's vote for the next map and show everyone the new count. Returns false if no vote is
+    // open or mapId isn't one of the candidates.
+    castMapVote(player, mapId) {
+        if (!this.mapVote || !this.mapVote.cast(player.id, mapId)) return false;
+
+        console.log(`🗳️ ${player.name} voted for map "${mapId}" in room "${this.room.name}"`);
+        this.broadcastState();
+        return true;
+    }
+
+    // A player left the room: their vote goes with them
+    removePlayer(playerId) {
+        if (this.mapVote && this.mapVote.withdraw(playerId)) {
+            this.broadcastState();
+        }
+    }
+
+    resetScores() {
+        Object.values(this.room.gameState.players).forEach(player => {
+            player.score = 0;
+            player.kills = 0;
+        });
+    }
+
+    getScoreboard() {
+        return Object.values(this.room.gameState.players)
+            .map(player => ({
+                id: player.id,
+                name: player.name,
+                score: player.score,
+                kills: player.kills
+            }))
+            .sort((a, b) => b.score - a.score || b.kills - a.kills);
+    }
+
+    broadcastState() {
+        this.room.emit('matchState', this.toNetworkData());
+    }
+
+    toNetworkData(now = Date.now()) {
+        return {
+            state: this.state,
+            round: this.round,
+            timeRemaining: this.getTimeRemaining(now),
+            matchDuration: this.config.matchDuration,
+            scoreLimit: this.config.scoreLimit,
+            winnerId: this.winnerId,
+            endReason: this.endReason,
+            scoreboard: this.finalScoreboard || this.getScoreboard(),
+            mapVote: this.mapVote ? this.mapVote.toNetworkData() : null
+        };
+    }
+}
+
+module.exports = { Match, MATCH_STATES, DEFAULT_MATCH_CONFIG };
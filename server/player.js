@@ -0,0 +1,325 @@
+const { WEAPONS, DEFAULT_WEAPON_ID } = require('./weapons');
+const {
+    MAX_SHOT_ORIGIN_DISTANCE,
+    FIRE_RATE_TOLERANCE,
+    SHOT_HISTORY_MS,
+    PLAYER_HITBOX,
+    isValidVector
+} = require('./hit-detection');
+const { INTERPOLATION_DELAY, MAX_REWIND_MS, PositionHistory } = require('./lag-compensation');
+const Terrain = require('../shared/terrain');
+
+const PLAYER_MAX_HEALTH = 100;
+const MAX_PLAYER_NAME_LENGTH = 20;
+const MOVE_SPEED_TOLERANCE = 1.5; // Allow some slack over the client's walk/run speed
+const MAX_MOVE_BUDGET_SECONDS = 0.5; // Unused movement that can be banked to absorb bunched-up packets
+const MAX_UNSEEN_CORRECTIONS = 20; // Beyond this the client isn't acknowledging snapshots, forget the oldest
+const EYE_HEIGHT = 1.6; // Camera height above the feet on the client (src/player.js)
+const CROUCH_EYE_HEIGHT = 0.8;
+const GROUND_TOLERANCE = 0.25; // Head bob and float error below the lowest eye height on the ground
+
+// Player management
+class ServerPlayer {
+    constructor(id) {
+        this.id = id;
+        this.name = 'Guest'; // Default name, will be updated by client
+        this.position = { x: 0, y: 1.6, z: 5 }; // Moved to the map's first spawn point when joining a room
+        this.rotation = { x: 0, y: 0 };
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.health = PLAYER_MAX_HEALTH;
+        this.maxHealth = PLAYER_MAX_HEALTH;
+        this.isAlive = true;
+        this.deaths = 0;
+        this.isMoving = false;
+        this.isCrouching = false;
+        this.isRunning = false;
+        this.isAiming = false; // Aiming down sights, so other clients can pose the weapon
+        this.lastUpdate = Date.now();
+
+        // Movement validation and client reconciliation
+        this.moveBudget = 0; // Distance the player may still cover before moves get clamped
+        this.lastProcessedInput = 0; // Sequence number of the last input applied, echoed back to the client
+        this.correctionCount = 0;
+        this.unseenCorrections = []; // { offset, snapshot } moves the client hasn't caught up with, see toServerFrame()
+        this.lastAckedSnapshot = 0; // Latest gameUpdate the client has confirmed, the baseline for its deltas
+        this.binaryProtocol = false; // Whether gameUpdates go out in the shared/protocol.js encoding
+
+        // Lag compensation
+        this.rtt = 0; // Smoothed round trip time in ms, measured by the server
+        this.history = new PositionHistory(); // Recent positions, rewound when validating hits on this player
+
+        // Match scoring, reset every round
+        this.score = 0;
+        this.kills = 0;
+
+        // Recent shots by client shot ID, used to validate targetHit events
+        this.recentShots = new Map();
+        this.lastShotTime = 0;
+    }
+
+    // Validate and remember a shot. Returns the stored shot or null if it was rejected.
+    recordShot(shootData) {
+        const now = Date.now();
+        this.pruneShots(now);
+
+        if (!this.isAlive) {
+            console.log(`🚫 Player ${this.id.slice(-4)} tried to shoot while dead`);
+            return null;
+        }
+
+        // Only the table's own entries - a key like 'constructor' would find Object's prototype instead
+        const isKnownWeapon = Object.prototype.hasOwnProperty.call(WEAPONS, shootData.weaponId);
+        if (shootData.weaponId !== undefined && !isKnownWeapon) {
+            console.log(`⚠️ Player ${this.id.slice(-4)} shot with unknown weapon "${shootData.weaponId}", counting it as ${DEFAULT_WEAPON_ID}`);
+        }
+        const weaponId = isKnownWeapon ? shootData.weaponId : DEFAULT_WEAPON_ID;
+        const weapon = WEAPONS[weaponId];
+
+        if (!isValidVector(shootData.position) || !isValidVector(shootData.direction)) {
+            console.log(`🚫 Player ${this.id.slice(-4)} sent malformed shot data`);
+            return null;
+        }
+
+        const { x, y, z } = shootData.direction;
+        const length = Math.sqrt(x * x + y * y + z * z);
+        if (length === 0) return null;
+
+        if (now - this.lastShotTime < weapon.fireRate * 1000 * FIRE_RATE_TOLERANCE) {
+            console.log(`🚫 Player ${this.id.slice(-4)} is firing faster than ${weaponId} allows`);
+            return null;
+        }
+
+        const originDeltaX = shootData.position.x - this.position.x;
+        const originDeltaY = shootData.position.y - this.position.y;
+        const originDeltaZ = shootData.position.z - this.position.z;
+        const originDistance = Math.sqrt(originDeltaX * originDeltaX + originDeltaY * originDeltaY + originDeltaZ * originDeltaZ);
+        if (originDistance > MAX_SHOT_ORIGIN_DISTANCE) {
+            console.log(`🚫 Player ${this.id.slice(-4)} shot from ${originDistance.toFixed(1)} units away from their position`);
+            return null;
+        }
+
+        const shot = {
+            id: shootData.shotId,
+            weaponId: weaponId,
+            origin: { x: shootData.position.x, y: shootData.position.y, z: shootData.position.z },
+            direction: { x: x / length, y: y / length, z: z / length },
+            time: now,
+            hits: [], // 'target:<id>' / 'player:<id>' for everything this bullet has hit, in order
+            maxHits: 1 + (weapon.ballistics.penetration ? weapon.ballistics.penetration.count : 0)
+        };
+
+        this.lastShotTime = now;
+        if (shot.id !== undefined) {
+            this.recentShots.set(shot.id, shot);
+        }
+
+        return shot;
+    }
+
+    pruneShots(now = Date.now()) {
+        this.recentShots.forEach((shot, shotId) => {
+            if (now - shot.time > SHOT_HISTORY_MS) {
+                this.recentShots.delete(shotId);
+            }
+        });
+    }
+
+    takeDamage(damage) {
+        this.health = Math.max(0, this.health - damage);
+        if (this.health <= 0) {
+            this.isAlive = false;
+            this.deaths++;
+        }
+        return this.health <= 0; // Returns true if the player was killed
+    }
+
+    // Bring the player back at a spawn point with full health
+    respawn(position) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.health = this.maxHealth;
+        this.isAlive = true;
+        this.lastUpdate = Date.now();
+        this.moveBudget = 0;
+        this.unseenCorrections = []; // The client starts over from the spawn point too
+        this.recentShots.clear();
+        this.history.clear(); // Don't let shots rewind to where we died
+    }
+
+    updateRtt(sample) {
+        this.rtt = this.rtt === 0 ? sample : this.rtt + (sample - this.rtt) * 0.2;
+    }
+
+    // How far back this player's view of the world is, capped at MAX_REWIND_MS
+    getRewindMs() {
+        return Math.min(this.rtt + INTERPOLATION_DELAY, MAX_REWIND_MS);
+    }
+
+    recordHistory(time) {
+        this.history.record(time, this.position, { isCrouching: this.isCrouching });
+    }
+
+    // Vertical capsule around the player's body, see PLAYER_HITBOX. Pass a time to use where the player was back then.
+    getHitCapsule(time = null) {
+        const state = time !== null ? this.history.sample(time) : null;
+        const position = state ? state.position : this.position;
+        const isCrouching = state ? state.isCrouching : this.isCrouching;
+
+        const heightScale = isCrouching ? 0.5 : 1; // Remote meshes are squashed to half height when crouching
+        return {
+            start: { x: position.x, y: position.y + PLAYER_HITBOX.bottom * heightScale, z: position.z },
+            end: { x: position.x, y: position.y + PLAYER_HITBOX.top * heightScale, z: position.z },
+            radius: PLAYER_HITBOX.radius
+        };
+    }
+
+    // terrain: the room's heightfields (shared/terrain.js) the player can't sink into
+    update(inputData, terrain = null) {
+        // Acknowledge the input even if we end up ignoring or clamping it, so the client can reconcile
+        if (Number.isFinite(inputData.sequence) && inputData.sequence > this.lastProcessedInput) {
+            this.lastProcessedInput = inputData.sequence;
+        }
+
+        if (Number.isInteger(inputData.snapshotAck)) {
+            this.lastAckedSnapshot = inputData.snapshotAck; // 0 asks for a full snapshot
+        }
+
+        // Dead players stay where they fell until they respawn
+        if (!this.isAlive) return;
+
+        if (isValidVector(inputData.position)) {
+            const claimed = this.toServerFrame(inputData.position, inputData.snapshotAck);
+
+            // Position validation - the player earns movement over time and spends it moving
+            const maxSpeed = (inputData.isRunning ? 20 : 12) * MOVE_SPEED_TOLERANCE;
+            const now = Date.now();
+            const deltaTime = (now - this.lastUpdate) / 1000;
+            this.lastUpdate = now;
+
+            this.moveBudget = Math.min(this.moveBudget + deltaTime * maxSpeed, maxSpeed * MAX_MOVE_BUDGET_SECONDS);
+
+            const deltaX = claimed.x - this.position.x;
+            const deltaZ = claimed.z - this.position.z;
+            const distance = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+
+            if (distance <= this.moveBudget) {
+                this.position = claimed;
+                this.moveBudget -= distance;
+            } else {
+                // Too far - only move as far as allowed. The client is corrected through lastProcessedInput.
+                const allowed = this.moveBudget / distance;
+                this.position = {
+                    x: this.position.x + deltaX * allowed,
+                    y: claimed.y,
+                    z: this.position.z + deltaZ * allowed
+                };
+                this.moveBudget = 0;
+
+                this.correctionCount++;
+                if (this.correctionCount <= 5 || this.correctionCount % 50 === 0) {
+                    console.log(`🚧 Player ${this.id.slice(-4)} moved ${distance.toFixed(2)} units, clamped (correction #${this.correctionCount})`);
+                }
+            }
+
+            if (terrain) {
+                this.keepAboveGround(terrain, !!inputData.isCrouching);
+            }
+
+            const offset = { x: this.position.x - claimed.x, y: this.position.y - claimed.y, z: this.position.z - claimed.z };
+            if (offset.x !== 0 || offset.y !== 0 || offset.z !== 0) {
+                this.unseenCorrections.push({ offset, snapshot: null });
+                if (this.unseenCorrections.length > MAX_UNSEEN_CORRECTIONS) {
+                    this.unseenCorrections.shift();
+                }
+            }
+
+            if (isValidVector(inputData.velocity)) {
+                this.velocity = { x: inputData.velocity.x, y: inputData.velocity.y, z: inputData.velocity.z };
+            }
+        }
+
+        if (inputData.rotation && Number.isFinite(inputData.rotation.x) && Number.isFinite(inputData.rotation.y)) {
+            this.rotation = { x: inputData.rotation.x, y: inputData.rotation.y };
+        }
+
+        // Update player name if provided, held to the same rules as when joining
+        const name = sanitizePlayerName(inputData.name);
+        if (name && name !== this.name) {
+            console.log(`Player ${this.id.slice(-4)} name updated: "${this.name}" -> "${name}"`);
+            this.name = name;
+        }
+
+        this.isMoving = inputData.isMoving || false;
+        this.isCrouching = inputData.isCrouching || false;
+        this.isRunning = inputData.isRunning || false;
+        this.isAiming = inputData.isAiming || false;
+    }
+
+    // The client keeps sending the inputs already on their way after a correction, at positions that don't
+    // include it yet. It shifts its own copies of them once it sees the correction (src/prediction.js), so
+    // do the same here: add every correction the snapshot the input acknowledges didn't carry yet.
+    toServerFrame(position, snapshotAck) {
+        if (Number.isInteger(snapshotAck)) {
+            this.unseenCorrections = this.unseenCorrections.filter(correction => correction.snapshot === null || correction.snapshot > snapshotAck);
+        }
+
+        const claimed = { x: position.x, y: position.y, z: position.z };
+        this.unseenCorrections.forEach(({ offset }) => {
+            claimed.x += offset.x;
+            claimed.y += offset.y;
+            claimed.z += offset.z;
+        });
+        return claimed;
+    }
+
+    // Corrections so far go out to the client in gameUpdate sequence, called as it is sent
+    markCorrectionsSent(sequence) {
+        this.unseenCorrections.forEach(correction => {
+            if (correction.snapshot === null) correction.snapshot = sequence;
+        });
+    }
+
+    // Put the player back on the terrain if their eyes are lower than even crouching on it allows. The
+    // client is corrected through lastProcessedInput like any other clamped move.
+    keepAboveGround(terrain, isCrouching) {
+        const ground = Terrain.getGroundHeight(terrain, this.position.x, this.position.z);
+        if (ground === null || this.position.y >= ground + CROUCH_EYE_HEIGHT - GROUND_TOLERANCE) return;
+
+        const sunk = ground + CROUCH_EYE_HEIGHT - this.position.y;
+        this.position.y = ground + (isCrouching ? CROUCH_EYE_HEIGHT : EYE_HEIGHT);
+
+        this.correctionCount++;
+        if (this.correctionCount <= 5 || this.correctionCount % 50 === 0) {
+            console.log(`🚧 Player ${this.id.slice(-4)} was ${sunk.toFixed(2)} units into the ground, lifted (correction #${this.correctionCount})`);
+        }
+    }
+
+    toNetworkData() {
+        return {
+            id: this.id,
+            name: this.name,
+            position: this.position,
+            rotation: this.rotation,
+            velocity: this.velocity,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            isAlive: this.isAlive,
+            isMoving: this.isMoving,
+            isCrouching: this.isCrouching,
+            isRunning: this.isRunning,
+            isAiming: this.isAiming,
+            score: this.score,
+            kills: this.kills,
+            deaths: this.deaths,
+            lastProcessedInput: this.lastProcessedInput
+        };
+    }
+}
+
+// Trimmed and cut to MAX_PLAYER_NAME_LENGTH, or '' if there is no usable name
+function sanitizePlayerName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().substring(0, MAX_PLAYER_NAME_LENGTH);
+}
+
+module.exports = { ServerPlayer, PLAYER_MAX_HEALTH, sanitizePlayerName };
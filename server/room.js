@@ -0,0 +1,475 @@
+const { ServerTarget } = require('./target');
+const { Match } = require('./match');
+const { WaveMatch } = require('./wave-match');
+const SnapshotCodec = require('../shared/snapshot');
+const WireProtocol = require('../shared/protocol');
+const TargetSpawns = require('../shared/target-spawns');
+const TargetTypes = require('../shared/target-types');
+const HitZones = require('../shared/hit-zones');
+const GameMap = require('../shared/game-map');
+const Terrain = require('../shared/terrain');
+const { loadMap } = require('./maps');
+
+const MAX_PLAYERS_PER_ROOM = 16;
+const DEFAULT_SNAPSHOT_RATE = 20; // gameUpdates per second, independent of the simulation tick rate
+const PLAYER_RESPAWN_DELAY = 3000;
+
+// A single independent match. Each room has its own players, targets and clock,
+// and all of its events go out through the Socket.IO room with the same ID.
+class GameRoom {
+    constructor(io, id, name, options = {}) {
+        this.io = io;
+        this.id = id;
+        this.name = name;
+        this.isPersistent = options.isPersistent || false; // Persistent rooms stay open when empty
+        this.maxPlayers = options.maxPlayers || MAX_PLAYERS_PER_ROOM;
+        this.createdAt = Date.now();
+        this.isClosed = false;
+        this.mode = options.mode || TargetSpawns.DEFAULT_MODE; // Picks the target spawn table
+        this.map = options.map; // Normalized map (server/maps.js) the room plays on
+        this.growTerrain(); // Also lays out the map, see growTerrain()
+
+        // Per-room game state
+        this.gameState = {
+            players: {},
+            targets: new Map(), // Use Map for faster target lookups by ID
+            gameTime: 0,
+            nextTargetId: 1
+        };
+
+        this.respawnTimers = new Set();
+        this.playerRespawnTimers = new Map(); // Player ID -> pending respawn timer
+        this.updateCount = 0;
+
+        // Delta-compressed snapshots
+        this.snapshotInterval = 1000 / (options.snapshotRate || DEFAULT_SNAPSHOT_RATE);
+        this.snapshotAccumulator = 0;
+        this.snapshotSequence = 0;
+        this.snapshotHistory = new Map(); // Sequence -> { players, targets } quantized states, used as delta baselines
+        this.snapshotCount = 0;
+
+        // Round lifecycle and scoring
+        this.match = this.mode === 'waves' ? new WaveMatch(this, options.waves) : new Match(this, options.match);
+    }
+
+    // Roll a new seed for the map's hills. Clients build them from the same seed (terrainSeed in gameState
+    // and mapChange) and player movement and bullets are checked against the heightfield kept here. The
+    // layout is handed to the shared modules for everything the room does (GameMap.createLayout()).
+    growTerrain() {
+        this.terrainSeed = Terrain.randomSeed();
+        this.terrain = Terrain.build(this.map, this.terrainSeed);
+        this.layout = GameMap.createLayout(this.map, this.terrain);
+    }
+
+    // Switch to another map: everyone reloads the world (mapChange) and respawns on the new map's spawn points
+    changeMap(mapId) {
+        if (mapId === this.map.id) return;
+
+        this.map = loadMap(mapId);
+        this.growTerrain();
+        console.log(`🗺️ Room "${this.name}" changed to map "${this.map.name}" (terrain seed ${this.terrainSeed})`);
+
+        this.emit('mapChange', { mapId: this.map.id, mapName: this.map.name, terrainSeed: this.terrainSeed });
+        Object.keys(this.gameState.players).forEach(playerId => {
+            this.cancelPlayerRespawn(playerId);
+            this.respawnPlayer(playerId);
+        });
+    }
+
+    // Send an event to everyone in this room
+    emit(event, data) {
+        this.io.to(this.id).emit(event, data);
+    }
+
+    getPlayerCount() {
+        return Object.keys(this.gameState.players).length;
+    }
+
+    isFull() {
+        return this.getPlayerCount() >= this.maxPlayers;
+    }
+
+    isEmpty() {
+        return this.getPlayerCount() === 0;
+    }
+
+    getLivingPlayers() {
+        return Object.values(this.gameState.players).filter(player => player.isAlive);
+    }
+
+    getPlayer(playerId) {
+        return this.gameState.players[playerId];
+    }
+
+    addPlayer(player) {
+        this.gameState.players[player.id] = player;
+        console.log(`🚪 Player ${player.id} joined room "${this.name}" (${this.getPlayerCount()}/${this.maxPlayers})`);
+    }
+
+    removePlayer(playerId) {
+        this.cancelPlayerRespawn(playerId);
+        this.match.removePlayer(playerId);
+
+        if (this.gameState.players[playerId]) {
+            delete this.gameState.players[playerId];
+            console.log(`🚪 Player ${playerId} left room "${this.name}" (${this.getPlayerCount()}/${this.maxPlayers})`);
+        }
+    }
+
+    // Pick the map's spawn point furthest away from every living player
+    getSpawnPoint(excludePlayerId = null) {
+        const spawnPoints = this.map.playerSpawns;
+        const others = Object.values(this.gameState.players)
+            .filter(player => player.id !== excludePlayerId && player.isAlive);
+
+        if (others.length === 0) {
+            return spawnPoints[Math.floor(Math.random() * spawnPoints.length)];
+        }
+
+        let bestPoint = spawnPoints[0];
+        let bestDistance = -1;
+        spawnPoints.forEach(point => {
+            const nearest = Math.min(...others.map(player => {
+                const deltaX = player.position.x - point.x;
+                const deltaZ = player.position.z - point.z;
+                return Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+            }));
+            if (nearest > bestDistance) {
+                bestDistance = nearest;
+                bestPoint = point;
+            }
+        });
+
+        return bestPoint;
+    }
+
+    // Apply damage from one player to another, handling the kill and the respawn timer
+    damagePlayer(victim, attacker, damage) {
+        const wasKilled = victim.takeDamage(damage);
+
+        this.emit('playerDamaged', {
+            playerId: victim.id,
+            attackerId: attacker.id,
+            damage: damage,
+            health: victim.health,
+            maxHealth: victim.maxHealth,
+            timestamp: Date.now()
+        });
+
+        if (wasKilled) {
+            console.log(`💀 Player ${victim.id.slice(-4)} was killed by ${attacker.id.slice(-4)} in room "${this.name}"`);
+
+            this.emit('playerKilled', {
+                playerId: victim.id,
+                killerId: attacker.id,
+                killerName: attacker.name,
+                respawnDelay: PLAYER_RESPAWN_DELAY,
+                timestamp: Date.now()
+            });
+
+            this.schedulePlayerRespawn(victim.id, PLAYER_RESPAWN_DELAY);
+        }
+
+        return wasKilled;
+    }
+
+    schedulePlayerRespawn(playerId, delay) {
+        this.cancelPlayerRespawn(playerId);
+
+        const timer = setTimeout(() => {
+            this.playerRespawnTimers.delete(playerId);
+            this.respawnPlayer(playerId);
+        }, delay);
+        this.playerRespawnTimers.set(playerId, timer);
+    }
+
+    cancelPlayerRespawn(playerId) {
+        const timer = this.playerRespawnTimers.get(playerId);
+        if (timer) {
+            clearTimeout(timer);
+            this.playerRespawnTimers.delete(playerId);
+        }
+    }
+
+    respawnPlayer(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player || this.isClosed) return;
+
+        const spawnPoint = this.getSpawnPoint(playerId);
+        player.respawn(spawnPoint);
+        console.log(`✨ Player ${playerId.slice(-4)} respawned at (${spawnPoint.x}, ${spawnPoint.y}, ${spawnPoint.z}) in room "${this.name}"`);
+
+        this.emit('playerRespawned', {
+            playerId: playerId,
+            position: player.position,
+            health: player.health,
+            maxHealth: player.maxHealth
+        });
+    }
+
+    // Initialize some targets (wave rooms start empty, the waves bring the targets)
+    spawnInitialTargets() {
+        if (!this.match.spawnsInitialTargets) return;
+
+        console.log(`🎯 Spawning initial targets in room "${this.name}"...`);
+
+        TargetSpawns.getInitialSpawns(this.mode, this.layout).forEach(({ position: pos, options }) => {
+            const target = new ServerTarget(this.gameState.nextTargetId++, pos, options, this.layout);
+            this.gameState.targets.set(target.id.toString(), target);
+            console.log(`🎯 Created ${target.type} target ${target.id} at position (${pos.x}, ${pos.y}, ${pos.z}) with ${target.health} health`);
+        });
+
+        console.log(`🎯 Total targets created: ${this.gameState.targets.size}`);
+    }
+
+    // modifiers: { healthMultiplier, speedMultiplier } on top of the target type's own, for later waves
+    spawnNewTarget(modifiers = {}) {
+        if (this.isClosed) return;
+
+        const players = this.getLivingPlayers().map(player => ({ position: player.position, rotationY: player.rotation.y }));
+        const targets = Array.from(this.gameState.targets.values()).map(target => target.position);
+        const { position, options } = TargetSpawns.getRandomSpawn(this.mode, players, targets, this.layout);
+        options.health *= modifiers.healthMultiplier || 1;
+        options.speedMultiplier *= modifiers.speedMultiplier || 1;
+        const { x, y, z } = position;
+
+        const target = new ServerTarget(this.gameState.nextTargetId++, position, options, this.layout);
+
+        this.gameState.targets.set(target.id.toString(), target);
+
+        console.log(`🎯 SERVER: Spawning new target ${target.id} in room "${this.name}" at position (${x}, ${y}, ${z})`);
+        console.log(`🎯 SERVER: Target data to send:`, target.toNetworkData());
+        console.log(`🎯 SERVER: Players in room:`, this.getPlayerCount());
+        console.log(`🎯 SERVER: Total targets after spawn:`, this.gameState.targets.size);
+
+        // Broadcast new target to everyone in the room
+        this.emit('targetSpawned', target.toNetworkData());
+
+        console.log(`🎯 SERVER: targetSpawned event emitted to room "${this.name}"`);
+    }
+
+    // Apply a player's damage to a target (from a bullet, or a nearby explosion) and tell the room.
+    // Destroyed targets pay out their points, go off if they are explosive and are replaced after a delay.
+    damageTarget(target, player, damage, zone, hitPoint = null) {
+        const targetId = target.id.toString();
+        const wasDestroyed = target.takeDamage(damage);
+
+        console.log(`Player ${player.id} hit ${target.type} target ${targetId} in the ${zone} for ${damage} damage. Health: ${target.health}/${target.maxHealth}`);
+
+        if (!wasDestroyed) {
+            // Broadcast hit event to everyone in the room for visual feedback
+            this.emit('targetHit', {
+                targetId: targetId,
+                playerId: player.id,
+                damage: damage,
+                health: target.health,
+                maxHealth: target.maxHealth,
+                hitPoint: hitPoint,
+                zone: zone,
+                timestamp: Date.now()
+            });
+            return;
+        }
+
+        console.log(`Target ${targetId} destroyed by player ${player.id}`);
+        this.gameState.targets.delete(targetId);
+
+        // Points only count while the round is live, with a bonus for finishing it with a headshot.
+        // Decoys have negative points.
+        const points = HitZones.getPoints(target.points, zone);
+        const awardedPoints = this.match.awardPoints(player, points);
+
+        this.emit('targetDestroyed', {
+            targetId: targetId,
+            targetType: target.type,
+            playerId: player.id,
+            points: points,
+            awardedPoints: awardedPoints,
+            zone: zone,
+            playerScore: player.score,
+            timestamp: Date.now()
+        });
+
+        this.explodeTarget(target, player);
+        this.match.checkScoreLimit(player);
+        this.match.onTargetRemoved();
+    }
+
+    // An explosive target damages every target around it, which may set off more explosions.
+    // The damage (and any points) goes to the player who destroyed it.
+    explodeTarget(target, player) {
+        if (!TargetTypes.get(target.type).explosion) return;
+
+        Array.from(this.gameState.targets.values()).forEach(other => {
+            if (!other.isAlive) return;
+
+            const damage = TargetTypes.getExplosionDamage(target.type, target.position, other.position);
+            if (damage > 0) {
+                this.damageTarget(other, player, damage, HitZones.DEFAULT_ZONE);
+            }
+        });
+    }
+
+    // Remove a target nobody destroyed (a bonus target that got away)
+    despawnTarget(target) {
+        const targetId = target.id.toString();
+        console.log(`🎯 ${target.type} target ${targetId} despawned in room "${this.name}"`);
+
+        target.isAlive = false;
+        this.gameState.targets.delete(targetId);
+        this.emit('targetDespawned', { targetId: targetId });
+        this.match.onTargetRemoved();
+    }
+
+    // Spawn a new target after a delay, unless the room closes first
+    scheduleTargetRespawn(delay) {
+        const timer = setTimeout(() => {
+            this.respawnTimers.delete(timer);
+            this.spawnNewTarget();
+        }, delay);
+        this.respawnTimers.add(timer);
+    }
+
+    // Throw away every target (and pending respawn) and start over with the initial set
+    resetTargets() {
+        this.respawnTimers.forEach(timer => clearTimeout(timer));
+        this.respawnTimers.clear();
+        this.gameState.targets.clear();
+        this.spawnInitialTargets();
+    }
+
+    // Make sure the room always has something to shoot at
+    ensureTargets() {
+        if (this.gameState.targets.size === 0 && this.match.spawnsInitialTargets) {
+            console.log(`⚠️ Room "${this.name}" has no targets! Respawning initial targets...`);
+            this.spawnInitialTargets();
+        }
+    }
+
+    // Advance the room clock, move the targets and send the latest player and target state to the room
+    tick(tickInterval) {
+        this.gameState.gameTime += tickInterval;
+        this.updateCount++;
+
+        this.match.update();
+
+        if (this.isEmpty()) return;
+
+        // Bonus targets nobody got to in time run off
+        const now = Date.now();
+        this.gameState.targets.forEach(target => {
+            if (target.isExpired(now)) {
+                this.despawnTarget(target);
+            }
+        });
+
+        // Targets move (and react to the players) at the simulation rate
+        const playerPositions = this.getLivingPlayers().map(player => player.position);
+        this.gameState.targets.forEach(target => target.update(tickInterval / 1000, playerPositions, this.layout));
+
+        // Remember where everything was this tick so hits can be checked against the past
+        Object.values(this.gameState.players).forEach(player => player.recordHistory(now));
+        this.gameState.targets.forEach(target => target.recordHistory(now));
+
+        // Snapshots go out at their own (lower) rate
+        this.snapshotAccumulator += tickInterval;
+        if (this.snapshotAccumulator >= this.snapshotInterval) {
+            this.snapshotAccumulator %= this.snapshotInterval;
+            this.sendSnapshots();
+        }
+    }
+
+    // Send every player a gameUpdate containing only what changed since the snapshot they last acknowledged
+    sendSnapshots() {
+        const sequence = ++this.snapshotSequence;
+        const players = Object.values(this.gameState.players);
+
+        const states = { players: new Map(), targets: new Map() };
+        players.forEach(player => {
+            states.players.set(player.id, SnapshotCodec.quantizePlayer(player.toNetworkData()));
+        });
+        this.gameState.targets.forEach((target, id) => {
+            states.targets.set(id, SnapshotCodec.quantizeTarget(target));
+        });
+
+        players.forEach(player => player.markCorrectionsSent(sequence));
+        this.snapshotHistory.set(sequence, states);
+        this.snapshotHistory.delete(sequence - SnapshotCodec.HISTORY_LENGTH);
+
+        // Players acknowledging the same snapshot get the same message, encoded at most once per protocol
+        const messages = new Map(); // Baseline sequence -> { json, binary }
+        players.forEach(player => {
+            const baselineSequence = this.snapshotHistory.has(player.lastAckedSnapshot) ? player.lastAckedSnapshot : 0;
+
+            let encoded = messages.get(baselineSequence);
+            if (!encoded) {
+                const delta = SnapshotCodec.diffSnapshot(baselineSequence ? this.snapshotHistory.get(baselineSequence) : null, states);
+                encoded = {
+                    json: {
+                        s: sequence,
+                        b: baselineSequence,
+                        t: this.gameState.gameTime,
+                        ...delta
+                    },
+                    binary: null
+                };
+                messages.set(baselineSequence, encoded);
+            }
+
+            if (player.binaryProtocol && !encoded.binary) {
+                encoded.binary = WireProtocol.encodeGameUpdate(encoded.json);
+            }
+
+            this.io.to(player.id).emit('gameUpdate', player.binaryProtocol ? encoded.binary : encoded.json);
+        });
+
+        // Log snapshots occasionally (every 20 snapshots = 1 second at the default rate)
+        this.snapshotCount++;
+        if (this.snapshotCount % 20 === 0 || this.snapshotCount <= 5) {
+            const sizes = Array.from(messages.values()).map(encoded => encoded.binary ? encoded.binary.byteLength : JSON.stringify(encoded.json).length);
+            console.log(`🔄 Snapshot #${sequence} for room "${this.name}": ${players.length} players, ${messages.size} baselines, ${Math.min(...sizes)}-${Math.max(...sizes)} bytes`);
+        }
+    }
+
+    // Snapshot sent to a player when they join
+    toGameStateData(playerId) {
+        return {
+            players: Object.values(this.gameState.players).map(p => p.toNetworkData()),
+            targets: Array.from(this.gameState.targets.values()).map(t => t.toNetworkData()),
+            gameTime: this.gameState.gameTime,
+            roomId: this.id,
+            roomName: this.name,
+            mapId: this.map.id,
+            mapName: this.map.name,
+            terrainSeed: this.terrainSeed,
+            matchState: this.match.toNetworkData(),
+            yourId: playerId
+        };
+    }
+
+    // Summary shown in the lobby list
+    toLobbyData() {
+        return {
+            id: this.id,
+            name: this.name,
+            players: this.getPlayerCount(),
+            maxPlayers: this.maxPlayers,
+            isPersistent: this.isPersistent,
+            mode: this.mode,
+            mapName: this.map.name,
+            matchState: this.match.state,
+            createdAt: this.createdAt
+        };
+    }
+
+    close() {
+        this.isClosed = true;
+        this.respawnTimers.forEach(timer => clearTimeout(timer));
+        this.respawnTimers.clear();
+        this.playerRespawnTimers.forEach(timer => clearTimeout(timer));
+        this.playerRespawnTimers.clear();
+        console.log(`🚪 Room "${this.name}" closed`);
+    }
+}
+
+module.exports = { GameRoom, MAX_PLAYERS_PER_ROOM, PLAYER_RESPAWN_DELAY };
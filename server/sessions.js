@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const SESSION_GRACE_PERIOD = Number(process.env.SESSION_GRACE_SECONDS || 30) * 1000; // How long a dropped player keeps their slot
+
+// Resumable player identities. The client keeps the token and sends it when it reconnects, so it comes back
+// as the same player (same ID, room, score and position) instead of a new one.
+class SessionManager {
+    constructor(gracePeriod = SESSION_GRACE_PERIOD) {
+        this.gracePeriod = gracePeriod;
+        this.sessions = new Map(); // Token -> { token, playerId, socketId, expireTimer }
+    }
+
+    // New identity for a socket. The player keeps the ID of the socket that created the session.
+    create(socketId) {
+        const session = {
+            token: crypto.randomBytes(16).toString('hex'),
+            playerId: socketId,
+            socketId: socketId,
+            expireTimer: null
+        };
+        this.sessions.set(session.token, session);
+        return session;
+    }
+
+    get(token) {
+        return typeof token === 'string' ? this.sessions.get(token) || null : null;
+    }
+
+    // Hand the session to a new socket, cancelling any pending expiry
+    attach(session, socketId) {
+        clearTimeout(session.expireTimer);
+        session.expireTimer = null;
+        session.socketId = socketId;
+    }
+
+    // The socket dropped: keep the session for the grace period, then forget it and call onExpire
+    suspend(session, onExpire) {
+        session.socketId = null;
+        clearTimeout(session.expireTimer);
+        session.expireTimer = setTimeout(() => {
+            this.sessions.delete(session.token);
+            onExpire(session);
+        }, this.gracePeriod);
+    }
+
+    end(session) {
+        clearTimeout(session.expireTimer);
+        this.sessions.delete(session.token);
+    }
+}
+
+module.exports = { SessionManager, SESSION_GRACE_PERIOD };
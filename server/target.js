@@ -0,0 +1,76 @@
+const { TARGET_HIT_RADIUS_PER_SCALE } = require('./hit-detection');
+const { PositionHistory } = require('./lag-compensation');
+const TargetBehaviours = require('../shared/target-behaviours');
+const TargetTypes = require('../shared/target-types');
+
+// Target management
+class ServerTarget {
+    // layout is the room's map (GameMap.createLayout()), for behaviours that need the target area or cover
+    constructor(id, position, options = {}, layout = null) {
+        this.id = id;
+        this.type = TargetTypes.isType(options.type) ? options.type : TargetTypes.DEFAULT_TYPE; // See shared/target-types.js
+        this.position = position;
+        this.rotation = options.rotation || { x: 0, y: Math.random() * Math.PI * 2, z: 0 };
+        this.scale = options.scale || 5;
+        this.health = options.health || 100;
+        this.maxHealth = this.health;
+        this.points = options.points || 10;
+        this.createdAt = Date.now();
+        const lifetime = TargetTypes.get(this.type).lifetime;
+        this.expiresAt = lifetime ? this.createdAt + lifetime : null; // Bonus targets only stay for a while
+        this.isAlive = true;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.behaviour = TargetBehaviours.create(options.behaviour || TargetBehaviours.pickType(), position, options.speedMultiplier, layout);
+        this.history = new PositionHistory(); // Recent positions for lag-compensated hits
+    }
+
+    takeDamage(damage) {
+        this.health = Math.max(0, this.health - damage);
+        if (this.health <= 0) {
+            this.isAlive = false;
+        }
+        return this.health <= 0; // Returns true if target is destroyed
+    }
+
+    isExpired(now = Date.now()) {
+        return this.expiresAt !== null && now >= this.expiresAt;
+    }
+
+    // Move according to the target's behaviour, reacting to the given player positions, within layout
+    update(deltaTime, players, layout = null) {
+        if (!this.isAlive) return;
+        TargetBehaviours.update(this, deltaTime, players, layout);
+    }
+
+    recordHistory(time) {
+        this.history.record(time, this.position);
+    }
+
+    // Where the target was at the given time (falls back to now if we have no history)
+    getPositionAt(time) {
+        const state = this.history.sample(time);
+        return state ? state.position : this.position;
+    }
+
+    getHitRadius() {
+        return this.scale * TARGET_HIT_RADIUS_PER_SCALE;
+    }
+
+    toNetworkData() {
+        return {
+            id: this.id,
+            type: this.type,
+            position: this.position,
+            rotation: this.rotation,
+            velocity: this.velocity,
+            behaviour: { type: this.behaviour.type, state: this.behaviour.state },
+            scale: this.scale,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            points: this.points,
+            isAlive: this.isAlive
+        };
+    }
+}
+
+module.exports = { ServerTarget };
@@ -0,0 +1,163 @@
+const { Match, MATCH_STATES } = require('./match');
+
+// Co-op wave survival for a room: warmup -> wave 1 -> intermission -> wave 2 -> ... -> ended (game over) -> warmup.
+// Everyone in the room fights the same waves. Each wave brings more targets with more health and speed,
+// and the game is over when too many targets are loose at once or a wave's time runs out.
+
+const WAVE_STATES = {
+    ...MATCH_STATES,
+    INTERMISSION: 'intermission'
+};
+
+// Durations in milliseconds, overridable through environment variables (in seconds)
+const DEFAULT_WAVE_CONFIG = {
+    warmupDuration: Number(process.env.WAVE_WARMUP_SECONDS || 10) * 1000,
+    intermissionDuration: Number(process.env.WAVE_INTERMISSION_SECONDS || 8) * 1000,
+    waveDuration: Number(process.env.WAVE_DURATION_SECONDS || 60) * 1000, // Time limit of the first wave...
+    waveDurationIncrease: 10 * 1000, // ...and how much longer each wave after it gets
+    endedDuration: Number(process.env.MATCH_END_SECONDS || 10) * 1000,
+    maxAliveTargets: Number(process.env.WAVE_MAX_ALIVE_TARGETS || 15), // Game over when this many are loose at once
+    baseTargetCount: 6,
+    targetCountIncrease: 3, // Per wave
+    healthIncrease: 0.15, // Extra target health per wave, as a fraction of the base
+    speedIncrease: 0.08, // Extra target speed per wave, as a fraction of the base
+    maxSpeedMultiplier: 2,
+    spawnInterval: 1500, // Time between targets in the first wave...
+    spawnIntervalDecrease: 100, // ...getting shorter every wave...
+    minSpawnInterval: 400 // ...down to this
+};
+
+class WaveMatch extends Match {
+    constructor(room, config = {}) {
+        super(room, { ...DEFAULT_WAVE_CONFIG, ...config });
+        this.spawnsInitialTargets = false; // Targets only come with the waves
+        this.allowsPlayerDamage = false; // Co-op: no friendly fire
+        this.wave = 0;
+        this.pendingSpawns = 0; // Targets of the current wave still to come
+        this.nextSpawnAt = 0;
+    }
+
+    isIntermission() {
+        return this.state === WAVE_STATES.INTERMISSION;
+    }
+
+    getStateDuration() {
+        switch (this.state) {
+            case WAVE_STATES.INTERMISSION:
+                return this.config.intermissionDuration;
+            case WAVE_STATES.LIVE:
+                return this.getWave(this.wave).duration;
+        }
+        return super.getStateDuration();
+    }
+
+    // How the given wave plays out
+    getWave(wave) {
+        const config = this.config;
+        const level = wave - 1;
+        return {
+            targetCount: config.baseTargetCount + config.targetCountIncrease * level,
+            healthMultiplier: 1 + config.healthIncrease * level,
+            speedMultiplier: Math.min(config.maxSpeedMultiplier, 1 + config.speedIncrease * level),
+            spawnInterval: Math.max(config.minSpawnInterval, config.spawnInterval - config.spawnIntervalDecrease * level),
+            duration: config.waveDuration + config.waveDurationIncrease * level
+        };
+    }
+
+    // Called every server tick
+    update(now = Date.now()) {
+        if (this.room.isEmpty()) {
+            super.update(now);
+            return;
+        }
+
+        if (this.isLive()) {
+            this.updateWave(now);
+            if (!this.isLive()) return;
+        }
+
+        if (this.getTimeRemaining(now) > 0) return;
+
+        switch (this.state) {
+            case WAVE_STATES.WARMUP:
+                this.resetScores(); // Warmup kills don't count
+                this.startWave(1, now);
+                break;
+            case WAVE_STATES.INTERMISSION:
+                this.startWave(this.wave + 1, now);
+                break;
+            case WAVE_STATES.LIVE:
+                this.end('time', now);
+                break;
+            case WAVE_STATES.ENDED:
+                this.reset(now);
+                break;
+        }
+    }
+
+    startWave(wave, now = Date.now()) {
+        this.wave = wave;
+        this.pendingSpawns = this.getWave(wave).targetCount;
+        this.nextSpawnAt = now;
+        console.log(`🌊 Room "${this.room.name}": wave ${wave} with ${this.pendingSpawns} targets`);
+
+        this.setState(WAVE_STATES.LIVE, now);
+        this.broadcastState();
+    }
+
+    // Bring in the wave's targets one at a time and check whether the players are being overrun
+    updateWave(now) {
+        const wave = this.getWave(this.wave);
+
+        while (this.pendingSpawns > 0 && now >= this.nextSpawnAt) {
+            this.pendingSpawns--;
+            this.nextSpawnAt += wave.spawnInterval;
+            this.room.spawnNewTarget({ healthMultiplier: wave.healthMultiplier, speedMultiplier: wave.speedMultiplier });
+        }
+
+        if (this.room.gameState.targets.size >= this.config.maxAliveTargets) {
+            this.end('overrun', now);
+        }
+    }
+
+    // A target was destroyed or got away: the wave is over once all of its targets are gone
+    onTargetRemoved() {
+        if (!this.isLive() || this.pendingSpawns > 0 || this.room.gameState.targets.size > 0) return;
+
+        console.log(`🌊 Room "${this.room.name}": wave ${this.wave} cleared`);
+        this.setState(WAVE_STATES.INTERMISSION, Date.now());
+        this.broadcastState();
+    }
+
+    // No score limit in co-op, just keep everyone's scores up to date
+    checkScoreLimit() {
+        if (!this.isLive()) return;
+        this.broadcastState();
+    }
+
+    end(reason, now = Date.now()) {
+        this.pendingSpawns = 0;
+        console.log(`🌊 Room "${this.room.name}": game over on wave ${this.wave} (${reason})`);
+        super.end(reason, now);
+    }
+
+    reset(now = Date.now()) {
+        this.wave = 0;
+        this.pendingSpawns = 0;
+        super.reset(now);
+    }
+
+    toNetworkData(now = Date.now()) {
+        return {
+            ...super.toNetworkData(now),
+            mode: 'waves',
+            wave: this.wave,
+            waveTargets: this.wave > 0 ? this.getWave(this.wave).targetCount : 0,
+            pendingTargets: this.pendingSpawns,
+            maxAliveTargets: this.config.maxAliveTargets,
+            scoreLimit: null
+        };
+    }
+}
+
+module.exports = { WaveMatch, WAVE_STATES, DEFAULT_WAVE_CONFIG };
@@ -0,0 +1,16 @@
+// Server-side weapon table - clients only say which weapon fired, never how much damage it does.
+// The definitions live in shared/weapons.json so the client's weapons match what the server accepts.
+const WeaponTable = require('../shared/weapon-table');
+const definitions = require('../shared/weapons.json');
+
+const WEAPONS = definitions.weapons;
+
+const DEFAULT_WEAPON_ID = definitions.defaultWeapon;
+
+// Damage of a hit from the given weapon at the given distance, after falloff and after
+// losing damage to each of the `penetrated` things the bullet already went through
+function getWeaponDamage(weaponId, distance, penetrated = 0) {
+    return WeaponTable.getDamage(WEAPONS[weaponId], distance, penetrated);
+}
+
+module.exports = { WEAPONS, DEFAULT_WEAPON_ID, getWeaponDamage };
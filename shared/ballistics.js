@@ -0,0 +1,287 @@
+// Projectile flight shared by src/weapon.js (bullet visuals and hit detection) and the server's hit validation
+// (server/hit-detection.js). Both step the same fixed timestep from the same muzzle position and direction,
+// so a bullet follows the same curve on every machine. Per-weapon numbers come from the "ballistics" section
+// of shared/weapons.json; positions and velocities are plain { x, y, z } objects.
+
+const Ballistics = {
+    STEP: 1 / 120, // Seconds per simulation step
+    MAX_FLIGHT_TIME: 3, // Seconds before a bullet is dropped even if it is still in range
+    GROUND_HEIGHT: 0, // Floor height where there is no heightfield
+    GROUND_SAMPLE_SPACING: 1, // The ground is checked this often along a step, well under a terrain cell
+
+    // What bullets collide with on one map: the solid { min, max } boxes, with a SpatialGrid over them so a
+    // step only tests the boxes near it, and the heightfields of its floors (Terrain.build()). The server
+    // and the client build the same one from the same map and terrain seed (GameMap.createLayout()) so
+    // their shots agree.
+    createWorld(boxes, terrain = null) {
+        const SpatialGrid = typeof window !== 'undefined' ? window.SpatialGrid : require('./spatial-grid');
+        return { obstacles: boxes, obstacleGrid: SpatialGrid.build(boxes, box => box), terrain: terrain };
+    },
+
+    // Calls visit(box) for the world's obstacles whose bounds overlap the segment from-to
+    forEachObstacleNear(world, from, to, visit) {
+        if (!world) return;
+        const SpatialGrid = typeof window !== 'undefined' ? window.SpatialGrid : require('./spatial-grid');
+        SpatialGrid.query(world.obstacleGrid, SpatialGrid.segmentBounds(from, to), visit);
+    },
+
+    // Fresh projectile leaving origin along the unit vector direction
+    create(origin, direction, weapon) {
+        const speed = weapon.ballistics.speed;
+        return {
+            position: { x: origin.x, y: origin.y, z: origin.z },
+            velocity: { x: direction.x * speed, y: direction.y * speed, z: direction.z * speed },
+            distance: 0, // Path length flown so far
+            time: 0,
+            alive: true,
+            penetrationsLeft: weapon.ballistics.penetration ? weapon.ballistics.penetration.count : 0,
+            damageMultiplier: 1 // Reduced every time the bullet passes through something
+        };
+    },
+
+    // Advance one STEP: gravity, then drag, then move. Returns the segment flown as
+    // { from, to, length, startDistance, startTime }, or null if the projectile was already spent.
+    // world (from createWorld()) holds the obstacles and ground that stop it; without one only the flat
+    // GROUND_HEIGHT does.
+    step(projectile, weapon, world = null) {
+        if (!projectile.alive) return null;
+
+        const ballistics = weapon.ballistics;
+        const dt = Ballistics.STEP;
+        const velocity = projectile.velocity;
+
+        velocity.y -= ballistics.gravity * dt;
+        const dragFactor = Math.max(0, 1 - ballistics.drag * dt);
+        velocity.x *= dragFactor;
+        velocity.y *= dragFactor;
+        velocity.z *= dragFactor;
+
+        const from = { ...projectile.position };
+        let to = {
+            x: from.x + velocity.x * dt,
+            y: from.y + velocity.y * dt,
+            z: from.z + velocity.z * dt
+        };
+
+        // Cut the step short where it goes into the ground or runs into an obstacle; the bullet ends there
+        let blocked = false;
+        const groundFraction = Ballistics.sweepGround(world, { from, to });
+        if (groundFraction !== null) {
+            to = Ballistics.pointOnSegment({ from, to }, groundFraction);
+            blocked = true;
+        }
+        Ballistics.forEachObstacleNear(world, from, to, box => {
+            const fraction = Ballistics.sweepBox({ from, to }, box);
+            if (fraction !== null) {
+                to = Ballistics.pointOnSegment({ from, to }, fraction);
+                blocked = true;
+            }
+        });
+
+        const deltaX = to.x - from.x;
+        const deltaY = to.y - from.y;
+        const deltaZ = to.z - from.z;
+        const segment = {
+            from: from,
+            to: to,
+            length: Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ),
+            startDistance: projectile.distance,
+            startTime: projectile.time
+        };
+
+        projectile.position = to;
+        projectile.distance += segment.length;
+        projectile.time += dt;
+
+        if (blocked ||
+            projectile.distance >= weapon.range ||
+            projectile.time >= Ballistics.MAX_FLIGHT_TIME) {
+            projectile.alive = false;
+        }
+
+        return segment;
+    },
+
+    // The bullet passed through something: carry on with less damage, or stop if it can't penetrate any more
+    penetrate(projectile, weapon) {
+        if (projectile.penetrationsLeft <= 0) {
+            projectile.alive = false;
+            return false;
+        }
+
+        projectile.penetrationsLeft--;
+        projectile.damageMultiplier *= weapon.ballistics.penetration.damageMultiplier;
+        return true;
+    },
+
+    // Fly a whole shot and return the first point where hitTest(segment) reports contact, as
+    // { distance, time, point }, or null if the bullet is spent first. hitTest returns the fraction
+    // (0..1) of the segment where contact happens, or null.
+    trace(origin, direction, weapon, hitTest, world = null) {
+        const projectile = Ballistics.create(origin, direction, weapon);
+
+        let segment;
+        while ((segment = Ballistics.step(projectile, weapon, world))) {
+            const fraction = hitTest(segment);
+            if (fraction !== null) {
+                return {
+                    distance: segment.startDistance + segment.length * fraction,
+                    time: segment.startTime + Ballistics.STEP * fraction,
+                    point: Ballistics.pointOnSegment(segment, fraction)
+                };
+            }
+        }
+
+        return null;
+    },
+
+    // Height of the ground under x, z: the highest floor of the world's terrain there, or GROUND_HEIGHT
+    getGroundHeight(world, x, z) {
+        if (!world || !world.terrain) return Ballistics.GROUND_HEIGHT;
+        const Terrain = typeof window !== 'undefined' ? window.Terrain : require('./terrain');
+        const height = Terrain.getGroundHeight(world.terrain, x, z);
+        return height === null ? Ballistics.GROUND_HEIGHT : height;
+    },
+
+    // Fraction along the segment where it first goes below the ground, or null if it stays above. Sampled
+    // every GROUND_SAMPLE_SPACING so a fast bullet can't skip through the top of a hill, then interpolated
+    // between the last sample above the ground and the first one below.
+    sweepGround(world, segment) {
+        const deltaX = segment.to.x - segment.from.x;
+        const deltaY = segment.to.y - segment.from.y;
+        const deltaZ = segment.to.z - segment.from.z;
+        const length = Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ);
+        const samples = Math.max(1, Math.ceil(length / Ballistics.GROUND_SAMPLE_SPACING));
+
+        let previousFraction = 0;
+        let previousClearance = segment.from.y - Ballistics.getGroundHeight(world, segment.from.x, segment.from.z);
+        if (previousClearance <= 0) return 0;
+
+        for (let i = 1; i <= samples; i++) {
+            const fraction = i / samples;
+            const point = Ballistics.pointOnSegment(segment, fraction);
+            const clearance = point.y - Ballistics.getGroundHeight(world, point.x, point.z);
+            if (clearance <= 0) {
+                return previousFraction + (fraction - previousFraction) * previousClearance / (previousClearance - clearance);
+            }
+            previousFraction = fraction;
+            previousClearance = clearance;
+        }
+        return null;
+    },
+
+    pointOnSegment(segment, fraction) {
+        return {
+            x: segment.from.x + (segment.to.x - segment.from.x) * fraction,
+            y: segment.from.y + (segment.to.y - segment.from.y) * fraction,
+            z: segment.from.z + (segment.to.z - segment.from.z) * fraction
+        };
+    },
+
+    // Fraction along the segment where it enters the sphere (0 if it starts inside), or null if it misses
+    sweepSphere(segment, center, radius) {
+        if (segment.length === 0) return null;
+
+        const directionX = (segment.to.x - segment.from.x) / segment.length;
+        const directionY = (segment.to.y - segment.from.y) / segment.length;
+        const directionZ = (segment.to.z - segment.from.z) / segment.length;
+        const offsetX = segment.from.x - center.x;
+        const offsetY = segment.from.y - center.y;
+        const offsetZ = segment.from.z - center.z;
+
+        const b = offsetX * directionX + offsetY * directionY + offsetZ * directionZ;
+        const c = offsetX * offsetX + offsetY * offsetY + offsetZ * offsetZ - radius * radius;
+        if (c <= 0) return 0; // Starts inside
+
+        const discriminant = b * b - c;
+        if (discriminant < 0 || b > 0) return null; // Misses, or heading away
+
+        const distance = -b - Math.sqrt(discriminant);
+        return distance <= segment.length ? distance / segment.length : null;
+    },
+
+    // Fraction along the segment where it enters the axis-aligned box { min, max } (0 if it starts inside),
+    // or null if it misses (slab test)
+    sweepBox(segment, box) {
+        let enter = 0;
+        let exit = 1;
+
+        for (const axis of ['x', 'y', 'z']) {
+            const delta = segment.to[axis] - segment.from[axis];
+            if (Math.abs(delta) < 1e-9) {
+                if (segment.from[axis] < box.min[axis] || segment.from[axis] > box.max[axis]) return null;
+                continue;
+            }
+
+            let near = (box.min[axis] - segment.from[axis]) / delta;
+            let far = (box.max[axis] - segment.from[axis]) / delta;
+            if (near > far) [near, far] = [far, near];
+            enter = Math.max(enter, near);
+            exit = Math.min(exit, far);
+            if (enter > exit) return null;
+        }
+
+        return enter;
+    },
+
+    // Fraction along the segment where it passes closest to the capsule's axis, or null if it never comes
+    // within radius of it (closest points between two segments)
+    sweepCapsule(segment, capsuleStart, capsuleEnd, radius) {
+        const d1x = segment.to.x - segment.from.x;
+        const d1y = segment.to.y - segment.from.y;
+        const d1z = segment.to.z - segment.from.z;
+        const d2x = capsuleEnd.x - capsuleStart.x;
+        const d2y = capsuleEnd.y - capsuleStart.y;
+        const d2z = capsuleEnd.z - capsuleStart.z;
+        const rx = segment.from.x - capsuleStart.x;
+        const ry = segment.from.y - capsuleStart.y;
+        const rz = segment.from.z - capsuleStart.z;
+
+        const a = d1x * d1x + d1y * d1y + d1z * d1z;
+        const e = d2x * d2x + d2y * d2y + d2z * d2z;
+        const f = d2x * rx + d2y * ry + d2z * rz;
+        const c = d1x * rx + d1y * ry + d1z * rz;
+        const b = d1x * d2x + d1y * d2y + d1z * d2z;
+
+        // s is the parameter along the bullet segment, t along the capsule axis, both 0..1
+        const clamp = value => Math.max(0, Math.min(1, value));
+        let s;
+        let t;
+        if (a <= 1e-8 && e <= 1e-8) {
+            s = 0;
+            t = 0;
+        } else if (a <= 1e-8) {
+            s = 0;
+            t = clamp(f / e);
+        } else if (e <= 1e-8) {
+            t = 0;
+            s = clamp(-c / a);
+        } else {
+            const denominator = a * e - b * b;
+            s = denominator > 1e-8 ? clamp((b * f - c * e) / denominator) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a);
+            }
+        }
+
+        const deltaX = segment.from.x + d1x * s - (capsuleStart.x + d2x * t);
+        const deltaY = segment.from.y + d1y * s - (capsuleStart.y + d2y * t);
+        const deltaZ = segment.from.z + d1z * s - (capsuleStart.z + d2z * t);
+        return deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ <= radius * radius ? s : null;
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.Ballistics = Ballistics;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ballistics;
+}
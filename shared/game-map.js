@@ -0,0 +1,131 @@
+// Level data shared by src/map-loader.js (builds the world in the browser) and server/maps.js (reads the
+// same file on the server), so both play on the same layout. A map is a JSON file in maps/ declaring:
+//   name
+//   skybox: { images: [px, nx, py, ny, pz, nz], color } - color is used while the images load or if they fail
+//   fog: { color, near, far }
+//   lights: [{ type: 'ambient' | 'directional' | 'hemisphere', color, intensity, position, target, castShadow, shadow }]
+//     pulse makes the intensity swell and fade by that much either way
+//   geometry: [{ name, type: 'plane' | 'box', position, size, material: { color, opacity }, collision, visible }]
+//     Planes are floors: size { x, z }, plus segments and terrain for hills around flat play areas, built
+//     from the room's seed (shared/terrain.js). Boxes are placed by their center with size { x, y, z }. collision: false lets the player walk through it and
+//     visible: false makes an invisible wall. Boxes that collide stop bullets too.
+//   cover: [{ x, z, width, height, depth }] - crates targets hide behind (shared/target-behaviours.js),
+//     drawn with coverMaterial
+//   playerSpawns: [{ x, y, z }] - eye positions players (re)spawn at
+//   targets: { bounds: { minX, maxX, minZ, maxZ }, spawnZones: [{ name, min, max, weight }], initialPositions: [{ x, y, z }] }
+// Positions are plain { x, y, z } objects and colors CSS strings ('#556B2F').
+
+const GameMap = {
+    MAPS_URL: 'maps/', // Relative to the page in the browser, the repo root on the server
+    DEFAULT_MAP_ID: 'arena',
+    GEOMETRY_TYPES: ['plane', 'box'],
+    LIGHT_TYPES: ['ambient', 'directional', 'hemisphere'],
+
+    getUrl(id) {
+        return `${GameMap.MAPS_URL}${id}.json`;
+    },
+
+    // Check parsed map JSON and fill in what it leaves out. Throws if the map can't be played.
+    normalize(data, id) {
+        const fail = message => {
+            throw new Error(`Map "${id}": ${message}`);
+        };
+
+        if (!data || typeof data !== 'object') fail('not a JSON object');
+        if (!Array.isArray(data.geometry) || data.geometry.length === 0) fail('no geometry');
+        if (!Array.isArray(data.playerSpawns) || data.playerSpawns.length === 0) fail('no player spawns');
+        if (!data.playerSpawns.every(GameMap.isPosition)) fail('player spawns need x, y and z');
+
+        data.geometry.forEach((geometry, index) => {
+            if (!GameMap.GEOMETRY_TYPES.includes(geometry.type)) fail(`geometry ${index} has unknown type "${geometry.type}"`);
+            if (geometry.type === 'box' && !(GameMap.isPosition(geometry.position) && GameMap.isPosition(geometry.size))) {
+                fail(`box ${index} needs a position and a size`);
+            }
+            if (geometry.type === 'plane' && !(geometry.size && geometry.size.x > 0 && geometry.size.z > 0)) {
+                fail(`plane ${index} needs a size`);
+            }
+            if (geometry.terrain && !Number.isFinite(geometry.terrain.height)) {
+                fail(`terrain of plane ${index} needs a height`);
+            }
+        });
+        (data.lights || []).forEach((light, index) => {
+            if (!GameMap.LIGHT_TYPES.includes(light.type)) fail(`light ${index} has unknown type "${light.type}"`);
+        });
+
+        const targets = data.targets || {};
+        return {
+            id: id,
+            name: data.name || id,
+            skybox: data.skybox || null,
+            fog: data.fog || null,
+            lights: data.lights || [],
+            geometry: data.geometry.map(geometry => ({ collision: true, visible: true, ...geometry })),
+            cover: data.cover || [],
+            coverMaterial: data.coverMaterial || {},
+            playerSpawns: data.playerSpawns,
+            targets: {
+                bounds: targets.bounds || null, // Missing parts keep the built-in layout
+                spawnZones: targets.spawnZones || null,
+                initialPositions: targets.initialPositions || null
+            }
+        };
+    },
+
+    // What the shared modules need to play on map, handed to them with every call: the target area and
+    // cover (TargetBehaviours), spawn zones (SpawnDirector), the initial target layout (TargetSpawns) and the
+    // boxes and ground bullets stop at (Ballistics), terrain being the map's heightfields (Terrain.build()).
+    // Parts the map leaves out keep the built-in ones. Each server room keeps one for its own map
+    // (server/room.js), the browser one for the map it loaded (src/map-loader.js).
+    createLayout(map, terrain = null) {
+        const TargetBehaviours = GameMap.getModule('TargetBehaviours', './target-behaviours');
+        const SpawnDirector = GameMap.getModule('SpawnDirector', './spawn-director');
+        const TargetSpawns = GameMap.getModule('TargetSpawns', './target-spawns');
+        const Ballistics = GameMap.getModule('Ballistics', './ballistics');
+        const { bounds, spawnZones, initialPositions } = map.targets;
+
+        return {
+            bounds: bounds || TargetBehaviours.BOUNDS,
+            cover: map.cover,
+            spawnZones: spawnZones && spawnZones.length > 0 ? spawnZones : SpawnDirector.ZONES,
+            initialPositions: initialPositions && initialPositions.length > 0 ? initialPositions : TargetSpawns.INITIAL_POSITIONS,
+            world: Ballistics.createWorld(GameMap.getObstacleBoxes(map), terrain)
+        };
+    },
+
+    // { min, max } boxes bullets can't pass through: the cover crates and every box that collides
+    getObstacleBoxes(map) {
+        const TargetBehaviours = GameMap.getModule('TargetBehaviours', './target-behaviours');
+        const coverBoxes = map.cover.map(cover => TargetBehaviours.getCoverBox(cover));
+        const solidBoxes = map.geometry
+            .filter(geometry => geometry.type === 'box' && geometry.collision)
+            .map(geometry => GameMap.getBoxBounds(geometry));
+        return coverBoxes.concat(solidBoxes);
+    },
+
+    // Box geometry is positioned by its center
+    getBoxBounds(geometry) {
+        const { position, size } = geometry;
+        return {
+            min: { x: position.x - size.x / 2, y: position.y - size.y / 2, z: position.z - size.z / 2 },
+            max: { x: position.x + size.x / 2, y: position.y + size.y / 2, z: position.z + size.z / 2 }
+        };
+    },
+
+    isPosition(value) {
+        return !!value && Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+    },
+
+    getModule(name, path) {
+        return typeof window !== 'undefined' ? window[name] : require(path);
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.GameMap = GameMap;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameMap;
+}
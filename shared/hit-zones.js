@@ -0,0 +1,100 @@
+// Hit zones of the cat targets, shared by src/targets.js and src/weapon.js (which zone a bullet hits), the
+// server's hit validation (server/hit-detection.js) and src/local-server.js so damage and points agree.
+// Zones are spheres in the cat model's own space at scale 1, +Z towards the head, measured from
+// models/oiia_cat.glb. The client uses the bounds of head/body/tail nodes instead when the model has them.
+
+const HitZones = {
+    DEFAULT_ZONE: 'body', // A bullet that only grazes the cat's hit sphere still counts as a body hit
+
+    ZONES: {
+        head: { center: { x: 0, y: 0.29, z: 0.22 }, radius: 0.11, damageMultiplier: 2, pointsMultiplier: 1.5 },
+        body: { center: { x: 0, y: 0.17, z: -0.03 }, radius: 0.2, damageMultiplier: 1, pointsMultiplier: 1 },
+        tail: { center: { x: 0, y: 0.19, z: -0.34 }, radius: 0.12, damageMultiplier: 0.5, pointsMultiplier: 1 }
+    },
+
+    isZone(zone) {
+        return typeof zone === 'string' && Object.prototype.hasOwnProperty.call(HitZones.ZONES, zone);
+    },
+
+    // Weapon damage after the zone's multiplier, rounded like WeaponTable.getDamage()
+    applyDamageMultiplier(damage, zone) {
+        const multiplier = HitZones.isZone(zone) ? HitZones.ZONES[zone].damageMultiplier : 1;
+        return Math.round(damage * multiplier * 10) / 10;
+    },
+
+    // Points for destroying a target with a hit in the given zone
+    getPoints(points, zone) {
+        const multiplier = HitZones.isZone(zone) ? HitZones.ZONES[zone].pointsMultiplier : 1;
+        return Math.round(points * multiplier);
+    },
+
+    // Zone spheres in world space for a cat at position, turned rotationY around its vertical axis and
+    // scaled, as [{ zone, center, radius }]. `zones` defaults to ZONES.
+    getWorldZones(position, rotationY, scale, zones = HitZones.ZONES) {
+        const cos = Math.cos(rotationY);
+        const sin = Math.sin(rotationY);
+        return Object.keys(zones).map(zone => {
+            const center = zones[zone].center;
+            return {
+                zone: zone,
+                center: {
+                    x: position.x + (center.x * cos + center.z * sin) * scale,
+                    y: position.y + center.y * scale,
+                    z: position.z + (center.z * cos - center.x * sin) * scale
+                },
+                radius: zones[zone].radius * scale
+            };
+        });
+    },
+
+    // The first zone a bullet entering the cat's hit sphere at point, flying along the unit vector
+    // direction, passes into within `depth`, as { zone, point }. Falls back to DEFAULT_ZONE at the
+    // entry point when it misses them all.
+    classify(point, direction, worldZones, depth) {
+        const Ballistics = typeof window !== 'undefined' ? window.Ballistics : require('./ballistics');
+        const segment = {
+            from: point,
+            to: {
+                x: point.x + direction.x * depth,
+                y: point.y + direction.y * depth,
+                z: point.z + direction.z * depth
+            },
+            length: depth
+        };
+
+        let closest = null;
+        worldZones.forEach(({ zone, center, radius }) => {
+            const fraction = Ballistics.sweepSphere(segment, center, radius);
+            if (fraction !== null && (!closest || fraction < closest.fraction)) {
+                closest = { zone, fraction };
+            }
+        });
+
+        if (!closest) {
+            return { zone: HitZones.DEFAULT_ZONE, point: { ...point } };
+        }
+        return { zone: closest.zone, point: Ballistics.pointOnSegment(segment, closest.fraction) };
+    },
+
+    // How far point is from the given zone of a cat at position, whichever way the cat faces: the distance
+    // to the ring the zone sweeps around the cat's vertical axis, 0 when inside it
+    getDistanceToZoneRing(point, position, scale, zone) {
+        const center = HitZones.ZONES[zone].center;
+        const ringRadius = Math.sqrt(center.x * center.x + center.z * center.z) * scale;
+        const deltaX = point.x - position.x;
+        const deltaZ = point.z - position.z;
+        const horizontal = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ) - ringRadius;
+        const vertical = point.y - (position.y + center.y * scale);
+        return Math.max(0, Math.sqrt(horizontal * horizontal + vertical * vertical) - HitZones.ZONES[zone].radius * scale);
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.HitZones = HitZones;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HitZones;
+}
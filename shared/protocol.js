@@ -0,0 +1,271 @@
+// Binary encoding for the hot-path messages (playerInput and gameUpdate), shared by server.js and src/network.js.
+// Every message starts with the schema version and a message type. The client offers VERSION when it
+// connects and the server answers with a 'protocol' event saying whether binary is on; if the versions
+// don't match (or binary is disabled) both sides keep sending plain JSON objects.
+// Bump VERSION whenever a layout below changes.
+
+const WireProtocol = {
+    VERSION: 2,
+
+    MESSAGE_TYPES: {
+        PLAYER_INPUT: 1,
+        GAME_UPDATE: 2
+    },
+
+    INPUT_FLAGS: {
+        MOVING: 1,
+        CROUCHING: 2,
+        RUNNING: 4,
+        AIMING: 8
+    },
+
+    // Optional fields of a gameUpdate player entry (see shared/snapshot.js), in the bit order of the entry's field mask
+    PLAYER_FIELDS: [
+        ['n', 'string'],
+        ['x', 'int32'],
+        ['y', 'int32'],
+        ['z', 'int32'],
+        ['rx', 'int32'],
+        ['ry', 'int32'],
+        ['f', 'uint8'],
+        ['h', 'uint16'],
+        ['mh', 'uint16'],
+        ['s', 'int32'],
+        ['k', 'uint32'],
+        ['d', 'uint32'],
+        ['a', 'uint32']
+    ],
+
+    // Optional fields of a gameUpdate target entry, in the bit order of the entry's field mask
+    TARGET_FIELDS: [
+        ['x', 'int32'],
+        ['y', 'int32'],
+        ['z', 'int32'],
+        ['vx', 'int32'],
+        ['vy', 'int32'],
+        ['vz', 'int32'],
+        ['ry', 'int32'],
+        ['b', 'uint8'],
+        ['m', 'uint8']
+    ],
+
+    isBinary(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    },
+
+    // playerInput: u8 version, u8 type, u32 sequence, u32 snapshotAck, f32 position x/y/z, f32 rotation x/y,
+    //              f32 velocity x/y/z, u8 flags, string name
+    encodePlayerInput(input) {
+        const flags = WireProtocol.INPUT_FLAGS;
+        const position = input.position || { x: 0, y: 0, z: 0 };
+        const rotation = input.rotation || { x: 0, y: 0 };
+        const velocity = input.velocity || { x: 0, y: 0, z: 0 };
+
+        const writer = new WireWriter();
+        writer.writeHeader(WireProtocol.MESSAGE_TYPES.PLAYER_INPUT);
+        writer.uint32(input.sequence || 0);
+        writer.uint32(input.snapshotAck || 0);
+        writer.float32(position.x);
+        writer.float32(position.y);
+        writer.float32(position.z);
+        writer.float32(rotation.x);
+        writer.float32(rotation.y);
+        writer.float32(velocity.x);
+        writer.float32(velocity.y);
+        writer.float32(velocity.z);
+        writer.uint8((input.isMoving ? flags.MOVING : 0) |
+            (input.isCrouching ? flags.CROUCHING : 0) |
+            (input.isRunning ? flags.RUNNING : 0) |
+            (input.isAiming ? flags.AIMING : 0));
+        writer.string(input.name || '');
+        return writer.finish();
+    },
+
+    decodePlayerInput(data) {
+        const flags = WireProtocol.INPUT_FLAGS;
+        const reader = new WireReader(data);
+        reader.readHeader(WireProtocol.MESSAGE_TYPES.PLAYER_INPUT);
+
+        const input = {
+            sequence: reader.uint32(),
+            snapshotAck: reader.uint32(),
+            position: { x: reader.float32(), y: reader.float32(), z: reader.float32() },
+            rotation: { x: reader.float32(), y: reader.float32() },
+            velocity: { x: reader.float32(), y: reader.float32(), z: reader.float32() }
+        };
+        const inputFlags = reader.uint8();
+        input.isMoving = (inputFlags & flags.MOVING) !== 0;
+        input.isCrouching = (inputFlags & flags.CROUCHING) !== 0;
+        input.isRunning = (inputFlags & flags.RUNNING) !== 0;
+        input.isAiming = (inputFlags & flags.AIMING) !== 0;
+        input.name = reader.string() || undefined;
+        return input;
+    },
+
+    // gameUpdate: u8 version, u8 type, u32 sequence, u32 baseline, f64 gameTime,
+    //             u16 removed count + strings, u16 player count + (string id, u16 field mask, masked fields),
+    //             then the same two lists for targets
+    encodeGameUpdate(message) {
+        const writer = new WireWriter();
+        writer.writeHeader(WireProtocol.MESSAGE_TYPES.GAME_UPDATE);
+        writer.uint32(message.s);
+        writer.uint32(message.b);
+        writer.float64(message.t);
+
+        WireProtocol.writeEntries(writer, message.r, message.p, WireProtocol.PLAYER_FIELDS);
+        WireProtocol.writeEntries(writer, message.gr, message.g, WireProtocol.TARGET_FIELDS);
+
+        return writer.finish();
+    },
+
+    writeEntries(writer, removed = [], entries = [], fields) {
+        writer.uint16(removed.length);
+        removed.forEach(id => writer.string(id));
+
+        writer.uint16(entries.length);
+        entries.forEach(entry => {
+            writer.string(entry.i);
+
+            let mask = 0;
+            fields.forEach(([key], bit) => {
+                if (entry[key] !== undefined) mask |= 1 << bit;
+            });
+            writer.uint16(mask);
+
+            fields.forEach(([key, type], bit) => {
+                if (mask & (1 << bit)) writer[type](entry[key]);
+            });
+        });
+    },
+
+    decodeGameUpdate(data) {
+        const reader = new WireReader(data);
+        reader.readHeader(WireProtocol.MESSAGE_TYPES.GAME_UPDATE);
+
+        const message = {
+            s: reader.uint32(),
+            b: reader.uint32(),
+            t: reader.float64()
+        };
+
+        const players = WireProtocol.readEntries(reader, WireProtocol.PLAYER_FIELDS);
+        message.r = players.removed;
+        message.p = players.entries;
+
+        const targets = WireProtocol.readEntries(reader, WireProtocol.TARGET_FIELDS);
+        message.gr = targets.removed;
+        message.g = targets.entries;
+
+        return message;
+    },
+
+    readEntries(reader, fields) {
+        const removed = [];
+        const removedCount = reader.uint16();
+        for (let i = 0; i < removedCount; i++) {
+            removed.push(reader.string());
+        }
+
+        const entries = [];
+        const entryCount = reader.uint16();
+        for (let i = 0; i < entryCount; i++) {
+            const entry = { i: reader.string() };
+            const mask = reader.uint16();
+            fields.forEach(([key, type], bit) => {
+                if (mask & (1 << bit)) entry[key] = reader[type]();
+            });
+            entries.push(entry);
+        }
+
+        return { removed, entries };
+    }
+};
+
+// Growable little-endian buffer writer
+class WireWriter {
+    constructor(capacity = 256) {
+        this.buffer = new ArrayBuffer(capacity);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        const grown = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes));
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    writeHeader(type) {
+        this.uint8(WireProtocol.VERSION);
+        this.uint8(type);
+    }
+
+    uint8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    uint16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    int32(value) { this.ensure(4); this.view.setInt32(this.offset, value, true); this.offset += 4; }
+    uint32(value) { this.ensure(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    float32(value) { this.ensure(4); this.view.setFloat32(this.offset, value, true); this.offset += 4; }
+    float64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    // UTF-8, prefixed with its byte length
+    string(value) {
+        const bytes = new TextEncoder().encode(value);
+        this.uint16(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    finish() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+// Reads what WireWriter wrote. Accepts an ArrayBuffer (browser) or a Buffer/typed array (Node).
+class WireReader {
+    constructor(data) {
+        this.view = data instanceof ArrayBuffer
+            ? new DataView(data)
+            : new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.offset = 0;
+    }
+
+    readHeader(expectedType) {
+        const version = this.uint8();
+        if (version !== WireProtocol.VERSION) {
+            throw new Error(`Unsupported wire protocol version ${version} (expected ${WireProtocol.VERSION})`);
+        }
+
+        const type = this.uint8();
+        if (type !== expectedType) {
+            throw new Error(`Unexpected message type ${type} (expected ${expectedType})`);
+        }
+    }
+
+    uint8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    uint16() { const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    int32() { const value = this.view.getInt32(this.offset, true); this.offset += 4; return value; }
+    uint32() { const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    float32() { const value = this.view.getFloat32(this.offset, true); this.offset += 4; return value; }
+    float64() { const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+    string() {
+        const length = this.uint16();
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.WireProtocol = WireProtocol;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WireProtocol;
+}
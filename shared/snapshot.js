@@ -0,0 +1,197 @@
+// Snapshot encoding shared by the server (server/room.js) and the browser (src/network.js).
+// Player and target state is quantized to integers and each client only receives what changed since
+// the last snapshot it acknowledged (sent back as `snapshotAck` with its playerInput).
+// A snapshot is { players, targets }, each a Map of id -> quantized state.
+//
+// gameUpdate message: { s: sequence, b: baseline sequence (0 = full snapshot), t: gameTime, p: [changed players], r: [removed ids],
+//                       g: [changed targets], gr: [removed target ids] }
+// Player keys: i id, n name, x/y/z position, rx/ry rotation, f flags, h health, mh max health,
+//              s score, k kills, d deaths, a last processed input
+// Target keys: i id, x/y/z position, vx/vy/vz velocity, ry rotation, b behaviour, m behaviour state
+
+const SnapshotCodec = {
+    POSITION_SCALE: 100, // 1 cm precision
+    ROTATION_SCALE: 1000, // 1 milliradian precision
+    VELOCITY_SCALE: 100, // 1 cm/s precision
+    HISTORY_LENGTH: 32, // Snapshots kept on both ends to serve as baselines (1.6 s at 20 Hz)
+
+    FLAGS: {
+        MOVING: 1,
+        CROUCHING: 2,
+        RUNNING: 4,
+        ALIVE: 8,
+        AIMING: 16
+    },
+
+    // ServerPlayer.toNetworkData() -> compact integer state
+    quantizePlayer(player) {
+        const flags = SnapshotCodec.FLAGS;
+        return {
+            i: player.id,
+            n: player.name,
+            x: Math.round(player.position.x * SnapshotCodec.POSITION_SCALE),
+            y: Math.round(player.position.y * SnapshotCodec.POSITION_SCALE),
+            z: Math.round(player.position.z * SnapshotCodec.POSITION_SCALE),
+            rx: Math.round(player.rotation.x * SnapshotCodec.ROTATION_SCALE),
+            ry: Math.round(player.rotation.y * SnapshotCodec.ROTATION_SCALE),
+            f: (player.isMoving ? flags.MOVING : 0) |
+                (player.isCrouching ? flags.CROUCHING : 0) |
+                (player.isRunning ? flags.RUNNING : 0) |
+                (player.isAlive ? flags.ALIVE : 0) |
+                (player.isAiming ? flags.AIMING : 0),
+            h: Math.ceil(player.health),
+            mh: player.maxHealth,
+            s: player.score,
+            k: player.kills,
+            d: player.deaths,
+            a: player.lastProcessedInput
+        };
+    },
+
+    // Compact state -> the same shape as ServerPlayer.toNetworkData()
+    dequantizePlayer(state) {
+        const flags = SnapshotCodec.FLAGS;
+        return {
+            id: state.i,
+            name: state.n,
+            position: {
+                x: state.x / SnapshotCodec.POSITION_SCALE,
+                y: state.y / SnapshotCodec.POSITION_SCALE,
+                z: state.z / SnapshotCodec.POSITION_SCALE
+            },
+            rotation: {
+                x: state.rx / SnapshotCodec.ROTATION_SCALE,
+                y: state.ry / SnapshotCodec.ROTATION_SCALE
+            },
+            isMoving: (state.f & flags.MOVING) !== 0,
+            isCrouching: (state.f & flags.CROUCHING) !== 0,
+            isRunning: (state.f & flags.RUNNING) !== 0,
+            isAlive: (state.f & flags.ALIVE) !== 0,
+            isAiming: (state.f & flags.AIMING) !== 0,
+            health: state.h,
+            maxHealth: state.mh,
+            score: state.s,
+            kills: state.k,
+            deaths: state.d,
+            lastProcessedInput: state.a
+        };
+    },
+
+    // ServerTarget.toNetworkData() -> compact integer state (only what moves; the rest comes with targetSpawned)
+    quantizeTarget(target) {
+        const behaviours = SnapshotCodec.getTargetBehaviours();
+        return {
+            i: target.id.toString(),
+            x: Math.round(target.position.x * SnapshotCodec.POSITION_SCALE),
+            y: Math.round(target.position.y * SnapshotCodec.POSITION_SCALE),
+            z: Math.round(target.position.z * SnapshotCodec.POSITION_SCALE),
+            vx: Math.round(target.velocity.x * SnapshotCodec.VELOCITY_SCALE),
+            vy: Math.round(target.velocity.y * SnapshotCodec.VELOCITY_SCALE),
+            vz: Math.round(target.velocity.z * SnapshotCodec.VELOCITY_SCALE),
+            ry: Math.round(target.rotation.y * SnapshotCodec.ROTATION_SCALE),
+            b: Math.max(0, behaviours.TYPES.indexOf(target.behaviour.type)),
+            m: Math.max(0, behaviours.STATES.indexOf(target.behaviour.state))
+        };
+    },
+
+    // Compact state -> { id, position, velocity, rotationY, behaviour: { type, state } }
+    dequantizeTarget(state) {
+        const behaviours = SnapshotCodec.getTargetBehaviours();
+        return {
+            id: state.i,
+            position: {
+                x: state.x / SnapshotCodec.POSITION_SCALE,
+                y: state.y / SnapshotCodec.POSITION_SCALE,
+                z: state.z / SnapshotCodec.POSITION_SCALE
+            },
+            velocity: {
+                x: state.vx / SnapshotCodec.VELOCITY_SCALE,
+                y: state.vy / SnapshotCodec.VELOCITY_SCALE,
+                z: state.vz / SnapshotCodec.VELOCITY_SCALE
+            },
+            rotationY: state.ry / SnapshotCodec.ROTATION_SCALE,
+            behaviour: {
+                type: behaviours.TYPES[state.b] || behaviours.TYPES[0],
+                state: behaviours.STATES[state.m] || behaviours.STATES[0]
+            }
+        };
+    },
+
+    getTargetBehaviours() {
+        return typeof window !== 'undefined' ? window.TargetBehaviours : require('./target-behaviours');
+    },
+
+    // Work out what changed between two snapshots. baseline may be null for a full snapshot.
+    // Returns the changed/removed lists of a gameUpdate message: { p, r, g, gr }.
+    diffSnapshot(baseline, current) {
+        const players = SnapshotCodec.diffStates(baseline ? baseline.players : null, current.players);
+        const targets = SnapshotCodec.diffStates(baseline ? baseline.targets : null, current.targets);
+        return { p: players.changed, r: players.removed, g: targets.changed, gr: targets.removed };
+    },
+
+    // What changed between two Maps of id -> quantized state, as { changed, removed }
+    diffStates(baseline, current) {
+        const changed = [];
+        const removed = [];
+
+        current.forEach((state, id) => {
+            const previous = baseline ? baseline.get(id) : null;
+            if (!previous) {
+                changed.push(state);
+                return;
+            }
+
+            // Only the id plus the fields that changed
+            let changes = null;
+            Object.keys(state).forEach(key => {
+                if (state[key] !== previous[key]) {
+                    if (!changes) changes = { i: id };
+                    changes[key] = state[key];
+                }
+            });
+            if (changes) {
+                changed.push(changes);
+            }
+        });
+
+        if (baseline) {
+            baseline.forEach((state, id) => {
+                if (!current.has(id)) {
+                    removed.push(id);
+                }
+            });
+        }
+
+        return { changed, removed };
+    },
+
+    // Rebuild the full snapshot from a baseline snapshot (or null) and a gameUpdate message
+    applySnapshotDelta(baseline, message) {
+        return {
+            players: SnapshotCodec.applyStates(baseline ? baseline.players : null, message.p, message.r),
+            targets: SnapshotCodec.applyStates(baseline ? baseline.targets : null, message.g, message.gr)
+        };
+    },
+
+    applyStates(baseline, changed, removed) {
+        const states = new Map(baseline || []);
+
+        (removed || []).forEach(id => states.delete(id));
+        (changed || []).forEach(changes => {
+            const previous = states.get(changes.i);
+            states.set(changes.i, previous ? { ...previous, ...changes } : changes);
+        });
+
+        return states;
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.SnapshotCodec = SnapshotCodec;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotCodec;
+}
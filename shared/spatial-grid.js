@@ -0,0 +1,95 @@
+// Uniform grid over the ground plane for finding what is near a box without testing everything. Used by
+// Ballistics for the obstacles bullets stop at (client and server), by src/collision.js for the world
+// triangles the player walks into and by src/weapon.js for the targets and players a bullet might hit.
+// Items go in every cell their { min, max } bounds overlap. Height isn't split up - levels are flat enough.
+
+const SpatialGrid = {
+    DEFAULT_CELL_SIZE: 4,
+
+    create(cellSize = SpatialGrid.DEFAULT_CELL_SIZE) {
+        return {
+            cellSize: cellSize,
+            cells: new Map(), // "x,z" -> [{ item, bounds, queryId }]
+            size: 0,
+            queryId: 0 // Bumped every query so items spanning several cells are visited once
+        };
+    },
+
+    // Grid holding items, with getBounds(item) giving each one's { min, max }
+    build(items, getBounds, cellSize = SpatialGrid.DEFAULT_CELL_SIZE) {
+        const grid = SpatialGrid.create(cellSize);
+        items.forEach(item => SpatialGrid.insert(grid, item, getBounds(item)));
+        return grid;
+    },
+
+    insert(grid, item, bounds) {
+        const entry = { item, bounds, queryId: 0 };
+        SpatialGrid.forEachCell(grid, bounds, key => {
+            let cell = grid.cells.get(key);
+            if (!cell) {
+                cell = [];
+                grid.cells.set(key, cell);
+            }
+            cell.push(entry);
+        });
+        grid.size++;
+    },
+
+    clear(grid) {
+        grid.cells.clear();
+        grid.size = 0;
+    },
+
+    // Calls visit(item, bounds) once for each item whose bounds overlap bounds
+    query(grid, bounds, visit) {
+        const queryId = ++grid.queryId;
+        SpatialGrid.forEachCell(grid, bounds, key => {
+            const cell = grid.cells.get(key);
+            if (!cell) return;
+
+            cell.forEach(entry => {
+                if (entry.queryId === queryId) return;
+                entry.queryId = queryId;
+                if (SpatialGrid.overlaps(entry.bounds, bounds)) {
+                    visit(entry.item, entry.bounds);
+                }
+            });
+        });
+    },
+
+    // Bounds of the segment from-to, grown by padding on every side
+    segmentBounds(from, to, padding = 0) {
+        return {
+            min: { x: Math.min(from.x, to.x) - padding, y: Math.min(from.y, to.y) - padding, z: Math.min(from.z, to.z) - padding },
+            max: { x: Math.max(from.x, to.x) + padding, y: Math.max(from.y, to.y) + padding, z: Math.max(from.z, to.z) + padding }
+        };
+    },
+
+    overlaps(a, b) {
+        return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+            a.min.y <= b.max.y && a.max.y >= b.min.y &&
+            a.min.z <= b.max.z && a.max.z >= b.min.z;
+    },
+
+    forEachCell(grid, bounds, callback) {
+        const minX = Math.floor(bounds.min.x / grid.cellSize);
+        const maxX = Math.floor(bounds.max.x / grid.cellSize);
+        const minZ = Math.floor(bounds.min.z / grid.cellSize);
+        const maxZ = Math.floor(bounds.max.z / grid.cellSize);
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                callback(`${x},${z}`);
+            }
+        }
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.SpatialGrid = SpatialGrid;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialGrid;
+}
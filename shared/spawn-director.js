@@ -0,0 +1,171 @@
+// Decides where new targets appear, for shared/target-spawns.js (the server rooms and the single-player
+// local server). Candidate points are drawn from the spawn zones and scored against the players and the
+// targets already out; the best one wins.
+// Players are { position, rotationY } - rotationY is the camera yaw, leave it out if it is not known.
+// layout is the map being played (GameMap.createLayout()): its spawn zones, target area and cover. Leave it
+// out for the built-in ones.
+
+const SpawnDirector = {
+    // Designer-placed spawn zones: boxes to draw candidates from, picked by weight. Maps bring their own
+    // ([{ name, min, max, weight }]).
+    ZONES: [
+        { name: 'front', min: { x: -18, y: 1, z: -20 }, max: { x: 18, y: 4, z: -15 }, weight: 1 },
+        { name: 'middle', min: { x: -20, y: 1, z: -30 }, max: { x: 20, y: 5, z: -20 }, weight: 1.5 },
+        { name: 'back', min: { x: -20, y: 1, z: -40 }, max: { x: 20, y: 5, z: -30 }, weight: 1 }
+    ],
+
+    CANDIDATES: 12, // Candidate points scored per spawn
+
+    // Distances in world units
+    MIN_PLAYER_DISTANCE: 10, // Anything closer is right on top of the player
+    PREFERRED_PLAYER_DISTANCE: { min: 15, max: 35 },
+    CROWDING_RADIUS: 8, // Targets closer than this to each other get in each other's way
+    COVER_CLEARANCE: 1.5, // Room to leave around the cover crates
+    BOUNDS_MARGIN: 2,
+    BEHIND_DOT: -0.2, // Further round than about 100 degrees from where a player looks is behind them
+    EYE_TO_CENTER: 1, // From a target's position up to where a player would aim
+
+    // How much each problem with a candidate costs, in score points
+    PENALTIES: {
+        tooClose: 10, // Per unit inside MIN_PLAYER_DISTANCE
+        outsidePreferred: 1, // Per unit outside PREFERRED_PLAYER_DISTANCE
+        behind: 25,
+        hidden: 15, // Cover between the player and the target
+        crowding: 2, // Per unit inside CROWDING_RADIUS, per target
+        nearBounds: 3 // Per unit inside BOUNDS_MARGIN
+    },
+    JITTER: 2, // Random score on top, so the same situation doesn't always get the same spot
+
+    getZones(layout = null) {
+        return layout ? layout.spawnZones : SpawnDirector.ZONES;
+    },
+
+    // Best spawn position for a new target, given the living players and the positions of the targets out now
+    pickPosition(players = [], targets = [], layout = null) {
+        let best = null;
+        for (let i = 0; i < SpawnDirector.CANDIDATES; i++) {
+            const position = SpawnDirector.randomPointInZone(SpawnDirector.pickZone(layout));
+            const score = SpawnDirector.scorePosition(position, players, targets, layout);
+            if (score !== null && (!best || score > best.score)) {
+                best = { position, score };
+            }
+        }
+
+        // Every candidate was out of bounds or inside a crate: any point of any zone will have to do
+        return best ? best.position : SpawnDirector.randomPointInZone(SpawnDirector.pickZone(layout));
+    },
+
+    // How good a spawn position is (higher is better), or null if a target can't be there at all
+    scorePosition(position, players = [], targets = [], layout = null) {
+        const TargetBehaviours = SpawnDirector.getTargetBehaviours();
+        const bounds = TargetBehaviours.getBounds(layout);
+        if (position.x < bounds.minX || position.x > bounds.maxX || position.z < bounds.minZ || position.z > bounds.maxZ) {
+            return null;
+        }
+
+        const coverBoxes = TargetBehaviours.getCoverBoxes(layout);
+        if (coverBoxes.some(box => SpawnDirector.isNearBox(position, box, SpawnDirector.COVER_CLEARANCE))) {
+            return null;
+        }
+
+        const penalties = SpawnDirector.PENALTIES;
+        let score = Math.random() * SpawnDirector.JITTER;
+
+        players.forEach(player => {
+            score -= SpawnDirector.scorePlayer(position, player, coverBoxes);
+        });
+
+        targets.forEach(target => {
+            const distance = TargetBehaviours.horizontalDistance(position, target);
+            if (distance < SpawnDirector.CROWDING_RADIUS) {
+                score -= (SpawnDirector.CROWDING_RADIUS - distance) * penalties.crowding;
+            }
+        });
+
+        const edgeDistance = Math.min(position.x - bounds.minX, bounds.maxX - position.x, position.z - bounds.minZ, bounds.maxZ - position.z);
+        if (edgeDistance < SpawnDirector.BOUNDS_MARGIN) {
+            score -= (SpawnDirector.BOUNDS_MARGIN - edgeDistance) * penalties.nearBounds;
+        }
+
+        return score;
+    },
+
+    // What a spawn at position costs as far as one player is concerned: too close, too far, behind them
+    // or out of their sight
+    scorePlayer(position, player, coverBoxes) {
+        const TargetBehaviours = SpawnDirector.getTargetBehaviours();
+        const Ballistics = typeof window !== 'undefined' ? window.Ballistics : require('./ballistics');
+        const penalties = SpawnDirector.PENALTIES;
+        const preferred = SpawnDirector.PREFERRED_PLAYER_DISTANCE;
+        const distance = TargetBehaviours.horizontalDistance(position, player.position);
+        let penalty = 0;
+
+        if (distance < SpawnDirector.MIN_PLAYER_DISTANCE) {
+            penalty += (SpawnDirector.MIN_PLAYER_DISTANCE - distance) * penalties.tooClose;
+        }
+        if (distance < preferred.min) {
+            penalty += (preferred.min - distance) * penalties.outsidePreferred;
+        } else if (distance > preferred.max) {
+            penalty += (distance - preferred.max) * penalties.outsidePreferred;
+        }
+
+        if (typeof player.rotationY === 'number' && distance > 0) {
+            const direction = TargetBehaviours.horizontalDirection(player.position, position);
+            const forwardX = -Math.sin(player.rotationY);
+            const forwardZ = -Math.cos(player.rotationY);
+            if (direction.x * forwardX + direction.z * forwardZ < SpawnDirector.BEHIND_DOT) {
+                penalty += penalties.behind;
+            }
+        }
+
+        const segment = {
+            from: player.position,
+            to: { x: position.x, y: position.y + SpawnDirector.EYE_TO_CENTER, z: position.z }
+        };
+        if (coverBoxes.some(box => Ballistics.sweepBox(segment, box) !== null)) {
+            penalty += penalties.hidden;
+        }
+
+        return penalty;
+    },
+
+    pickZone(layout = null) {
+        const zones = SpawnDirector.getZones(layout);
+        const total = zones.reduce((sum, zone) => sum + (zone.weight || 1), 0);
+
+        let roll = Math.random() * total;
+        for (const zone of zones) {
+            roll -= zone.weight || 1;
+            if (roll < 0) return zone;
+        }
+        return zones[0];
+    },
+
+    randomPointInZone(zone) {
+        return {
+            x: zone.min.x + Math.random() * (zone.max.x - zone.min.x),
+            y: zone.min.y + Math.random() * (zone.max.y - zone.min.y),
+            z: zone.min.z + Math.random() * (zone.max.z - zone.min.z)
+        };
+    },
+
+    // Whether position is over box, or within clearance of it, seen from above
+    isNearBox(position, box, clearance) {
+        return position.x > box.min.x - clearance && position.x < box.max.x + clearance &&
+            position.z > box.min.z - clearance && position.z < box.max.z + clearance;
+    },
+
+    getTargetBehaviours() {
+        return typeof window !== 'undefined' ? window.TargetBehaviours : require('./target-behaviours');
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.SpawnDirector = SpawnDirector;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpawnDirector;
+}
@@ -0,0 +1,394 @@
+// How targets move, shared by the server rooms (server/target.js) and the single-player local server
+// (src/local-server.js). Every target gets a behaviour when it spawns and is stepped with the players'
+// positions to react to; the resulting position, velocity and facing go out in the snapshots and
+// src/targets.js only draws them. Positions and velocities are plain { x, y, z } objects.
+// layout is the { bounds, cover } of the map being played (GameMap.createLayout()); leave it out for the
+// built-in BOUNDS and COVER.
+
+const TargetBehaviours = {
+    // Wire codes are the indexes into these lists (see shared/snapshot.js)
+    TYPES: ['idle', 'patrol', 'strafe', 'flee', 'jump', 'hide'],
+    STATES: ['idle', 'moving', 'airborne', 'fleeing', 'hiding', 'peeking'],
+
+    // How often each behaviour is picked for a new target
+    SPAWN_WEIGHTS: { idle: 3, patrol: 2, strafe: 2, flee: 1, jump: 1, hide: 1 },
+
+    // Targets never leave the target area in front of the player spawns. Built-in layout, maps bring their own.
+    BOUNDS: { minX: -25, maxX: 25, minZ: -45, maxZ: -10 },
+
+    // Crates in the target area that hiding targets duck behind. Bullets stop at them (see
+    // GameMap.getObstacleBoxes()) and src/map-loader.js draws them. Tall enough to cover a whole cat.
+    COVER: [
+        { x: -14, z: -22, width: 3, height: 3, depth: 2 },
+        { x: 8, z: -26, width: 3, height: 3, depth: 2 },
+        { x: -4, z: -33, width: 4, height: 3, depth: 2 },
+        { x: 14, z: -37, width: 3, height: 3, depth: 2 }
+    ],
+
+    IDLE_SPIN: 0.25, // Max idle spin in radians per second, either way
+    TURN_SPEED: 4, // Radians per second when turning to face the way the target moves
+    PATROL_SPEED: 3,
+    PATROL_RADIUS: 8, // Waypoints are picked this far around the spawn point at most
+    STRAFE_SPEED: 5,
+    STRAFE_DISTANCE: 4, // Strafing targets sway this far either side of their spawn point
+    FLEE_SPEED: 7,
+    FLEE_RADIUS: 12, // Players closer than this make a fleeing target run
+    JUMP_VELOCITY: 9,
+    JUMP_HOP_SPEED: 2.5, // Sideways speed while in the air
+    JUMP_INTERVAL_MIN: 1.5,
+    JUMP_INTERVAL_RANGE: 2,
+    GRAVITY: 20,
+    HIDE_SPEED: 5,
+    HIDE_TIME: 2.5, // Seconds behind cover before peeking out again
+    PEEK_TIME: 1.5, // Seconds spent out in the open when peeking
+    ARRIVE_DISTANCE: 0.3,
+
+    getBounds(layout = null) {
+        return layout ? layout.bounds : TargetBehaviours.BOUNDS;
+    },
+
+    getCover(layout = null) {
+        return layout ? layout.cover : TargetBehaviours.COVER;
+    },
+
+    pickType() {
+        const types = Object.keys(TargetBehaviours.SPAWN_WEIGHTS);
+        const total = types.reduce((sum, type) => sum + TargetBehaviours.SPAWN_WEIGHTS[type], 0);
+
+        let roll = Math.random() * total;
+        for (const type of types) {
+            roll -= TargetBehaviours.SPAWN_WEIGHTS[type];
+            if (roll < 0) return type;
+        }
+        return types[0];
+    },
+
+    // Behaviour state for a target spawning at position. Unknown types (and hiding with no cover) stay idle.
+    // speedMultiplier scales every movement speed (see shared/target-types.js).
+    create(type, position, speedMultiplier = 1, layout = null) {
+        if (!TargetBehaviours.TYPES.includes(type) || (type === 'hide' && TargetBehaviours.getCover(layout).length === 0)) {
+            type = 'idle';
+        }
+
+        const behaviour = {
+            type: type,
+            state: 'idle',
+            origin: { x: position.x, y: position.y, z: position.z },
+            speed: speedMultiplier,
+            timer: 0
+        };
+
+        switch (type) {
+            case 'idle':
+                behaviour.spin = (Math.random() - 0.5) * 2 * TargetBehaviours.IDLE_SPIN;
+                break;
+            case 'patrol':
+                // A loop through the spawn point and a few points around it
+                behaviour.waypoints = [behaviour.origin];
+                for (let i = 0; i < 3; i++) {
+                    behaviour.waypoints.push(TargetBehaviours.clampToBounds({
+                        x: position.x + (Math.random() - 0.5) * 2 * TargetBehaviours.PATROL_RADIUS,
+                        y: position.y,
+                        z: position.z + (Math.random() - 0.5) * 2 * TargetBehaviours.PATROL_RADIUS
+                    }, layout));
+                }
+                behaviour.waypointIndex = 1;
+                break;
+            case 'strafe': {
+                // Mostly side to side as seen from the players, changing direction at random
+                const angle = (Math.random() - 0.5) * Math.PI / 3;
+                behaviour.axis = { x: Math.cos(angle), z: Math.sin(angle) };
+                behaviour.phase = Math.random() * Math.PI * 2;
+                behaviour.direction = 1;
+                behaviour.timer = TargetBehaviours.randomStrafeTime();
+                break;
+            }
+            case 'jump':
+                behaviour.timer = TargetBehaviours.randomJumpTime();
+                break;
+            case 'hide':
+                behaviour.cover = TargetBehaviours.findNearestCover(position, layout);
+                behaviour.state = 'hiding';
+                behaviour.timer = TargetBehaviours.HIDE_TIME;
+                break;
+        }
+
+        return behaviour;
+    },
+
+    // Advance a target ({ position, rotation, velocity, behaviour }) by deltaTime seconds.
+    // players is a list of positions of the living players it may react to.
+    update(target, deltaTime, players, layout = null) {
+        const behaviour = target.behaviour;
+        if (!behaviour || deltaTime <= 0) return;
+
+        switch (behaviour.type) {
+            case 'patrol':
+                TargetBehaviours.updatePatrol(target, deltaTime);
+                break;
+            case 'strafe':
+                TargetBehaviours.updateStrafe(target, deltaTime);
+                break;
+            case 'flee':
+                TargetBehaviours.updateFlee(target, deltaTime, players);
+                break;
+            case 'jump':
+                TargetBehaviours.updateJump(target, deltaTime);
+                break;
+            case 'hide':
+                TargetBehaviours.updateHide(target, deltaTime, players, layout);
+                break;
+            default:
+                target.velocity = { x: 0, y: 0, z: 0 };
+                target.rotation.y += behaviour.spin * deltaTime;
+                return;
+        }
+
+        target.position = TargetBehaviours.clampToBounds(target.position, layout);
+        TargetBehaviours.faceVelocity(target, deltaTime);
+    },
+
+    updatePatrol(target, deltaTime) {
+        const behaviour = target.behaviour;
+        behaviour.state = 'moving';
+
+        if (TargetBehaviours.moveTowards(target, behaviour.waypoints[behaviour.waypointIndex], TargetBehaviours.PATROL_SPEED * behaviour.speed, deltaTime)) {
+            behaviour.waypointIndex = (behaviour.waypointIndex + 1) % behaviour.waypoints.length;
+        }
+    },
+
+    updateStrafe(target, deltaTime) {
+        const behaviour = target.behaviour;
+        behaviour.state = 'moving';
+
+        // Jink the other way every now and then so the target can't simply be led
+        behaviour.timer -= deltaTime;
+        if (behaviour.timer <= 0) {
+            behaviour.direction = -behaviour.direction;
+            behaviour.timer = TargetBehaviours.randomStrafeTime();
+        }
+
+        const strafeSpeed = TargetBehaviours.STRAFE_SPEED * behaviour.speed;
+        const angularSpeed = strafeSpeed / TargetBehaviours.STRAFE_DISTANCE;
+        behaviour.phase += behaviour.direction * angularSpeed * deltaTime;
+
+        const offset = Math.sin(behaviour.phase) * TargetBehaviours.STRAFE_DISTANCE;
+        const speed = Math.cos(behaviour.phase) * behaviour.direction * strafeSpeed;
+        target.position = {
+            x: behaviour.origin.x + behaviour.axis.x * offset,
+            y: behaviour.origin.y,
+            z: behaviour.origin.z + behaviour.axis.z * offset
+        };
+        target.velocity = { x: behaviour.axis.x * speed, y: 0, z: behaviour.axis.z * speed };
+    },
+
+    updateFlee(target, deltaTime, players) {
+        const behaviour = target.behaviour;
+        const nearest = TargetBehaviours.findNearestPlayer(target.position, players);
+
+        // Run straight away from the closest player, then wander back once nobody is near. Keep running a bit
+        // past FLEE_RADIUS so the target doesn't dither at its edge.
+        const radius = behaviour.state === 'fleeing' ? TargetBehaviours.FLEE_RADIUS * 1.5 : TargetBehaviours.FLEE_RADIUS;
+        if (nearest && nearest.distance < radius) {
+            behaviour.state = 'fleeing';
+            const away = TargetBehaviours.horizontalDirection(nearest.position, target.position);
+            const fleeSpeed = TargetBehaviours.FLEE_SPEED * behaviour.speed;
+            target.velocity = { x: away.x * fleeSpeed, y: 0, z: away.z * fleeSpeed };
+            target.position = {
+                x: target.position.x + target.velocity.x * deltaTime,
+                y: target.position.y,
+                z: target.position.z + target.velocity.z * deltaTime
+            };
+        } else if (TargetBehaviours.moveTowards(target, behaviour.origin, TargetBehaviours.PATROL_SPEED * behaviour.speed, deltaTime)) {
+            behaviour.state = 'idle';
+        } else {
+            behaviour.state = 'moving';
+        }
+    },
+
+    updateJump(target, deltaTime) {
+        const behaviour = target.behaviour;
+        const ground = behaviour.origin.y;
+
+        if (behaviour.state !== 'airborne') {
+            behaviour.timer -= deltaTime;
+            if (behaviour.timer > 0) {
+                target.velocity = { x: 0, y: 0, z: 0 };
+                return;
+            }
+
+            // Hop off in a random direction, or back towards the spawn point after straying too far
+            const fromOrigin = TargetBehaviours.horizontalDirection(behaviour.origin, target.position);
+            const strayed = TargetBehaviours.horizontalDistance(behaviour.origin, target.position) > TargetBehaviours.PATROL_RADIUS / 2;
+            const angle = Math.random() * Math.PI * 2;
+            const hop = strayed ? { x: -fromOrigin.x, z: -fromOrigin.z } : { x: Math.cos(angle), z: Math.sin(angle) };
+            target.velocity = {
+                x: hop.x * TargetBehaviours.JUMP_HOP_SPEED * behaviour.speed,
+                y: TargetBehaviours.JUMP_VELOCITY,
+                z: hop.z * TargetBehaviours.JUMP_HOP_SPEED * behaviour.speed
+            };
+            behaviour.state = 'airborne';
+        }
+
+        target.velocity = { ...target.velocity, y: target.velocity.y - TargetBehaviours.GRAVITY * deltaTime };
+        target.position = {
+            x: target.position.x + target.velocity.x * deltaTime,
+            y: target.position.y + target.velocity.y * deltaTime,
+            z: target.position.z + target.velocity.z * deltaTime
+        };
+
+        if (target.position.y <= ground && target.velocity.y < 0) {
+            target.position = { ...target.position, y: ground };
+            target.velocity = { x: 0, y: 0, z: 0 };
+            behaviour.state = 'idle';
+            behaviour.timer = TargetBehaviours.randomJumpTime();
+        }
+    },
+
+    updateHide(target, deltaTime, players, layout) {
+        const behaviour = target.behaviour;
+        const cover = TargetBehaviours.getCover(layout)[behaviour.cover];
+
+        // Hide on the far side of the crate from the closest player, peek out beside it now and then
+        const nearest = TargetBehaviours.findNearestPlayer(cover, players);
+        const away = nearest ? TargetBehaviours.horizontalDirection(nearest.position, cover) : { x: 0, z: -1 };
+        const side = { x: -away.z, z: away.x };
+        const extent = Math.max(cover.width, cover.depth) / 2;
+
+        let goal;
+        if (behaviour.state === 'peeking') {
+            goal = {
+                x: cover.x + side.x * (extent + 2),
+                y: behaviour.origin.y,
+                z: cover.z + side.z * (extent + 2)
+            };
+        } else {
+            goal = {
+                x: cover.x + away.x * (extent + 1.5),
+                y: 0, // On the floor, below the top of the crate
+                z: cover.z + away.z * (extent + 1.5)
+            };
+        }
+
+        const arrived = TargetBehaviours.moveTowards(target, goal, TargetBehaviours.HIDE_SPEED * behaviour.speed, deltaTime);
+        if (arrived) {
+            behaviour.timer -= deltaTime;
+            if (behaviour.timer <= 0) {
+                const peeking = behaviour.state !== 'peeking';
+                behaviour.state = peeking ? 'peeking' : 'hiding';
+                behaviour.timer = peeking ? TargetBehaviours.PEEK_TIME : TargetBehaviours.HIDE_TIME;
+            }
+        }
+    },
+
+    // Move straight towards goal at speed, setting the velocity. Returns true once there.
+    moveTowards(target, goal, speed, deltaTime) {
+        const deltaX = goal.x - target.position.x;
+        const deltaY = goal.y - target.position.y;
+        const deltaZ = goal.z - target.position.z;
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ);
+
+        if (distance <= TargetBehaviours.ARRIVE_DISTANCE) {
+            target.velocity = { x: 0, y: 0, z: 0 };
+            return true;
+        }
+
+        const step = Math.min(speed * deltaTime, distance);
+        target.velocity = { x: deltaX / distance * speed, y: deltaY / distance * speed, z: deltaZ / distance * speed };
+        target.position = {
+            x: target.position.x + deltaX / distance * step,
+            y: target.position.y + deltaY / distance * step,
+            z: target.position.z + deltaZ / distance * step
+        };
+        return false;
+    },
+
+    // Turn towards the direction of travel (the cat model faces +Z)
+    faceVelocity(target, deltaTime) {
+        const velocity = target.velocity;
+        if (velocity.x * velocity.x + velocity.z * velocity.z < 0.01) return;
+
+        const desired = Math.atan2(velocity.x, velocity.z);
+        let difference = desired - target.rotation.y;
+        difference = Math.atan2(Math.sin(difference), Math.cos(difference)); // Shortest way round
+        const maxTurn = TargetBehaviours.TURN_SPEED * deltaTime;
+        target.rotation.y += Math.max(-maxTurn, Math.min(maxTurn, difference));
+    },
+
+    clampToBounds(position, layout = null) {
+        const bounds = TargetBehaviours.getBounds(layout);
+        return {
+            x: Math.max(bounds.minX, Math.min(bounds.maxX, position.x)),
+            y: Math.max(0, position.y),
+            z: Math.max(bounds.minZ, Math.min(bounds.maxZ, position.z))
+        };
+    },
+
+    // { position, distance } of the closest of the given player positions, or null if there are none
+    findNearestPlayer(position, players) {
+        let nearest = null;
+        (players || []).forEach(playerPosition => {
+            const distance = TargetBehaviours.horizontalDistance(position, playerPosition);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { position: playerPosition, distance: distance };
+            }
+        });
+        return nearest;
+    },
+
+    // Index into the layout's cover of the crate closest to position
+    findNearestCover(position, layout = null) {
+        let nearestIndex = 0;
+        const covers = TargetBehaviours.getCover(layout);
+        covers.forEach((cover, index) => {
+            if (TargetBehaviours.horizontalDistance(position, cover) < TargetBehaviours.horizontalDistance(position, covers[nearestIndex])) {
+                nearestIndex = index;
+            }
+        });
+        return nearestIndex;
+    },
+
+    // The layout's cover crates as { min, max } boxes
+    getCoverBoxes(layout = null) {
+        return TargetBehaviours.getCover(layout).map(cover => TargetBehaviours.getCoverBox(cover));
+    },
+
+    // One crate as a { min, max } box, standing on the floor
+    getCoverBox(cover) {
+        return {
+            min: { x: cover.x - cover.width / 2, y: 0, z: cover.z - cover.depth / 2 },
+            max: { x: cover.x + cover.width / 2, y: cover.height, z: cover.z + cover.depth / 2 }
+        };
+    },
+
+    horizontalDistance(from, to) {
+        const deltaX = to.x - from.x;
+        const deltaZ = to.z - from.z;
+        return Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
+    },
+
+    // Unit { x, z } pointing from `from` to `to` on the ground plane (straight ahead if they overlap)
+    horizontalDirection(from, to) {
+        const distance = TargetBehaviours.horizontalDistance(from, to);
+        if (distance < 0.001) return { x: 0, z: -1 };
+        return { x: (to.x - from.x) / distance, z: (to.z - from.z) / distance };
+    },
+
+    randomStrafeTime() {
+        return 1 + Math.random() * 1.5;
+    },
+
+    randomJumpTime() {
+        return TargetBehaviours.JUMP_INTERVAL_MIN + Math.random() * TargetBehaviours.JUMP_INTERVAL_RANGE;
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.TargetBehaviours = TargetBehaviours;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetBehaviours;
+}
@@ -0,0 +1,83 @@
+// Where and how targets spawn, shared by the server rooms (server/room.js) and the
+// single-player local server (src/local-server.js) so both modes play the same. layout is the map being
+// played (GameMap.createLayout()); leave it out for the built-in one.
+
+const TargetSpawns = {
+    // Fixed layout every room starts (and every round restarts) with. Built-in layout, maps bring their own.
+    INITIAL_POSITIONS: [
+        { x: 0, y: 2, z: -15 },
+        { x: -8, y: 1.5, z: -20 },
+        { x: 8, y: 2.5, z: -18 },
+        { x: -5, y: 1, z: -25 },
+        { x: 5, y: 3, z: -22 },
+        { x: 0, y: 1.5, z: -30 },
+        { x: -12, y: 2, z: -35 },
+        { x: 12, y: 1.8, z: -32 }
+    ],
+
+    // How often each target type (shared/target-types.js) spawns in each game mode
+    SPAWN_TABLES: {
+        singleplayer: { standard: 60, armored: 10, fast: 12, explosive: 8, golden: 4, decoy: 6 },
+        multiplayer: { standard: 50, armored: 12, fast: 12, explosive: 10, golden: 6, decoy: 10 },
+        waves: { standard: 55, armored: 15, fast: 15, explosive: 10, golden: 5 } // No decoys to hold up a wave
+    },
+    DEFAULT_MODE: 'multiplayer',
+
+    // Delay before a destroyed target is replaced, in milliseconds
+    RESPAWN_DELAY_MIN: 2000,
+    RESPAWN_DELAY_RANGE: 3000,
+
+    getInitialPositions(layout = null) {
+        return layout ? layout.initialPositions : TargetSpawns.INITIAL_POSITIONS;
+    },
+
+    // { position, options } for each target of the initial layout
+    getInitialSpawns(mode, layout = null) {
+        return TargetSpawns.getInitialPositions(layout).map(position => ({
+            position: { ...position },
+            options: TargetSpawns.getTargetTypes().createOptions(TargetSpawns.pickType(mode))
+        }));
+    },
+
+    // { position, options } for a replacement target somewhere in front of the players, placed by
+    // SpawnDirector from the living players ({ position, rotationY }) and the positions of the targets out now
+    getRandomSpawn(mode, players = [], targets = [], layout = null) {
+        const SpawnDirector = typeof window !== 'undefined' ? window.SpawnDirector : require('./spawn-director');
+        return {
+            position: SpawnDirector.pickPosition(players, targets, layout),
+            options: TargetSpawns.getTargetTypes().createOptions(TargetSpawns.pickType(mode))
+        };
+    },
+
+    // A target type from the game mode's spawn table
+    pickType(mode) {
+        const table = TargetSpawns.SPAWN_TABLES[mode] || TargetSpawns.SPAWN_TABLES[TargetSpawns.DEFAULT_MODE];
+        const types = Object.keys(table);
+        const total = types.reduce((sum, type) => sum + table[type], 0);
+
+        let roll = Math.random() * total;
+        for (const type of types) {
+            roll -= table[type];
+            if (roll < 0) return type;
+        }
+        return types[0];
+    },
+
+    getTargetTypes() {
+        return typeof window !== 'undefined' ? window.TargetTypes : require('./target-types');
+    },
+
+    getRespawnDelay() {
+        return TargetSpawns.RESPAWN_DELAY_MIN + Math.random() * TargetSpawns.RESPAWN_DELAY_RANGE;
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.TargetSpawns = TargetSpawns;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetSpawns;
+}
@@ -0,0 +1,134 @@
+// Target archetypes, shared by the server rooms (server/room.js, server/target.js), the single-player local
+// server (src/local-server.js) and src/targets.js, which draws them. Which ones spawn, and how often,
+// is up to the spawn tables in shared/target-spawns.js.
+// health and points are { min, max } ranges rolled per target; tint is blended into the cat's own colours.
+
+const TargetTypes = {
+    DEFAULT_TYPE: 'standard',
+
+    TYPES: {
+        standard: {
+            name: 'Cat',
+            health: { min: 75, max: 125 },
+            points: { min: 10, max: 30 },
+            scale: 5,
+            tint: null,
+            speedMultiplier: 1,
+            behaviours: null, // Any behaviour, by TargetBehaviours.SPAWN_WEIGHTS
+            deathEffect: 'burst'
+        },
+        armored: {
+            name: 'Armored Cat',
+            health: { min: 150, max: 200 },
+            points: { min: 30, max: 40 },
+            scale: 5.8,
+            tint: 0x7f8c9d,
+            speedMultiplier: 0.6,
+            behaviours: ['idle', 'patrol', 'hide'],
+            armor: { body: 0.5, tail: 0.5 }, // Damage multipliers on top of the hit zone's; aim for the head
+            deathEffect: 'burst'
+        },
+        fast: {
+            name: 'Fast Cat',
+            health: { min: 40, max: 60 },
+            points: { min: 20, max: 35 },
+            scale: 4.2,
+            tint: 0x3fa9f5,
+            speedMultiplier: 1.8,
+            behaviours: ['patrol', 'strafe', 'flee', 'jump'],
+            deathEffect: 'burst'
+        },
+        explosive: {
+            name: 'Explosive Cat',
+            health: { min: 50, max: 80 },
+            points: { min: 15, max: 25 },
+            scale: 5,
+            tint: 0xff5a1f,
+            speedMultiplier: 1,
+            behaviours: null,
+            explosion: { radius: 8, damage: 80 }, // Damage to other targets, falling off to nothing at the radius
+            deathEffect: 'explosion'
+        },
+        golden: {
+            name: 'Golden Cat',
+            health: { min: 30, max: 40 },
+            points: { min: 75, max: 100 },
+            scale: 4.5,
+            tint: 0xffd700,
+            speedMultiplier: 1.5,
+            behaviours: ['flee', 'strafe', 'jump'],
+            lifetime: 6000, // Milliseconds before it gets away
+            deathEffect: 'sparkle'
+        },
+        decoy: {
+            name: 'Decoy Cat',
+            health: { min: 40, max: 60 },
+            points: { min: -25, max: -25 }, // Shooting it costs points
+            scale: 5,
+            tint: 0xffc0e0, // Only a faint pink gives it away
+            speedMultiplier: 1,
+            behaviours: null,
+            deathEffect: 'puff'
+        }
+    },
+
+    isType(type) {
+        return typeof type === 'string' && Object.prototype.hasOwnProperty.call(TargetTypes.TYPES, type);
+    },
+
+    get(type) {
+        return TargetTypes.TYPES[TargetTypes.isType(type) ? type : TargetTypes.DEFAULT_TYPE];
+    },
+
+    // Spawn options (see ServerTarget) for a new target of the given type
+    createOptions(type) {
+        const TargetBehaviours = typeof window !== 'undefined' ? window.TargetBehaviours : require('./target-behaviours');
+        const archetype = TargetTypes.get(type);
+        const behaviours = archetype.behaviours;
+
+        return {
+            type: TargetTypes.isType(type) ? type : TargetTypes.DEFAULT_TYPE,
+            health: TargetTypes.roll(archetype.health),
+            points: Math.round(TargetTypes.roll(archetype.points)),
+            scale: archetype.scale,
+            behaviour: behaviours ? behaviours[Math.floor(Math.random() * behaviours.length)] : TargetBehaviours.pickType(),
+            speedMultiplier: archetype.speedMultiplier
+        };
+    },
+
+    // Damage a hit in the given zone does to a target of this type: the zone multiplier, then its armor
+    getDamage(damage, type, zone) {
+        const HitZones = typeof window !== 'undefined' ? window.HitZones : require('./hit-zones');
+        const armor = TargetTypes.get(type).armor;
+        const multiplier = armor && armor[zone] !== undefined ? armor[zone] : 1;
+        return Math.round(HitZones.applyDamageMultiplier(damage, zone) * multiplier * 10) / 10;
+    },
+
+    // Damage an exploding target at `from` does to a target at `to`, or 0 if it is out of reach
+    getExplosionDamage(type, from, to) {
+        const explosion = TargetTypes.get(type).explosion;
+        if (!explosion) return 0;
+
+        const deltaX = to.x - from.x;
+        const deltaY = to.y - from.y;
+        const deltaZ = to.z - from.z;
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ);
+        if (distance >= explosion.radius) return 0;
+
+        return Math.round(explosion.damage * (1 - distance / explosion.radius) * 10) / 10;
+    },
+
+    roll(range) {
+        return range.min + Math.random() * (range.max - range.min);
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.TargetTypes = TargetTypes;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetTypes;
+}
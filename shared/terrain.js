@@ -0,0 +1,178 @@
+// Seeded hills for the floors of a map (shared/game-map.js). A plane with a terrain section gets its heights
+// from value noise driven by the room's seed, so every client builds the same ground (src/map-loader.js)
+// and the server samples the same heightfield when checking movement (server/player.js). Bullets stop where
+// they go into it on both sides (Ballistics.sweepGround()). The flat areas the map lists stay at the
+// plane's own height, rising into hills over falloff units around them.
+//   terrain: { height, scale, octaves, falloff, flatAreas: [{ minX, maxX, minZ, maxZ }] }
+
+const Terrain = {
+    DEFAULT_SEED: 1, // Until the server says otherwise
+    DEFAULT_SCALE: 30, // Size of the biggest hills
+    DEFAULT_OCTAVES: 3,
+    DEFAULT_FALLOFF: 10,
+    LATTICE_SIZE: 256, // Noise repeats after this many hills
+
+    randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    },
+
+    // Heightfield for plane geometry: heights[iz * (segments + 1) + ix] is the vertex ix along x and iz
+    // along z from the plane's min corner, the same order as the vertices of its PlaneGeometry
+    create(definition, seed) {
+        const segments = definition.segments || 1;
+        const position = definition.position || { x: 0, y: 0, z: 0 };
+        const field = {
+            minX: position.x - definition.size.x / 2,
+            minZ: position.z - definition.size.z / 2,
+            baseY: position.y,
+            cellX: definition.size.x / segments,
+            cellZ: definition.size.z / segments,
+            segments: segments,
+            heights: new Float32Array((segments + 1) * (segments + 1))
+        };
+
+        const terrain = definition.terrain;
+        if (!terrain) return field; // Flat floor
+
+        const noise = Terrain.createNoise(seed);
+        const scale = terrain.scale || Terrain.DEFAULT_SCALE;
+        const octaves = terrain.octaves || Terrain.DEFAULT_OCTAVES;
+        const falloff = terrain.falloff || Terrain.DEFAULT_FALLOFF;
+        const flatAreas = terrain.flatAreas || [];
+
+        for (let iz = 0; iz <= segments; iz++) {
+            for (let ix = 0; ix <= segments; ix++) {
+                const x = field.minX + ix * field.cellX;
+                const z = field.minZ + iz * field.cellZ;
+
+                // Fractal noise: each octave half the size and half the height of the last
+                let value = 0;
+                let amplitude = 1;
+                let total = 0;
+                for (let octave = 0; octave < octaves; octave++) {
+                    const frequency = Math.pow(2, octave) / scale;
+                    value += noise(x * frequency, z * frequency) * amplitude;
+                    total += amplitude;
+                    amplitude /= 2;
+                }
+
+                const distance = Math.min(...flatAreas.map(area => Terrain.getDistanceToArea(area, x, z)));
+                const rise = Terrain.smoothstep(Math.min(1, distance / falloff)); // Infinity without flat areas
+                field.heights[iz * (segments + 1) + ix] = (value / total) * terrain.height * rise;
+            }
+        }
+        return field;
+    },
+
+    // Heightfields for every floor of a map
+    build(map, seed) {
+        return map.geometry
+            .filter(geometry => geometry.type === 'plane')
+            .map(geometry => Terrain.create(geometry, seed));
+    },
+
+    // Ground height at x, z on the highest floor there, or null off every floor
+    getGroundHeight(fields, x, z) {
+        let ground = null;
+        fields.forEach(field => {
+            const height = Terrain.getHeight(field, x, z);
+            if (height !== null && (ground === null || height > ground)) {
+                ground = height;
+            }
+        });
+        return ground;
+    },
+
+    // Height of one heightfield at x, z, or null outside it. Interpolates across the same two triangles per
+    // cell the mesh is made of, so it matches what the player stands on exactly.
+    getHeight(field, x, z) {
+        const u = (x - field.minX) / field.cellX;
+        const v = (z - field.minZ) / field.cellZ;
+        if (u < 0 || v < 0 || u > field.segments || v > field.segments) return null;
+
+        const ix = Math.min(Math.floor(u), field.segments - 1);
+        const iz = Math.min(Math.floor(v), field.segments - 1);
+        const fx = u - ix;
+        const fz = v - iz;
+
+        const row = field.segments + 1;
+        const corner = iz * row + ix;
+        const h00 = field.heights[corner];
+        const h10 = field.heights[corner + 1];
+        const h01 = field.heights[corner + row];
+        const h11 = field.heights[corner + row + 1];
+
+        // Cells are split along the diagonal from (ix, iz + 1) to (ix + 1, iz)
+        const height = fx + fz <= 1
+            ? h00 + (h10 - h00) * fx + (h01 - h00) * fz
+            : h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+        return field.baseY + height;
+    },
+
+    getDistanceToArea(area, x, z) {
+        const dx = Math.max(area.minX - x, 0, x - area.maxX);
+        const dz = Math.max(area.minZ - z, 0, z - area.maxZ);
+        return Math.sqrt(dx * dx + dz * dz);
+    },
+
+    // Smooth 2D value noise between 0 and 1, the same for the same seed everywhere
+    createNoise(seed) {
+        const random = Terrain.createRandom(seed);
+        const size = Terrain.LATTICE_SIZE;
+        const values = new Float32Array(size);
+        const permutation = new Uint16Array(size * 2);
+        for (let i = 0; i < size; i++) {
+            values[i] = random();
+            permutation[i] = i;
+        }
+        for (let i = size - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+        for (let i = 0; i < size; i++) {
+            permutation[size + i] = permutation[i];
+        }
+
+        const lattice = (x, z) => values[permutation[permutation[x & (size - 1)] + (z & (size - 1))]];
+        return (x, z) => {
+            const x0 = Math.floor(x);
+            const z0 = Math.floor(z);
+            const fx = Terrain.smoothstep(x - x0);
+            const fz = Terrain.smoothstep(z - z0);
+            const top = Terrain.lerp(lattice(x0, z0), lattice(x0 + 1, z0), fx);
+            const bottom = Terrain.lerp(lattice(x0, z0 + 1), lattice(x0 + 1, z0 + 1), fx);
+            return Terrain.lerp(top, bottom, fz);
+        };
+    },
+
+    // Mulberry32: small, fast and the same sequence in every JavaScript engine
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    },
+
+    // Eases 0..1 in and out, for gentle slopes
+    smoothstep(t) {
+        return t * t * (3 - 2 * t);
+    },
+
+    lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.Terrain = Terrain;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Terrain;
+}
@@ -0,0 +1,56 @@
+// Rules for the weapon definitions in shared/weapons.json, shared by server/weapons.js, src/weapon.js and
+// src/local-server.js so damage comes out the same everywhere. The server requires the JSON directly;
+// the browser fetches it once through load().
+
+const WeaponTable = {
+    DEFINITIONS_URL: 'shared/weapons.json',
+
+    definitionsPromise: null,
+
+    // Browser only: resolves to the parsed shared/weapons.json
+    load() {
+        if (!WeaponTable.definitionsPromise) {
+            WeaponTable.definitionsPromise = fetch(WeaponTable.DEFINITIONS_URL).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${WeaponTable.DEFINITIONS_URL}: ${response.status}`);
+                }
+                return response.json();
+            });
+        }
+        return WeaponTable.definitionsPromise;
+    },
+
+    // Damage of one hit at the given distance: full damage up to falloff.start, then linearly down to
+    // damage * falloff.minMultiplier at falloff.end and beyond. Each of the `penetrated` things the bullet
+    // passed through first takes its ballistics.penetration.damageMultiplier off as well.
+    getDamage(weapon, distance, penetrated = 0) {
+        let multiplier = 1;
+
+        const falloff = weapon.falloff;
+        if (falloff && Number.isFinite(distance) && distance > falloff.start) {
+            const progress = Math.min(1, (distance - falloff.start) / Math.max(falloff.end - falloff.start, 0.001));
+            multiplier = 1 - progress * (1 - falloff.minMultiplier);
+        }
+
+        const penetration = weapon.ballistics && weapon.ballistics.penetration;
+        if (penetration && penetrated > 0) {
+            multiplier *= Math.pow(penetration.damageMultiplier, penetrated);
+        }
+
+        return Math.round(weapon.damage * multiplier * 10) / 10;
+    },
+
+    isAutomatic(weapon) {
+        return weapon.fireMode === 'auto';
+    }
+};
+
+// Global for the browser
+if (typeof window !== 'undefined') {
+    window.WeaponTable = WeaponTable;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeaponTable;
+}
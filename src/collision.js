@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+
+// Capsule-vs-world collision for the local player (src/player.js). The static world meshes are baked
+// into world-space triangles and indexed in a SpatialGrid (shared/spatial-grid.js) once per map
+// (setMeshes), so each query only tests the triangles in the cells around the capsule.
+
+const EPSILON = 1e-8;
+
+// A vertical segment swept by a sphere: the player's body from the centre of the feet sphere (start)
+// to the centre of the head sphere (end)
+export class Capsule {
+    constructor(start = new THREE.Vector3(), end = new THREE.Vector3(), radius = 0.3) {
+        this.start = start;
+        this.end = end;
+        this.radius = radius;
+    }
+
+    // Stand the capsule on feet, height tall
+    setFromFeet(feet, height, radius = this.radius) {
+        this.radius = radius;
+        this.start.set(feet.x, feet.y + radius, feet.z);
+        this.end.set(feet.x, feet.y + Math.max(radius, height - radius), feet.z);
+        return this;
+    }
+
+    getBounds(target) {
+        target.makeEmpty();
+        target.expandByPoint(this.start);
+        target.expandByPoint(this.end);
+        target.expandByScalar(this.radius);
+        return target;
+    }
+}
+
+export class WorldCollider {
+    constructor() {
+        this.grid = window.SpatialGrid.create(); // { triangle, normal, bounds } entries
+        this.triangleCount = 0;
+        this.bounds = new THREE.Box3(); // Reused by capsuleIntersect()
+
+        // Scratch vectors for the closest point searches
+        this.segmentPoint = new THREE.Vector3();
+        this.trianglePoint = new THREE.Vector3();
+        this.candidateSegmentPoint = new THREE.Vector3();
+        this.candidateTrianglePoint = new THREE.Vector3();
+    }
+
+    // Bake the meshes' current world transforms into triangles and index them. The static world only:
+    // meshes that move need another call.
+    setMeshes(meshes) {
+        const triangles = [];
+        meshes
+            .filter(mesh => mesh.isMesh && mesh.geometry && mesh.geometry.attributes.position)
+            .forEach(mesh => this.bakeMesh(mesh, triangles));
+
+        this.grid = window.SpatialGrid.build(triangles, entry => entry.bounds);
+        this.triangleCount = triangles.length;
+        console.log(`🧱 World collision: ${meshes.length} meshes, ${triangles.length} triangles in ${this.grid.cells.size} grid cells`);
+    }
+
+    bakeMesh(mesh, triangles) {
+        mesh.updateWorldMatrix(true, false);
+        const position = mesh.geometry.attributes.position;
+        const index = mesh.geometry.index;
+        const count = index ? index.count : position.count;
+
+        const vertex = i => new THREE.Vector3()
+            .fromBufferAttribute(position, index ? index.getX(i) : i)
+            .applyMatrix4(mesh.matrixWorld);
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            const triangle = new THREE.Triangle(vertex(i), vertex(i + 1), vertex(i + 2));
+            if (triangle.getArea() < EPSILON) continue; // Degenerate, nothing to stand on
+
+            const bounds = new THREE.Box3().setFromPoints([triangle.a, triangle.b, triangle.c]);
+            triangles.push({ triangle, normal: triangle.getNormal(new THREE.Vector3()), bounds });
+        }
+    }
+
+    // Deepest overlap between the capsule and the world as { normal, depth, faceNormal }, or null if the
+    // capsule is clear. normal points out of the world towards the capsule; faceNormal is the normal of
+    // the triangle touched, which differs from it when the capsule rests on an edge or corner.
+    capsuleIntersect(capsule) {
+        const bounds = capsule.getBounds(this.bounds);
+        let deepest = null;
+
+        window.SpatialGrid.query(this.grid, bounds, entry => {
+            const hit = this.triangleCapsuleIntersect(capsule, entry);
+            if (hit && (!deepest || hit.depth > deepest.depth + EPSILON ||
+                (hit.depth > deepest.depth - EPSILON && hit.faceNormal.y > deepest.faceNormal.y))) {
+                deepest = hit; // On an edge shared by a floor and a wall, the floor wins
+            }
+        });
+
+        return deepest;
+    }
+
+    triangleCapsuleIntersect(capsule, { triangle, normal }) {
+        const distance = this.closestPointsToTriangle(capsule.start, capsule.end, triangle, normal);
+        if (distance >= capsule.radius) return null;
+
+        // The capsule's axis goes right through the triangle: push out along the face to clear the
+        // endpoint that got behind it
+        if (distance < EPSILON) {
+            const behind = Math.min(
+                normal.dot(this.trianglePoint.copy(capsule.start).sub(triangle.a)),
+                normal.dot(this.trianglePoint.copy(capsule.end).sub(triangle.a))
+            );
+            return { normal: normal.clone(), depth: capsule.radius - behind, faceNormal: normal };
+        }
+
+        return {
+            normal: this.segmentPoint.clone().sub(this.trianglePoint).divideScalar(distance),
+            depth: capsule.radius - distance,
+            faceNormal: normal
+        };
+    }
+
+    // Distance between the segment start-end and the triangle, leaving the closest points in
+    // segmentPoint and trianglePoint
+    closestPointsToTriangle(start, end, triangle, normal) {
+        // Crossing the triangle's plane inside the triangle
+        const startSide = normal.dot(this.segmentPoint.copy(start).sub(triangle.a));
+        const endSide = normal.dot(this.segmentPoint.copy(end).sub(triangle.a));
+        if (startSide * endSide <= 0 && Math.abs(startSide - endSide) > EPSILON) {
+            this.segmentPoint.copy(start).lerp(end, startSide / (startSide - endSide));
+            if (triangle.containsPoint(this.segmentPoint)) {
+                this.trianglePoint.copy(this.segmentPoint);
+                return 0;
+            }
+        }
+
+        // Otherwise the closest points are an endpoint over the face, or on one of the edges
+        let closest = Infinity;
+        const consider = (segmentPoint, trianglePoint) => {
+            const distance = segmentPoint.distanceTo(trianglePoint);
+            if (distance < closest) {
+                closest = distance;
+                this.segmentPoint.copy(segmentPoint);
+                this.trianglePoint.copy(trianglePoint);
+            }
+        };
+
+        [start, end].forEach(point => {
+            consider(point, triangle.closestPointToPoint(point, this.candidateTrianglePoint));
+        });
+        [[triangle.a, triangle.b], [triangle.b, triangle.c], [triangle.c, triangle.a]].forEach(([edgeStart, edgeEnd]) => {
+            closestPointsBetweenSegments(start, end, edgeStart, edgeEnd, this.candidateSegmentPoint, this.candidateTrianglePoint);
+            consider(this.candidateSegmentPoint, this.candidateTrianglePoint);
+        });
+
+        return closest;
+    }
+}
+
+// Closest points between the segments p1-q1 and p2-q2, written to target1 and target2
+function closestPointsBetweenSegments(p1, q1, p2, q2, target1, target2) {
+    const d1x = q1.x - p1.x, d1y = q1.y - p1.y, d1z = q1.z - p1.z;
+    const d2x = q2.x - p2.x, d2y = q2.y - p2.y, d2z = q2.z - p2.z;
+    const rx = p1.x - p2.x, ry = p1.y - p2.y, rz = p1.z - p2.z;
+    const a = d1x * d1x + d1y * d1y + d1z * d1z;
+    const e = d2x * d2x + d2y * d2y + d2z * d2z;
+    const f = d2x * rx + d2y * ry + d2z * rz;
+
+    let s = 0;
+    let t = 0;
+    if (a < EPSILON && e < EPSILON) {
+        // Both are points
+    } else if (a < EPSILON) {
+        t = clamp01(f / e);
+    } else {
+        const c = d1x * rx + d1y * ry + d1z * rz;
+        if (e < EPSILON) {
+            s = clamp01(-c / a);
+        } else {
+            const b = d1x * d2x + d1y * d2y + d1z * d2z;
+            const denominator = a * e - b * b;
+            s = denominator > EPSILON ? clamp01((b * f - c * e) / denominator) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = clamp01(-c / a);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp01((b - c) / a);
+            }
+        }
+    }
+
+    target1.set(p1.x + d1x * s, p1.y + d1y * s, p1.z + d1z * s);
+    target2.set(p2.x + d2x * t, p2.y + d2y * t, p2.z + d2z * t);
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
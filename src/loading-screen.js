@@ -144,6 +144,11 @@ class LoadingScreen {
         this.nameContainer.appendChild(nameLabel);
         this.nameContainer.appendChild(this.nameInput);
 
+        // Room picker (shown next to the name input) - single player has no rooms to pick from
+        if (window.gameMode !== 'singleplayer') {
+            this.createRoomPicker();
+        }
+
         // Systems list
         this.systemsList = document.createElement('div');
         this.systemsList.style.cssText = `
@@ -203,6 +208,151 @@ class LoadingScreen {
         document.body.appendChild(this.element);
     }
 
+    createRoomPicker() {
+        this.roomContainer = document.createElement('div');
+        this.roomContainer.style.cssText = `
+            margin-top: 1rem;
+            text-align: left;
+        `;
+
+        const roomLabel = document.createElement('label');
+        roomLabel.textContent = 'Room:';
+        roomLabel.style.cssText = `
+            display: block;
+            margin-bottom: 0.5rem;
+            font-size: 1em;
+            color: #ffffff;
+        `;
+
+        const roomRow = document.createElement('div');
+        roomRow.style.cssText = `
+            display: flex;
+            gap: 0.5rem;
+        `;
+
+        const fieldStyle = `
+            padding: 0.8rem;
+            border: 2px solid rgba(255,255,255,0.3);
+            border-radius: 8px;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            font-size: 1em;
+            outline: none;
+        `;
+
+        this.roomSelect = document.createElement('select');
+        this.roomSelect.style.cssText = fieldStyle + 'flex: 1;';
+        this.roomSelect.addEventListener('change', () => {
+            this.updateRoomNameVisibility();
+        });
+
+        this.refreshRoomsButton = document.createElement('button');
+        this.refreshRoomsButton.textContent = '↻';
+        this.refreshRoomsButton.title = 'Refresh room list';
+        this.refreshRoomsButton.style.cssText = fieldStyle + 'cursor: pointer;';
+        this.refreshRoomsButton.addEventListener('click', () => {
+            this.refreshRoomList();
+        });
+
+        this.roomNameInput = document.createElement('input');
+        this.roomNameInput.type = 'text';
+        this.roomNameInput.placeholder = 'New room name';
+        this.roomNameInput.maxLength = 24;
+        this.roomNameInput.style.cssText = fieldStyle + `
+            width: 100%;
+            margin-top: 0.5rem;
+            display: none;
+        `;
+
+        roomRow.appendChild(this.roomSelect);
+        roomRow.appendChild(this.refreshRoomsButton);
+        this.roomContainer.appendChild(roomLabel);
+        this.roomContainer.appendChild(roomRow);
+        this.roomContainer.appendChild(this.roomNameInput);
+        this.nameContainer.appendChild(this.roomContainer);
+
+        // Start with just the main room until the lobby list arrives
+        this.setRoomOptions([]);
+    }
+
+    // Fetch open rooms from the server lobby endpoint
+    async refreshRoomList() {
+        try {
+            const response = await fetch('/api/rooms');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.setRoomOptions(data.rooms || []);
+            console.log('🏠 Room list loaded:', data.rooms);
+        } catch (error) {
+            console.warn('⚠️ Could not load room list, only the main room is available:', error);
+            this.setRoomOptions([]);
+        }
+    }
+
+    setRoomOptions(rooms) {
+        const previousValue = this.roomSelect.value;
+        this.roomSelect.innerHTML = '';
+
+        // Main room is always there even if the list could not be loaded
+        if (!rooms.some(room => room.id === 'main')) {
+            rooms = [{ id: 'main', name: 'Main Arena', players: 0, maxPlayers: 16 }, ...rooms];
+        }
+
+        rooms.forEach(room => {
+            const option = document.createElement('option');
+            option.value = room.id;
+            const modeLabel = room.mode === 'waves' ? '[Waves] ' : '';
+            option.textContent = `${modeLabel}${room.name} (${room.players}/${room.maxPlayers})`;
+            option.disabled = room.players >= room.maxPlayers;
+            option.style.color = 'black';
+            this.roomSelect.appendChild(option);
+        });
+
+        const createOption = document.createElement('option');
+        createOption.value = '__create__';
+        createOption.textContent = '+ Create new room';
+        createOption.style.color = 'black';
+        this.roomSelect.appendChild(createOption);
+
+        const createWavesOption = document.createElement('option');
+        createWavesOption.value = '__create_waves__';
+        createWavesOption.textContent = '+ Create new wave survival room';
+        createWavesOption.style.color = 'black';
+        this.roomSelect.appendChild(createWavesOption);
+
+        // Keep the player's selection across refreshes if it still exists
+        if (Array.from(this.roomSelect.options).some(option => option.value === previousValue)) {
+            this.roomSelect.value = previousValue;
+        }
+
+        this.updateRoomNameVisibility();
+    }
+
+    updateRoomNameVisibility() {
+        const isCreating = this.roomSelect.value === '__create__' || this.roomSelect.value === '__create_waves__';
+        this.roomNameInput.style.display = isCreating ? 'block' : 'none';
+        if (isCreating) {
+            this.roomNameInput.focus();
+        }
+    }
+
+    // Room the player picked: { roomId } to join or { createRoomName, mode } to create
+    getRoomChoice() {
+        if (!this.roomSelect) {
+            return { roomId: 'main' };
+        }
+        if (this.roomSelect.value === '__create__' || this.roomSelect.value === '__create_waves__') {
+            const roomName = this.roomNameInput.value.trim().substring(0, 24).replace(/[<>]/g, '');
+            return {
+                createRoomName: roomName || `${window.gamePlayerName || 'Guest'}'s room`,
+                mode: this.roomSelect.value === '__create_waves__' ? 'waves' : undefined
+            };
+        }
+        return { roomId: this.roomSelect.value || 'main' };
+    }
+
     setupEventListeners() {
         // Connect to loading manager
         if (window.gameLoadingManager) {
@@ -221,8 +371,10 @@ class LoadingScreen {
             const playerName = this.getPlayerName();
             console.log('🎮 Starting game with player name:', playerName);
             
-            // Store player name globally
+            // Store player name and room choice globally
             window.gamePlayerName = playerName;
+            window.gameRoomChoice = this.getRoomChoice();
+            console.log('🏠 Room choice:', window.gameRoomChoice);
             
             this.hide();
             // Allow the game to start
@@ -248,6 +400,17 @@ class LoadingScreen {
         }, 500);
     }
 
+    // Cover the game again while the server moves the room to another map. Only the progress shows;
+    // hide() once the new map is in.
+    showMapChange(mapName) {
+        this.nameContainer.style.display = 'none';
+        this.startButton.style.display = 'none';
+        this.systemsList.style.display = 'none';
+        this.setProgress(0);
+        this.setText(`Loading map: ${mapName}...`);
+        this.show();
+    }
+
     updateProgress(status) {
         // Update progress bar
         this.progressBar.style.width = `${status.progress}%`;
@@ -307,6 +470,9 @@ class LoadingScreen {
         // Show name input and start button
         this.nameContainer.style.display = 'block';
         this.startButton.style.display = 'block';
+        if (this.roomSelect) {
+            this.refreshRoomList();
+        }
         
         // Focus on name input
         setTimeout(() => {
@@ -0,0 +1,409 @@
+import { NetworkManager } from './network.js';
+
+// Single player runs the multiplayer client unchanged against this in-browser stand-in for server.js.
+// LocalServer plays the server's part for one player (targets, hits, scoring) using the same shared
+// spawn rules and snapshot format, and LocalSocket delivers its events through the regular
+// NetworkManager socket handlers, asynchronously like a real connection would.
+
+const LOCAL_PLAYER_ID = 'local-player';
+const LOCAL_ROOM_ID = 'local';
+const LOCAL_ROOM_NAME = 'Single Player';
+const LOCAL_SNAPSHOT_RATE = 20; // gameUpdates per second, enough to acknowledge inputs for prediction
+const LOCAL_MODE = 'singleplayer'; // Target spawn table, see shared/target-spawns.js
+const FALLBACK_SPAWN = { x: 0, y: 1.6, z: 5 }; // If the map didn't load
+
+class LocalServer {
+    constructor(socket, mapLoader) {
+        this.socket = socket;
+        this.mapLoader = mapLoader; // The world the page built (src/map-loader.js), single player stays on it
+        this.player = null; // Same shape as ServerPlayer.toNetworkData()
+        this.targets = new Map(); // Target ID (string) -> target network data
+        this.nextTargetId = 1;
+        this.weapons = null; // shared/weapons.json, the same table server/weapons.js uses
+        this.shots = new Map(); // Shot ID -> { weaponId, origin, hits, maxHits }
+        this.respawnTimers = new Set();
+        this.snapshotTimer = null;
+        this.snapshotSequence = 0;
+        this.lastTargetUpdate = 0; // gameTime the targets were last moved
+        this.startedAt = performance.now();
+    }
+
+    get gameTime() {
+        return performance.now() - this.startedAt;
+    }
+
+    // Handshake, as server.js does on connection, once the weapon table is in
+    async connect() {
+        this.weapons = await window.WeaponTable.load();
+
+        this.socket.deliver('protocol', { binary: false, version: window.WireProtocol.VERSION });
+        this.socket.deliver('session', { token: null, playerId: LOCAL_PLAYER_ID, resumed: false, roomId: null });
+    }
+
+    // Client -> server events
+    handle(event, data = {}) {
+        switch (event) {
+            case 'joinRoom':
+            case 'createRoom':
+                this.joinRoom(data.name);
+                break;
+            case 'leaveRoom':
+                this.leaveRoom();
+                break;
+            case 'playerInput':
+                this.handleInput(data);
+                break;
+            case 'playerShoot':
+                this.handleShoot(data);
+                break;
+            case 'targetHit':
+                this.handleTargetHit(data);
+                break;
+            case 'debugSpawnTarget':
+                this.spawnNewTarget();
+                break;
+            // No other players to hit, and no latency to measure
+        }
+    }
+
+    joinRoom(playerName) {
+        this.leaveRoom();
+        const map = this.mapLoader.map; // null if loading it failed
+
+        this.player = {
+            id: LOCAL_PLAYER_ID,
+            name: typeof playerName === 'string' && playerName.trim() ? playerName.trim().substring(0, 20) : 'Guest',
+            position: { ...(map ? map.playerSpawns[0] : FALLBACK_SPAWN) }, // Where src/scene.js put the camera
+            rotation: { x: 0, y: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            health: 100,
+            maxHealth: 100,
+            isAlive: true,
+            isMoving: false,
+            isCrouching: false,
+            isRunning: false,
+            isAiming: false,
+            score: 0,
+            kills: 0,
+            deaths: 0,
+            lastProcessedInput: 0
+        };
+
+        window.TargetSpawns.getInitialSpawns(LOCAL_MODE, this.mapLoader.layout).forEach(({ position, options }) => {
+            this.addTarget(position, options);
+        });
+
+        this.socket.deliver('gameState', {
+            players: [{ ...this.player }],
+            targets: Array.from(this.targets.values()),
+            gameTime: this.gameTime,
+            roomId: LOCAL_ROOM_ID,
+            roomName: LOCAL_ROOM_NAME,
+            // The map and terrain the page loaded, or another try at the default map if that failed
+            mapId: map ? map.id : window.GameMap.DEFAULT_MAP_ID,
+            mapName: map ? map.name : null,
+            terrainSeed: this.mapLoader.terrainSeed,
+            matchState: null, // No rounds in single player
+            yourId: LOCAL_PLAYER_ID
+        });
+
+        this.lastTargetUpdate = this.gameTime;
+        this.snapshotTimer = setInterval(() => {
+            this.updateTargets();
+            this.sendSnapshot();
+        }, 1000 / LOCAL_SNAPSHOT_RATE);
+        console.log(`🏠 Local server: ${this.player.name} joined with ${this.targets.size} targets`);
+    }
+
+    leaveRoom() {
+        if (!this.player) return;
+
+        this.stop();
+        this.player = null;
+        this.targets.clear();
+        this.shots.clear();
+        this.socket.deliver('roomLeft', { roomId: LOCAL_ROOM_ID });
+    }
+
+    stop() {
+        clearInterval(this.snapshotTimer);
+        this.snapshotTimer = null;
+        this.respawnTimers.forEach(timer => clearTimeout(timer));
+        this.respawnTimers.clear();
+    }
+
+    // Nobody to cheat against, so inputs are applied as sent
+    handleInput(inputData) {
+        if (!this.player) return;
+
+        if (Number.isFinite(inputData.sequence) && inputData.sequence > this.player.lastProcessedInput) {
+            this.player.lastProcessedInput = inputData.sequence;
+        }
+        if (inputData.position) this.player.position = { ...inputData.position };
+        if (inputData.rotation) this.player.rotation = { ...inputData.rotation };
+        if (inputData.name) this.player.name = inputData.name;
+        this.player.isMoving = inputData.isMoving || false;
+        this.player.isCrouching = inputData.isCrouching || false;
+        this.player.isRunning = inputData.isRunning || false;
+        this.player.isAiming = inputData.isAiming || false;
+    }
+
+    handleShoot(shootData) {
+        if (!this.player || shootData.shotId === undefined) return;
+
+        const weaponId = this.getWeaponId(shootData.weaponId);
+        const penetration = this.weapons.weapons[weaponId].ballistics.penetration;
+        this.shots.set(shootData.shotId, {
+            weaponId: weaponId,
+            origin: shootData.position,
+            hits: [], // Target IDs this bullet went through, in order
+            maxHits: 1 + (penetration ? penetration.count : 0)
+        });
+
+        // Only the latest shots can still hit anything
+        if (this.shots.size > 100) {
+            this.shots.delete(this.shots.keys().next().value);
+        }
+    }
+
+    // Only the table's own entries count - a key like 'constructor' would find Object's prototype instead
+    getWeaponId(weaponId) {
+        return Object.prototype.hasOwnProperty.call(this.weapons.weapons, weaponId) ? weaponId : this.weapons.defaultWeapon;
+    }
+
+    handleTargetHit(hitData) {
+        if (!this.player || hitData.targetId === undefined || hitData.targetId === null) return;
+
+        const targetId = hitData.targetId.toString();
+        const target = this.targets.get(targetId);
+        if (!target || !target.isAlive) return;
+
+        // Same penetration rules as server/hit-detection.js canShotHit()
+        const shot = this.shots.get(hitData.shotId);
+        if (!shot || shot.hits.length >= shot.maxHits || shot.hits.includes(targetId)) {
+            this.socket.deliver('hitRejected', {
+                targetId: targetId,
+                target: { ...target },
+                reason: shot ? `shot ${hitData.shotId} cannot hit anything more` : `unknown shot ${hitData.shotId}`
+            });
+            return;
+        }
+
+        shot.hits.push(targetId);
+        const weapon = this.weapons.weapons[this.getWeaponId(shot.weaponId)];
+        const zone = window.HitZones.isZone(hitData.zone) ? hitData.zone : window.HitZones.DEFAULT_ZONE;
+        const weaponDamage = window.WeaponTable.getDamage(weapon, this.getShotDistance(shot, hitData.hitPoint), shot.hits.length - 1);
+        this.damageTarget(target, window.TargetTypes.getDamage(weaponDamage, target.type, zone), zone, hitData.hitPoint);
+    }
+
+    // Same rules as GameRoom.damageTarget(): points on destruction, explosions, then a replacement
+    damageTarget(target, damage, zone, hitPoint = null) {
+        const targetId = target.id.toString();
+        target.health = Math.max(0, target.health - damage);
+
+        if (target.health > 0) {
+            this.socket.deliver('targetHit', {
+                targetId: targetId,
+                playerId: LOCAL_PLAYER_ID,
+                damage: damage,
+                health: target.health,
+                maxHealth: target.maxHealth,
+                hitPoint: hitPoint,
+                zone: zone,
+                timestamp: Date.now()
+            });
+            return;
+        }
+
+        const points = window.HitZones.getPoints(target.points, zone);
+        target.isAlive = false;
+        this.targets.delete(targetId);
+        this.player.score += points;
+        if (points > 0) {
+            this.player.kills++;
+        }
+
+        this.socket.deliver('targetDestroyed', {
+            targetId: targetId,
+            targetType: target.type,
+            playerId: LOCAL_PLAYER_ID,
+            points: points,
+            awardedPoints: points,
+            zone: zone,
+            playerScore: this.player.score,
+            timestamp: Date.now()
+        });
+
+        this.explodeTarget(target);
+        this.scheduleTargetRespawn();
+    }
+
+    explodeTarget(target) {
+        if (!window.TargetTypes.get(target.type).explosion) return;
+
+        Array.from(this.targets.values()).forEach(other => {
+            if (!other.isAlive) return;
+
+            const damage = window.TargetTypes.getExplosionDamage(target.type, target.position, other.position);
+            if (damage > 0) {
+                this.damageTarget(other, damage, window.HitZones.DEFAULT_ZONE);
+            }
+        });
+    }
+
+    // A bonus target nobody got to in time
+    despawnTarget(target) {
+        if (!target.isAlive || this.targets.get(target.id.toString()) !== target) return;
+
+        target.isAlive = false;
+        this.targets.delete(target.id.toString());
+        this.socket.deliver('targetDespawned', { targetId: target.id.toString() });
+        this.scheduleTargetRespawn();
+    }
+
+    scheduleTargetRespawn() {
+        this.schedule(() => this.spawnNewTarget(), window.TargetSpawns.getRespawnDelay());
+    }
+
+    // Timers that stop with the local server
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.respawnTimers.delete(timer);
+            callback();
+        }, delay);
+        this.respawnTimers.add(timer);
+    }
+
+    // How far the bullet travelled before the hit, for damage falloff
+    getShotDistance(shot, hitPoint) {
+        if (!shot.origin || !hitPoint) return 0;
+
+        const deltaX = hitPoint.x - shot.origin.x;
+        const deltaY = hitPoint.y - shot.origin.y;
+        const deltaZ = hitPoint.z - shot.origin.z;
+        return Math.sqrt(deltaX * deltaX + deltaY * deltaY + deltaZ * deltaZ);
+    }
+
+    // Same shape as ServerTarget.toNetworkData(), except that behaviour carries its full state
+    addTarget(position, options) {
+        const target = {
+            id: this.nextTargetId++,
+            type: window.TargetTypes.isType(options.type) ? options.type : window.TargetTypes.DEFAULT_TYPE,
+            position: position,
+            rotation: { x: 0, y: Math.random() * Math.PI * 2, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            behaviour: window.TargetBehaviours.create(options.behaviour || window.TargetBehaviours.pickType(), position, options.speedMultiplier, this.mapLoader.layout),
+            scale: options.scale || 5,
+            health: options.health,
+            maxHealth: options.health,
+            points: options.points,
+            isAlive: true
+        };
+        this.targets.set(target.id.toString(), target);
+
+        const lifetime = window.TargetTypes.get(target.type).lifetime;
+        if (lifetime) {
+            this.schedule(() => this.despawnTarget(target), lifetime);
+        }
+        return target;
+    }
+
+    spawnNewTarget() {
+        if (!this.player) return;
+
+        const players = this.player.isAlive ? [{ position: this.player.position, rotationY: this.player.rotation.y }] : [];
+        const targets = Array.from(this.targets.values()).map(target => target.position);
+        const { position, options } = window.TargetSpawns.getRandomSpawn(LOCAL_MODE, players, targets, this.mapLoader.layout);
+        const target = this.addTarget(position, options);
+        this.socket.deliver('targetSpawned', { ...target });
+    }
+
+    // Targets move at the snapshot rate here, which is plenty for how fast they go
+    updateTargets() {
+        const now = this.gameTime;
+        const deltaTime = (now - this.lastTargetUpdate) / 1000;
+        this.lastTargetUpdate = now;
+
+        const playerPositions = this.player && this.player.isAlive ? [this.player.position] : [];
+        this.targets.forEach(target => window.TargetBehaviours.update(target, deltaTime, playerPositions, this.mapLoader.layout));
+    }
+
+    // Always a full snapshot - there is no bandwidth to save on a local connection
+    sendSnapshot() {
+        if (!this.player) return;
+
+        this.socket.deliver('gameUpdate', {
+            s: ++this.snapshotSequence,
+            b: 0,
+            t: this.gameTime,
+            p: [window.SnapshotCodec.quantizePlayer(this.player)],
+            r: [],
+            g: Array.from(this.targets.values()).map(target => window.SnapshotCodec.quantizeTarget(target)),
+            gr: []
+        });
+    }
+}
+
+// The part of the Socket.IO client API NetworkManager uses, wired to a LocalServer
+class LocalSocket {
+    constructor(mapLoader) {
+        this.handlers = new Map(); // Event -> handlers registered by NetworkManager
+        this.id = LOCAL_PLAYER_ID;
+        this.connected = false;
+        this.io = { on: () => {} }; // No reconnection to report
+        this.server = new LocalServer(this, mapLoader);
+
+        // "Connect" once NetworkManager has registered its handlers
+        setTimeout(() => {
+            this.connected = true;
+            this.deliver('connect');
+            this.server.connect().catch(error => {
+                console.error('❌ Local server could not start:', error);
+            });
+        }, 0);
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+        return this;
+    }
+
+    // Client -> local server
+    emit(event, data) {
+        if (!this.connected) return this;
+        setTimeout(() => this.server.handle(event, data), 0);
+        return this;
+    }
+
+    // Local server -> client
+    deliver(event, data) {
+        setTimeout(() => {
+            (this.handlers.get(event) || []).forEach(handler => handler(data));
+        }, 0);
+    }
+
+    disconnect() {
+        if (!this.connected) return this;
+
+        this.server.stop();
+        this.connected = false;
+        this.deliver('disconnect', 'io client disconnect');
+        return this;
+    }
+}
+
+export class LocalNetworkManager extends NetworkManager {
+    constructor(mapLoader) {
+        super();
+        this.isLocal = true;
+        this.mapLoader = mapLoader;
+    }
+
+    createSocket() {
+        console.log('🎯 Starting single player with a local server');
+        return new LocalSocket(this.mapLoader);
+    }
+}
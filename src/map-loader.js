@@ -0,0 +1,295 @@
+import * as THREE from 'three';
+
+// Builds the world from a map file in maps/ (format in shared/game-map.js): skybox, fog, lights, floors,
+// walls and the cover crates. The meshes that collide go into the WorldCollider (src/collision.js) and
+// layout (GameMap.createLayout()) holds the target area, spawns, obstacles and ground the shared modules
+// are handed for it. The server reads the same file (server/maps.js) and decides which map is played and
+// the seed its hills are generated from (shared/terrain.js); loading another one replaces the world
+// without a page refresh.
+
+// Shadow camera settings for lights that cast shadows, where the map doesn't say otherwise
+const DEFAULT_SHADOW = { mapSize: 2048, extent: 50, near: 0.5, far: 100, bias: -0.0001 };
+const DEFAULT_COVER_COLOR = '#8B5A2B';
+
+export class MapLoader {
+    constructor(scene, worldCollider) {
+        this.scene = scene;
+        this.worldCollider = worldCollider;
+        this.map = null; // Normalized map once loaded
+        this.layout = null; // GameMap.createLayout() of the map, null until one is built
+        this.terrainSeed = window.Terrain.DEFAULT_SEED;
+        this.objects = []; // Everything added to the scene for the current map, removed by unload()
+        this.collisionMeshes = [];
+        this.terrainMeshes = []; // { mesh, definition } for the floors with hills, rebuilt by setTerrainSeed()
+        this.pulsingLights = []; // { light, intensity, pulse } for the lights with a pulse
+
+        if (window.gameLoadingManager) {
+            window.gameLoadingManager.registerSystem('map', 'Map');
+            window.gameLoadingManager.registerSystem('skybox', 'Skybox textures');
+        }
+    }
+
+    // Fetch the map with the given ID and build it in place of the current one, with hills from
+    // terrainSeed. Resolves to the normalized map once the skybox is in as well. The first map reports to
+    // the loading manager, later ones to onProgress(percent, text).
+    async load(id, terrainSeed = this.terrainSeed, onProgress = null) {
+        const url = window.GameMap.getUrl(id);
+        const loadingManager = this.map ? null : window.gameLoadingManager;
+        const report = (percent, text) => {
+            if (loadingManager) loadingManager.updateSystemProgress('map', percent, text);
+            if (onProgress) onProgress(percent, text);
+        };
+
+        try {
+            report(10, `Loading ${url}...`);
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not load ${url}: ${response.status}`);
+            }
+            const map = window.GameMap.normalize(await response.json(), id);
+
+            report(40, `Building ${map.name}...`);
+            this.unload();
+            this.terrainSeed = terrainSeed;
+            this.build(map);
+
+            report(70, 'Loading skybox...');
+            await this.loadSkybox(map.skybox, loadingManager);
+
+            report(100, `${map.name} ready`);
+            if (loadingManager) {
+                loadingManager.markSystemLoaded('map');
+            }
+            return map;
+        } catch (error) {
+            console.error(`❌ Error loading map "${id}":`, error);
+            if (loadingManager) {
+                loadingManager.markSystemError('map', error);
+            }
+            throw error;
+        }
+    }
+
+    build(map) {
+        this.map = map;
+
+        this.scene.fog = map.fog ? new THREE.Fog(map.fog.color, map.fog.near, map.fog.far) : null;
+        map.lights.forEach(light => this.addLight(light));
+
+        const collisionMeshes = [];
+        map.geometry.forEach(geometry => {
+            const mesh = this.createGeometry(geometry);
+            this.add(mesh);
+            if (geometry.collision) {
+                collisionMeshes.push(mesh);
+            }
+            if (geometry.terrain) {
+                this.terrainMeshes.push({ mesh, definition: geometry });
+            }
+        });
+
+        // Cover crates in the target area for hiding targets (shared/target-behaviours.js). Bullets stop at
+        // them, here and in the server's hit validation.
+        const coverMaterial = new THREE.MeshLambertMaterial({ color: map.coverMaterial.color || DEFAULT_COVER_COLOR });
+        map.cover.forEach(cover => {
+            const crate = new THREE.Mesh(new THREE.BoxGeometry(cover.width, cover.height, cover.depth), coverMaterial);
+            crate.position.set(cover.x, cover.height / 2, cover.z);
+            crate.castShadow = true;
+            crate.receiveShadow = true;
+            this.add(crate);
+            collisionMeshes.push(crate);
+        });
+
+        // Static world index for player movement, built once per map
+        this.collisionMeshes = collisionMeshes;
+        this.worldCollider.setMeshes(collisionMeshes);
+        this.layout = window.GameMap.createLayout(map, window.Terrain.build(map, this.terrainSeed));
+        console.log(`🗺️ Built map "${map.name}": ${map.lights.length} lights, ${collisionMeshes.length} collision meshes`);
+    }
+
+    // Take the current map's world out of the scene and free its GPU resources
+    unload() {
+        if (!this.map) return;
+
+        this.objects.forEach(object => {
+            this.scene.remove(object);
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+            if (object.isLight) object.dispose(); // Shadow maps
+        });
+        if (this.scene.background && this.scene.background.isTexture) {
+            this.scene.background.dispose();
+        }
+        this.objects = [];
+        this.collisionMeshes = [];
+        this.terrainMeshes = [];
+        this.layout = null;
+        this.pulsingLights = [];
+        this.scene.fog = null;
+        this.worldCollider.setMeshes([]);
+        console.log(`🗺️ Unloaded map "${this.map.name}"`);
+    }
+
+    // Regrow the hills of the current map from another seed, keeping everything else
+    setTerrainSeed(seed) {
+        if (seed === this.terrainSeed) return;
+
+        this.terrainSeed = seed;
+        this.terrainMeshes.forEach(({ mesh, definition }) => {
+            this.applyTerrain(mesh.geometry, definition);
+        });
+        this.worldCollider.setMeshes(this.collisionMeshes);
+        this.layout = window.GameMap.createLayout(this.map, window.Terrain.build(this.map, seed)); // Bullets hit the new hills
+        console.log(`⛰️ Terrain of "${this.map.name}" regrown from seed ${seed}`);
+    }
+
+    add(object) {
+        this.scene.add(object);
+        this.objects.push(object);
+    }
+
+    // Called every frame with the scene's animation clock
+    update(time) {
+        this.pulsingLights.forEach(({ light, intensity, pulse }) => {
+            light.intensity = intensity + Math.sin(time * 0.5) * pulse;
+        });
+    }
+
+    // Where the local player starts out, before the server has placed them
+    getPlayerSpawn() {
+        return this.map ? this.map.playerSpawns[0] : null;
+    }
+
+    // Resolves once the skybox is showing, or the fallback color is if the images fail
+    loadSkybox(skybox, loadingManager) {
+        if (!skybox || !skybox.images) {
+            this.scene.background = new THREE.Color(skybox && skybox.color ? skybox.color : 0x87CEEB);
+            if (loadingManager) {
+                loadingManager.markSystemLoaded('skybox');
+            }
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const loader = new THREE.CubeTextureLoader();
+            this.scene.background = loader.load(skybox.images,
+                // onLoad
+                () => {
+                    console.log('Skybox cube texture loaded successfully');
+                    if (loadingManager) {
+                        loadingManager.markSystemLoaded('skybox');
+                    }
+                    resolve();
+                },
+                // onProgress
+                (progress) => {
+                    if (loadingManager && progress.loaded && progress.total) {
+                        const percent = (progress.loaded / progress.total) * 100;
+                        loadingManager.updateSystemProgress('skybox', percent, 'Loading textures...');
+                    }
+                },
+                // onError
+                (error) => {
+                    console.error('Error loading skybox cube texture:', error);
+                    // Fallback to solid color background
+                    this.scene.background = new THREE.Color(skybox.color || 0x87CEEB);
+                    if (loadingManager) {
+                        loadingManager.markSystemError('skybox', error);
+                    }
+                    resolve();
+                });
+        });
+    }
+
+    addLight(definition) {
+        let light;
+        switch (definition.type) {
+            case 'ambient':
+                light = new THREE.AmbientLight(definition.color, definition.intensity);
+                break;
+            case 'hemisphere':
+                light = new THREE.HemisphereLight(definition.color, definition.groundColor, definition.intensity);
+                break;
+            case 'directional':
+                light = new THREE.DirectionalLight(definition.color, definition.intensity);
+                if (definition.target) {
+                    light.target.position.set(definition.target.x, definition.target.y, definition.target.z);
+                    this.add(light.target);
+                }
+                if (definition.castShadow) {
+                    this.setupShadow(light, { ...DEFAULT_SHADOW, ...definition.shadow });
+                }
+                break;
+        }
+
+        if (definition.position) {
+            light.position.set(definition.position.x, definition.position.y, definition.position.z);
+        }
+        if (definition.pulse) {
+            this.pulsingLights.push({ light, intensity: definition.intensity, pulse: definition.pulse });
+        }
+        this.add(light);
+        return light;
+    }
+
+    setupShadow(light, shadow) {
+        light.castShadow = true;
+        light.shadow.mapSize.width = shadow.mapSize;
+        light.shadow.mapSize.height = shadow.mapSize;
+        light.shadow.camera.near = shadow.near;
+        light.shadow.camera.far = shadow.far;
+        light.shadow.camera.left = -shadow.extent;
+        light.shadow.camera.right = shadow.extent;
+        light.shadow.camera.top = shadow.extent;
+        light.shadow.camera.bottom = -shadow.extent;
+        light.shadow.bias = shadow.bias;
+    }
+
+    createGeometry(definition) {
+        const material = this.createMaterial(definition.material || {});
+        let mesh;
+
+        if (definition.type === 'plane') {
+            const segments = definition.segments || 1;
+            const planeGeometry = new THREE.PlaneGeometry(definition.size.x, definition.size.z, segments, segments);
+            if (definition.terrain) {
+                this.applyTerrain(planeGeometry, definition);
+            }
+
+            mesh = new THREE.Mesh(planeGeometry, material);
+            mesh.rotation.x = -Math.PI / 2; // Lying flat, facing up
+        } else {
+            mesh = new THREE.Mesh(new THREE.BoxGeometry(definition.size.x, definition.size.y, definition.size.z), material);
+        }
+
+        if (definition.position) {
+            mesh.position.set(definition.position.x, definition.position.y, definition.position.z);
+        }
+        mesh.name = definition.name || '';
+        mesh.visible = definition.visible;
+        mesh.castShadow = !!definition.castShadow;
+        mesh.receiveShadow = !!definition.receiveShadow;
+        return mesh;
+    }
+
+    // Raise the plane's vertices to the heightfield every client and the server get from the same seed.
+    // The plane lies flat once rotated, so its local z is the height.
+    applyTerrain(planeGeometry, definition) {
+        const field = window.Terrain.create(definition, this.terrainSeed);
+        const vertices = planeGeometry.attributes.position.array;
+        for (let i = 0; i < field.heights.length; i++) {
+            vertices[i * 3 + 2] = field.heights[i];
+        }
+        planeGeometry.attributes.position.needsUpdate = true;
+        planeGeometry.computeVertexNormals();
+        planeGeometry.computeBoundingSphere();
+    }
+
+    createMaterial({ color = '#808080', opacity = 1 }) {
+        return new THREE.MeshLambertMaterial({
+            color: color,
+            transparent: opacity < 1,
+            opacity: opacity
+        });
+    }
+}
@@ -1,15 +1,40 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// Remote players (and targets, see src/targets.js) are drawn this far in the past so there are (almost)
+// always two snapshots to blend between
+export const INTERPOLATION_DELAY = 100;
+export const MAX_EXTRAPOLATION = 250; // When packets are late, never guess further ahead than this (ms)
+const SNAPSHOT_BUFFER_DURATION = 1000; // How much snapshot history each remote player keeps (ms)
+const TELEPORT_DISTANCE = 10; // Jumps bigger than this between snapshots are not interpolated
+// Where remote players hold their weapon: at the hip, or raised to the eye while aiming down sights
+const REMOTE_WEAPON_HIP_POSITION = new THREE.Vector3(0.3, 0.2, 0.4);
+const REMOTE_WEAPON_AIM_POSITION = new THREE.Vector3(0.15, 0.5, 0.45);
+const REMOTE_AIM_TIME = 0.2; // Seconds to raise or lower the weapon
+
+// Session resume: the token survives page reloads in this tab, and dropped connections retry with backoff
+const SESSION_STORAGE_KEY = 'oiiaSessionToken';
+const RECONNECT_DELAY = 1000; // First retry after ~1 s...
+const RECONNECT_DELAY_MAX = 10000; // ...doubling up to 10 s between attempts
+
 // Client-side networking for multiplayer
 export class NetworkManager {
     constructor() {
         this.socket = null;
         this.isConnected = false;
         this.playerId = null;
+        this.roomId = null;
+        this.roomName = null;
+        this.roomRequest = null; // { roomId } to join or { createRoomName, mode } to create
         this.otherPlayers = new Map();
         this.lastSentUpdate = 0;
         this.updateRate = 1000 / 20; // Send updates 20 times per second
+        this.inputSequence = 0; // Numbers each sent input so the server can acknowledge it
+        this.serverTimeOffset = null; // Smoothed (server gameTime - local clock), used to place snapshots in time
+        this.snapshotStates = new Map(); // gameUpdate sequence -> { players, targets } quantized states, baselines for the server's deltas
+        this.lastSnapshotSequence = 0; // Acknowledged with every input, 0 asks the server for a full snapshot
+        this.binaryProtocol = false; // Set once the server agrees to the shared/protocol.js encoding
+        this.sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY); // Lets us reconnect as the same player
         
         // Shared ammo model for all remote players
         this.ammoModel = null;
@@ -27,8 +52,21 @@ export class NetworkManager {
         this.onTargetHit = null;
         this.onTargetDestroyed = null;
         this.onTargetSpawned = null;
+        this.onTargetDespawned = null;
+        this.onTargetUpdate = null; // Called with the moving targets' states and the snapshot's gameTime
+        this.onHitRejected = null;
         this.onGameStateReceived = null;
         this.onConnectionChange = null;
+        this.onReconnecting = null; // Called with the attempt number while trying to get back in
+        this.onRoomError = null;
+        this.onRoomLeft = null;
+        this.onMatchStateChange = null;
+        this.onMatchReset = null;
+        this.onMapChange = null;
+        this.onPlayerDamaged = null;
+        this.onPlayerKilled = null;
+        this.onPlayerRespawned = null;
+        this.onLocalPlayerUpdate = null; // Server's authoritative state for us, used for reconciliation
     }
 
     async initializeAmmoModel() {
@@ -83,13 +121,14 @@ export class NetworkManager {
         console.log('🔫 Created fallback ammo model for remote players');
     }
 
-    connect() {
+    connect(roomRequest = null) {
+        this.roomRequest = roomRequest || this.roomRequest || { roomId: 'main' };
+        
         // Connect to server (adapt to current location)
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const host = window.location.host || 'localhost:3000';
         
-        console.log('Connecting to server at:', window.location.origin);
-        this.socket = io(); // Connect to same origin
+        this.socket = this.createSocket();
 
         this.socket.on('connect', () => {
             console.log('🟢 Connected to server');
@@ -99,9 +138,42 @@ export class NetworkManager {
             }
         });
 
+        // The server tells us who we are. A resumed session that kept its room gets a gameState straight away,
+        // otherwise we ask for a room (nothing is sent to us until we are in one).
+        this.socket.on('session', (session) => {
+            if (session.token) {
+                this.sessionToken = session.token;
+                sessionStorage.setItem(SESSION_STORAGE_KEY, session.token);
+            }
+            this.playerId = session.playerId;
+
+            if (session.resumed && session.roomId) {
+                console.log(`🔁 Resumed session as ${session.playerId} in room ${session.roomId}`);
+            } else {
+                console.log(`🪪 ${session.resumed ? 'Resumed' : 'New'} session as ${session.playerId}`);
+                this.requestRoom(this.roomRequest);
+            }
+        });
+
+        this.socket.io.on('reconnect_attempt', (attempt) => {
+            console.log(`🔄 Reconnecting (attempt ${attempt})...`);
+            if (this.onReconnecting) {
+                this.onReconnecting(attempt);
+            }
+        });
+
+        this.socket.on('protocol', (protocol) => {
+            this.binaryProtocol = protocol.binary === true && protocol.version === window.WireProtocol.VERSION;
+            console.log(`📦 Using ${this.binaryProtocol ? `binary protocol v${protocol.version}` : 'JSON protocol'}`);
+        });
+
         this.socket.on('disconnect', (reason) => {
             console.log('🔴 Disconnected from server:', reason);
+            if (reason === 'io server disconnect') {
+                console.warn('⚠️ Another connection took over this session, not reconnecting');
+            }
             this.isConnected = false;
+            this.binaryProtocol = false;
             if (this.onConnectionChange) {
                 this.onConnectionChange(false);
             }
@@ -115,6 +187,16 @@ export class NetworkManager {
         this.socket.on('gameState', (gameState) => {
             console.log('📦 Received initial game state:', gameState);
             this.playerId = gameState.yourId;
+            this.roomId = gameState.roomId;
+            this.roomName = gameState.roomName;
+            this.roomRequest = { roomId: gameState.roomId }; // Rejoin the same room if the socket reconnects
+            this.otherPlayers.clear();
+            
+            // Every room has its own clock and snapshot sequence
+            this.serverTimeOffset = null;
+            this.resetSnapshots();
+            this.updateServerClock(gameState.gameTime);
+            console.log(`🏠 Joined room "${this.roomName}" (${this.roomId})`);
             
             // Set up other players
             gameState.players.forEach(playerData => {
@@ -127,10 +209,59 @@ export class NetworkManager {
             if (this.onGameStateReceived) {
                 this.onGameStateReceived(gameState);
             }
+
+            if (gameState.matchState && this.onMatchStateChange) {
+                this.onMatchStateChange(gameState.matchState);
+            }
+        });
+
+        // Handle room problems (missing or full room)
+        this.socket.on('roomError', (errorData) => {
+            console.error('🏠 Room error:', errorData.message);
+            
+            if (this.onRoomError) {
+                this.onRoomError(errorData);
+            }
+            
+            // Fall back to the main room so the player still gets a game
+            if (!this.roomId && errorData.roomId !== 'main') {
+                console.log('🏠 Falling back to main room');
+                this.joinRoom('main');
+            }
+        });
+
+        this.socket.on('roomLeft', (data) => {
+            console.log('🏠 Left room:', data.roomId);
+            this.roomId = null;
+            this.roomName = null;
+            this.otherPlayers.clear();
+            this.resetSnapshots();
+            
+            if (this.onRoomLeft) {
+                this.onRoomLeft(data);
+            }
+        });
+
+        // Echo the server's latency ping straight back so it can measure our round trip
+        this.socket.on('latencyPing', (sentAt) => {
+            this.socket.emit('latencyPong', sentAt);
         });
 
         // Handle game updates
-        this.socket.on('gameUpdate', (gameData) => {
+        this.socket.on('gameUpdate', (data) => {
+            let snapshot = data;
+            if (window.WireProtocol.isBinary(data)) {
+                try {
+                    snapshot = window.WireProtocol.decodeGameUpdate(data);
+                } catch (error) {
+                    console.error('❌ Could not decode game update:', error.message);
+                    return;
+                }
+            }
+
+            const gameData = this.readSnapshot(snapshot);
+            if (!gameData) return;
+
             if (gameData.players.length > 1) { // Only log when there are multiple players
                 console.log('🔄 Game update received, players:', gameData.players.length);
                 gameData.players.forEach(playerData => {
@@ -143,14 +274,22 @@ export class NetworkManager {
                 });
             }
             
+            this.updateServerClock(gameData.gameTime);
+            
             gameData.players.forEach(playerData => {
                 if (playerData.id !== this.playerId) {
                     this.otherPlayers.set(playerData.id, playerData);
+                } else if (this.onLocalPlayerUpdate) {
+                    this.onLocalPlayerUpdate(playerData);
                 }
             });
 
             if (this.onPlayerUpdate) {
-                this.onPlayerUpdate(this.otherPlayers);
+                this.onPlayerUpdate(this.otherPlayers, gameData.gameTime);
+            }
+
+            if (this.onTargetUpdate) {
+                this.onTargetUpdate(gameData.targets, gameData.gameTime);
             }
         });
 
@@ -186,6 +325,27 @@ export class NetworkManager {
             }
         });
 
+        // Handle player-vs-player damage, deaths and respawns
+        this.socket.on('playerDamaged', (damageData) => {
+            if (this.onPlayerDamaged) {
+                this.onPlayerDamaged(damageData);
+            }
+        });
+
+        this.socket.on('playerKilled', (killData) => {
+            console.log(`💀 Player ${killData.playerId} was killed by ${killData.killerName}`);
+            if (this.onPlayerKilled) {
+                this.onPlayerKilled(killData);
+            }
+        });
+
+        this.socket.on('playerRespawned', (respawnData) => {
+            console.log(`✨ Player ${respawnData.playerId} respawned at`, respawnData.position);
+            if (this.onPlayerRespawned) {
+                this.onPlayerRespawned(respawnData);
+            }
+        });
+
         // Handle target hits
         this.socket.on('targetHit', (hitData) => {
             if (this.onTargetHit) {
@@ -193,6 +353,14 @@ export class NetworkManager {
             }
         });
 
+        // Handle hits the server refused to apply
+        this.socket.on('hitRejected', (rejectData) => {
+            console.warn('🚫 Server rejected hit on target', rejectData.targetId, '-', rejectData.reason);
+            if (this.onHitRejected) {
+                this.onHitRejected(rejectData);
+            }
+        });
+
         // Handle target destruction
         this.socket.on('targetDestroyed', (destroyData) => {
             if (this.onTargetDestroyed) {
@@ -200,6 +368,13 @@ export class NetworkManager {
             }
         });
 
+        // Handle a bonus target that got away before anyone destroyed it
+        this.socket.on('targetDespawned', (despawnData) => {
+            if (this.onTargetDespawned) {
+                this.onTargetDespawned(despawnData);
+            }
+        });
+
         // Handle new target spawning
         this.socket.on('targetSpawned', (targetData) => {
             console.log('🌐 NETWORK: Received targetSpawned event:', targetData);
@@ -213,17 +388,161 @@ export class NetworkManager {
                 console.error('❌ NETWORK: No onTargetSpawned handler registered!');
             }
         });
+
+        // Handle match lifecycle updates (warmup, live, ended) and scores
+        this.socket.on('matchState', (matchState) => {
+            if (this.onMatchStateChange) {
+                this.onMatchStateChange(matchState);
+            }
+        });
+
+        // The room switched maps - the world has to be reloaded
+        this.socket.on('mapChange', (mapData) => {
+            console.log(`🗺️ Room changed to map "${mapData.mapName}" (${mapData.mapId})`);
+            if (this.onMapChange) {
+                this.onMapChange(mapData);
+            }
+        });
+
+        // A new round started - targets were respawned and scores cleared
+        this.socket.on('matchReset', (resetData) => {
+            console.log(`🏁 Match reset, round ${resetData.matchState.round} with ${resetData.targets.length} targets`);
+            if (this.onMatchReset) {
+                this.onMatchReset(resetData);
+            }
+            if (this.onMatchStateChange) {
+                this.onMatchStateChange(resetData.matchState);
+            }
+        });
     }
 
-    sendPlayerInput(inputData) {
+    // Socket.IO connection to the game server. LocalNetworkManager (src/local-server.js) swaps in an in-browser server.
+    createSocket() {
+        console.log('Connecting to server at:', window.location.origin);
+        // Connect to same origin, offering the binary encoding (the server answers with 'protocol').
+        // auth is re-read on every reconnect so the latest session token is sent.
+        return io({
+            auth: (callback) => callback({
+                protocolVersion: window.WireProtocol.VERSION,
+                sessionToken: this.sessionToken
+            }),
+            reconnection: true,
+            reconnectionDelay: RECONNECT_DELAY,
+            reconnectionDelayMax: RECONNECT_DELAY_MAX,
+            randomizationFactor: 0.5
+        });
+    }
+
+    requestRoom(roomRequest) {
+        if (roomRequest && roomRequest.createRoomName) {
+            this.createRoom(roomRequest.createRoomName, roomRequest.mode);
+        } else {
+            this.joinRoom(roomRequest && roomRequest.roomId ? roomRequest.roomId : 'main');
+        }
+    }
+
+    joinRoom(roomId) {
+        if (!this.socket) return;
+        
+        console.log('🏠 Joining room:', roomId);
+        this.roomRequest = { roomId };
+        this.socket.emit('joinRoom', {
+            roomId: roomId,
+            name: window.gamePlayerName || 'Guest'
+        });
+    }
+
+    // mode: 'waves' for a co-op wave survival room, anything else for a regular one
+    createRoom(roomName, mode) {
+        if (!this.socket) return;
+        
+        console.log('🏠 Creating room:', roomName, mode || '');
+        this.socket.emit('createRoom', {
+            roomName: roomName,
+            mode: mode,
+            name: window.gamePlayerName || 'Guest'
+        });
+    }
+
+    leaveRoom() {
         if (!this.isConnected || !this.socket) return;
+        
+        this.socket.emit('leaveRoom');
+    }
+
+    // Track how the room's gameTime relates to our clock. Smoothed so network jitter doesn't shake remote players.
+    updateServerClock(gameTime) {
+        if (!Number.isFinite(gameTime)) return;
+        
+        const sample = gameTime - performance.now();
+        if (this.serverTimeOffset === null || Math.abs(sample - this.serverTimeOffset) > 1000) {
+            this.serverTimeOffset = sample; // First sample or the clock jumped
+        } else {
+            this.serverTimeOffset += (sample - this.serverTimeOffset) * 0.05;
+        }
+    }
+
+    // Current room gameTime as estimated locally, or null before the first update
+    getServerTime() {
+        return this.serverTimeOffset === null ? null : performance.now() + this.serverTimeOffset;
+    }
+
+    // Rebuild the full player and target lists from a delta-compressed gameUpdate (see shared/snapshot.js).
+    // Returns { players, targets, gameTime } or null if we don't have the snapshot it was built against.
+    readSnapshot(snapshot) {
+        const codec = window.SnapshotCodec;
+
+        // Ignore snapshots that arrive after a newer one
+        if (snapshot.s <= this.lastSnapshotSequence) return null;
+
+        let baseline = null;
+        if (snapshot.b) {
+            baseline = this.snapshotStates.get(snapshot.b);
+            if (!baseline) {
+                console.warn(`⚠️ Missing baseline snapshot #${snapshot.b}, requesting a full snapshot`);
+                this.resetSnapshots();
+                return null;
+            }
+        }
+
+        const states = codec.applySnapshotDelta(baseline, snapshot);
+        this.snapshotStates.set(snapshot.s, states);
+        this.lastSnapshotSequence = snapshot.s;
+
+        // The server never builds deltas against anything older than its own history
+        this.snapshotStates.forEach((state, sequence) => {
+            if (sequence <= snapshot.s - codec.HISTORY_LENGTH) {
+                this.snapshotStates.delete(sequence);
+            }
+        });
+
+        return {
+            players: Array.from(states.players.values()).map(state => codec.dequantizePlayer(state)),
+            targets: Array.from(states.targets.values()).map(state => codec.dequantizeTarget(state)),
+            gameTime: snapshot.t
+        };
+    }
+
+    resetSnapshots() {
+        this.snapshotStates.clear();
+        this.lastSnapshotSequence = 0;
+    }
+
+    // Returns the input's sequence number if it was sent, or null if it was throttled
+    sendPlayerInput(inputData) {
+        if (!this.isConnected || !this.socket) return null;
 
         const now = Date.now();
         if (now - this.lastSentUpdate >= this.updateRate) {
-            this.socket.emit('playerInput', inputData);
+            inputData.sequence = ++this.inputSequence;
+            inputData.snapshotAck = this.lastSnapshotSequence;
+            this.socket.emit('playerInput', this.binaryProtocol ? window.WireProtocol.encodePlayerInput(inputData) : inputData);
             this.lastSentUpdate = now;
             // Uncomment for debugging: console.log('📤 Sent player input');
+            return inputData.sequence;
         }
+
+        return null;
     }
 
     sendPlayerShoot(shootData) {
@@ -238,13 +557,37 @@ export class NetworkManager {
         this.socket.emit('targetHit', hitData);
     }
 
+    sendPlayerHit(hitData) {
+        if (!this.isConnected || !this.socket) return;
+        
+        this.socket.emit('playerHit', hitData);
+    }
+
+    // Vote for the next map while the round is over
+    sendMapVote(mapId) {
+        if (!this.isConnected || !this.socket) return;
+        
+        this.socket.emit('mapVote', { mapId: mapId });
+    }
+
+    // Leave for good - the server drops our slot straight away instead of holding it for a reconnect
     disconnect() {
         if (this.socket) {
             this.socket.disconnect();
         }
+        this.sessionToken = null;
+        sessionStorage.removeItem(SESSION_STORAGE_KEY);
     }
 }
 
+// Interpolate between two angles the short way around
+export function lerpAngle(from, to, alpha) {
+    let difference = (to - from) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return from + difference * alpha;
+}
+
 // Other player representation in the game world
 export class RemotePlayer {
     constructor(scene, playerData, networkManager = null) {
@@ -284,33 +627,41 @@ export class RemotePlayer {
             return;
         }
         
-        // Network state
-        this.networkPosition = new THREE.Vector3(
+        // Latest state received from the server
+        this.targetPosition = new THREE.Vector3(
             playerData.position.x,
             playerData.position.y,
             playerData.position.z
         );
-        this.networkRotation = new THREE.Euler(
+        this.targetRotation = new THREE.Euler(
             playerData.rotation.x,
             playerData.rotation.y,
             0
         );
         
-        // Interpolation for smooth movement
-        this.targetPosition = this.networkPosition.clone();
-        this.targetRotation = this.networkRotation.clone();
+        // Timestamped snapshots (room gameTime) that the mesh is interpolated through
+        this.snapshots = [];
+        this.renderPosition = new THREE.Vector3();
+        this.addSnapshot(playerData, this.networkManager ? this.networkManager.getServerTime() : null);
         
         // Set initial mesh position to match network position immediately to prevent slow interpolation from origin
         if (this.mesh) {
-            this.mesh.position.copy(this.networkPosition);
-            this.mesh.rotation.y = this.networkRotation.y;
-            console.log('🎯 Set initial mesh position for remote player', this.id, 'to:', this.networkPosition);
+            this.mesh.position.copy(this.targetPosition);
+            this.mesh.rotation.y = this.targetRotation.y;
+            console.log('🎯 Set initial mesh position for remote player', this.id, 'to:', this.targetPosition);
         }
         
         // Visual state
         this.isMoving = playerData.isMoving || false;
         this.isCrouching = playerData.isCrouching || false;
         this.isRunning = playerData.isRunning || false;
+        this.isAiming = playerData.isAiming || false;
+        this.aimAmount = 0; // 0 = weapon at the hip, 1 = in the sights
+        
+        // Combat state
+        this.health = playerData.health !== undefined ? playerData.health : 100;
+        this.isAlive = true;
+        this.setAlive(playerData.isAlive !== false);
     }
 
     async initializeAmmoModel() {
@@ -330,6 +681,7 @@ export class RemotePlayer {
         // Generate a random color for this player
         const colors = [0x4ecdc4, 0xff6b6b, 0xf9ca24, 0x6c5ce7, 0xa29bfe, 0xfd79a8, 0x00b894, 0xe84393];
         const playerColor = colors[Math.floor(Math.random() * colors.length)];
+        this.bodyColor = playerColor;
         
         // Main body (cylinder)
         const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 1.4, 8);
@@ -473,7 +825,7 @@ export class RemotePlayer {
             
             // Scale and position the weapon
             this.weapon.scale.set(0.8, 0.8, 0.8);
-            this.weapon.position.set(0.3, 0.2, 0.4);
+            this.weapon.position.copy(REMOTE_WEAPON_HIP_POSITION);
             this.weapon.rotation.set(0, Math.PI / 2, 0);
             
             // Attach weapon to player
@@ -507,7 +859,7 @@ export class RemotePlayer {
         weaponGroup.add(barrel);
         
         // Position the weapon
-        weaponGroup.position.set(0.3, 0.2, 0.4);
+        weaponGroup.position.copy(REMOTE_WEAPON_HIP_POSITION);
         weaponGroup.rotation.set(0, Math.PI / 2, 0);
         
         this.weapon = weaponGroup;
@@ -736,6 +1088,40 @@ export class RemotePlayer {
         animateFlash();
     }
 
+    // Hide dead players until they respawn
+    setAlive(isAlive) {
+        this.isAlive = isAlive;
+        if (this.mesh) {
+            this.mesh.visible = isAlive;
+        }
+    }
+
+    // Briefly flash the body red when this player takes damage
+    showHitEffect() {
+        if (!this.mesh) return;
+        
+        this.mesh.material.color.setHex(0xff0000);
+        
+        clearTimeout(this.hitEffectTimer);
+        this.hitEffectTimer = setTimeout(() => {
+            if (this.mesh) {
+                this.mesh.material.color.setHex(this.bodyColor);
+            }
+        }, 120);
+    }
+
+    // Vertical capsule used for bullet hits. Mirrors PLAYER_HITBOX on the server:
+    // the 1.4 tall body is centered on the player's position and the head sits on top.
+    getHitCapsule() {
+        const heightScale = this.mesh.scale.y;
+        const position = this.mesh.position;
+        return {
+            start: new THREE.Vector3(position.x, position.y - 0.7 * heightScale, position.z),
+            end: new THREE.Vector3(position.x, position.y + 1.2 * heightScale, position.z),
+            radius: 0.35
+        };
+    }
+
     // Check if this remote player should be considered stale (no updates for too long)
     isPlayerStale() {
         const now = Date.now();
@@ -755,22 +1141,6 @@ export class RemotePlayer {
         return this.isStale;
     }
 
-    // Enhanced method to detect if this player might be a reconnection duplicate
-    isPotentialReconnectionDuplicate(newPlayerPosition, threshold = 3) {
-        if (!this.mesh || !newPlayerPosition) return false;
-        
-        const distance = this.mesh.position.distanceTo(new THREE.Vector3(
-            newPlayerPosition.x,
-            newPlayerPosition.y,
-            newPlayerPosition.z
-        ));
-        
-        const timeSinceUpdate = Date.now() - this.lastUpdateTime;
-        const isStale = timeSinceUpdate > 3000; // 3 seconds without updates
-        
-        return distance < threshold && isStale;
-    }
-
     // Mark this player for immediate cleanup (used when detecting reconnection)
     markForCleanup(reason = 'unknown') {
         console.log(`🗑️ Marking remote player ${this.id} for cleanup: ${reason}`);
@@ -794,7 +1164,7 @@ export class RemotePlayer {
         }
     }
 
-    updateFromNetwork(playerData) {
+    updateFromNetwork(playerData, gameTime = null) {
         // Track update frequency for debugging
         this.updateCount++;
         const now = Date.now();
@@ -816,38 +1186,21 @@ export class RemotePlayer {
             console.log(`📡 Remote player ${this.id} update #${this.updateCount}, gap: ${timeSinceLastUpdate}ms, position:`, playerData.position);
         }
         
-        // Store previous position for distance calculation
-        const previousTarget = this.targetPosition.clone();
-        
-        // Update target position and rotation for interpolation
-        this.targetPosition.set(
-            playerData.position.x,
-            playerData.position.y,
-            playerData.position.z
-        );
-        
-        this.targetRotation.set(
-            playerData.rotation.x,
-            playerData.rotation.y,
-            0
-        );
-        
-        // If this is a big position change (player just joined or teleported), snap immediately
-        if (this.mesh && previousTarget.distanceTo(this.targetPosition) > 10) {
-            console.log('📍 Large position change detected for remote player', this.id, '- snapping to new position');
-            this.mesh.position.copy(this.targetPosition);
-            this.mesh.rotation.y = this.targetRotation.y;
-        }
+        // Queue the new state for interpolation
+        this.addSnapshot(playerData, gameTime);
         
         // Update state flags
         this.isMoving = playerData.isMoving || false;
         this.isCrouching = playerData.isCrouching || false;
         this.isRunning = playerData.isRunning || false;
+        this.isAiming = playerData.isAiming || false;
         
-        // Adjust height based on crouching
-        const targetHeight = this.isCrouching ? 0.8 : 1.6;
-        if (this.mesh) {
-            this.mesh.scale.y = targetHeight / 1.6;
+        // Keep combat state in sync (covers players who were dead when we joined)
+        if (playerData.health !== undefined) {
+            this.health = playerData.health;
+        }
+        if (playerData.isAlive !== undefined && playerData.isAlive !== this.isAlive) {
+            this.setAlive(playerData.isAlive);
         }
         
         // Debug: log position occasionally (reduced frequency)
@@ -856,41 +1209,129 @@ export class RemotePlayer {
         }
     }
 
-    update(deltaTime) {
-        if (!this.mesh) return;
+    // Record a server state at the given room gameTime
+    addSnapshot(playerData, gameTime) {
+        const time = Number.isFinite(gameTime) ? gameTime : 0;
+        const snapshot = {
+            time: time,
+            position: new THREE.Vector3(playerData.position.x, playerData.position.y, playerData.position.z),
+            rotationX: playerData.rotation ? playerData.rotation.x : 0,
+            rotationY: playerData.rotation ? playerData.rotation.y : 0,
+            heightScale: playerData.isCrouching ? 0.5 : 1 // Crouching squashes the mesh to half height
+        };
         
-        // Calculate distance to target for adaptive interpolation
-        const distanceToTarget = this.mesh.position.distanceTo(this.targetPosition);
+        this.targetPosition.copy(snapshot.position);
+        this.targetRotation.set(snapshot.rotationX, snapshot.rotationY, 0);
         
-        // Use faster interpolation for large distances (e.g., when player just joined or teleported)
-        let interpolationSpeed = deltaTime * 10; // Default speed
-        if (distanceToTarget > 5) {
-            // If player is very far from target, use much faster interpolation or snap immediately
-            interpolationSpeed = deltaTime * 50; // 5x faster
-            console.log('🏃 Fast interpolation for remote player', this.id, 'distance:', distanceToTarget.toFixed(2));
-        } else if (distanceToTarget > 1) {
-            // Medium distance, use faster interpolation
-            interpolationSpeed = deltaTime * 20; // 2x faster
+        const latest = this.snapshots[this.snapshots.length - 1];
+        
+        if (latest && latest.position.distanceTo(snapshot.position) > TELEPORT_DISTANCE) {
+            // Teleported (respawn, room change) - don't slide across the map
+            console.log('📍 Large position change detected for remote player', this.id, '- snapping to new position');
+            this.snapshots = [snapshot];
+            return;
         }
         
-        // Interpolate position
-        this.mesh.position.lerp(this.targetPosition, Math.min(interpolationSpeed, 1.0));
+        if (latest && time <= latest.time) {
+            // Same or older server tick - keep the newest data but don't go back in time
+            snapshot.time = latest.time;
+            this.snapshots[this.snapshots.length - 1] = snapshot;
+            return;
+        }
         
-        // Interpolate rotation (only Y axis for looking around)
-        this.mesh.rotation.y = THREE.MathUtils.lerp(
-            this.mesh.rotation.y,
-            this.targetRotation.y,
-            deltaTime * 10
-        );
+        this.snapshots.push(snapshot);
         
-        // Update weapon rotation to match player looking direction
-        if (this.weapon) {
-            // Make weapon follow player's pitch (up/down look)
-            this.weapon.rotation.x = THREE.MathUtils.lerp(
-                this.weapon.rotation.x,
-                this.targetRotation.x * 0.5, // Dampen the pitch movement
-                deltaTime * 8
-            );
+        // Drop history we will never render again, keeping at least two snapshots to blend
+        while (this.snapshots.length > 2 && time - this.snapshots[0].time > SNAPSHOT_BUFFER_DURATION) {
+            this.snapshots.shift();
+        }
+    }
+    
+    // Move straight to a position without interpolating from the old one
+    teleport(position) {
+        const time = this.networkManager ? this.networkManager.getServerTime() : null;
+        const latest = this.snapshots[this.snapshots.length - 1];
+        
+        this.snapshots = [];
+        this.addSnapshot({
+            position: position,
+            rotation: { x: this.targetRotation.x, y: this.targetRotation.y },
+            isCrouching: latest ? latest.heightScale < 1 : false
+        }, time);
+        
+        if (this.mesh) {
+            this.mesh.position.copy(this.targetPosition);
+        }
+    }
+    
+    // Work out where the player was at renderTime, interpolating between the two snapshots around it
+    // or extrapolating a little past the newest one if the next packet is late
+    sampleSnapshots(renderTime) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+        
+        const latest = snapshots[snapshots.length - 1];
+        if (renderTime === null || snapshots.length === 1) {
+            return this.holdSnapshot(latest);
+        }
+        
+        if (renderTime <= snapshots[0].time) {
+            return this.holdSnapshot(snapshots[0]);
+        }
+        
+        if (renderTime >= latest.time) {
+            // Ran out of snapshots - keep moving the way the last two were going, for a little while
+            const previous = snapshots[snapshots.length - 2];
+            const span = latest.time - previous.time;
+            const ahead = Math.min(renderTime - latest.time, MAX_EXTRAPOLATION);
+            const alpha = span > 0 ? 1 + ahead / span : 1;
+            
+            this.renderPosition.copy(previous.position).lerp(latest.position, alpha);
+            return { position: this.renderPosition, rotationX: latest.rotationX, rotationY: latest.rotationY, heightScale: latest.heightScale };
+        }
+        
+        // Find the pair of snapshots around renderTime
+        let index = snapshots.length - 1;
+        while (index > 0 && snapshots[index - 1].time > renderTime) {
+            index--;
+        }
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        const alpha = (renderTime - from.time) / (to.time - from.time);
+        
+        this.renderPosition.copy(from.position).lerp(to.position, alpha);
+        return {
+            position: this.renderPosition,
+            rotationX: THREE.MathUtils.lerp(from.rotationX, to.rotationX, alpha),
+            rotationY: lerpAngle(from.rotationY, to.rotationY, alpha),
+            heightScale: THREE.MathUtils.lerp(from.heightScale, to.heightScale, alpha)
+        };
+    }
+
+    holdSnapshot(snapshot) {
+        this.renderPosition.copy(snapshot.position);
+        return { position: this.renderPosition, rotationX: snapshot.rotationX, rotationY: snapshot.rotationY, heightScale: snapshot.heightScale };
+    }
+
+    update(deltaTime) {
+        if (!this.mesh) return;
+        
+        // Render slightly in the past so we are interpolating between known states, not guessing
+        const serverTime = this.networkManager ? this.networkManager.getServerTime() : null;
+        const state = this.sampleSnapshots(serverTime === null ? null : serverTime - INTERPOLATION_DELAY);
+        
+        if (state) {
+            this.mesh.position.copy(state.position);
+            this.mesh.rotation.y = state.rotationY;
+            this.mesh.scale.y = state.heightScale;
+            
+            // Make weapon follow player's pitch (up/down look), fully once it is raised to aim
+            if (this.weapon) {
+                const aimStep = deltaTime / REMOTE_AIM_TIME;
+                this.aimAmount = this.isAiming ? Math.min(1, this.aimAmount + aimStep) : Math.max(0, this.aimAmount - aimStep);
+                this.weapon.position.lerpVectors(REMOTE_WEAPON_HIP_POSITION, REMOTE_WEAPON_AIM_POSITION, this.aimAmount);
+                this.weapon.rotation.x = state.rotationX * THREE.MathUtils.lerp(0.5, 1, this.aimAmount); // Dampen the pitch movement at the hip
+            }
         }
         
         // Make name tag always face the camera
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
+import { Capsule, WorldCollider } from './collision.js';
+
+const MAX_MOVE_STEPS = 10; // Substeps per frame, so fast movement can't tunnel through thin walls
+const MAX_RESOLVE_ITERATIONS = 4; // Push-outs per substep before giving up on a tight spot
+const STEP_DOWN_SAMPLES = 5; // How finely a step-up feels its way back down onto the ledge
 
 export class Player {
-    constructor(camera, scene) {
+    // worldCollider: the map's static world (see WorldCollider) the player can't walk through
+    constructor(camera, scene, worldCollider = new WorldCollider()) {
         this.camera = camera;
         this.scene = scene;
         
@@ -29,17 +35,27 @@ export class Player {
         this.damping = 8.0;
         this.gravity = 30.0;
         this.mass = 100.0;
+        this.speedMultiplier = 1; // Lowered by the weapon while aiming down sights
         
         // Player dimensions
         this.height = 1.6;
         this.crouchHeight = 0.8;
         this.radius = 0.3;
+        this.stepHeight = 0.35; // Ledges up to this high are walked up onto
+        this.maxSlopeAngle = Math.PI / 4; // Anything steeper is a wall
+        this.currentHeight = this.height; // Camera height above the feet this frame (standing or crouched)
+        
+        // Health - the server owns the real value in multiplayer
+        this.maxHealth = 100;
+        this.health = this.maxHealth;
+        this.isDead = false;
         
         // Mouse look - improved rotation handling
         this.isLocked = false;
         this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
         this.PI_2 = Math.PI / 2;
         this.mouseSensitivity = 0.002;
+        this.sensitivityMultiplier = 1; // Lowered by the weapon while zoomed in
         
         // Enhanced rotation tracking to prevent accumulation errors
         this.rotationX = 0;
@@ -47,8 +63,9 @@ export class Player {
         this.maxPitch = Math.PI / 2 - 0.01; // Slightly less than 90 degrees to prevent gimbal lock
         
         // Collision detection
-        this.raycaster = new THREE.Raycaster(new THREE.Vector3(), new THREE.Vector3(0, -1, 0), 0, 2);
-        this.collisionObjects = [];
+        this.worldCollider = worldCollider;
+        this.capsule = new Capsule(new THREE.Vector3(), new THREE.Vector3(), this.radius);
+        this.moveDisplacement = new THREE.Vector3(); // Reused by update()
         
         // Camera shake and vibration effects
         this.walkBobTime = 0;
@@ -139,9 +156,6 @@ export class Player {
         // Add body to scene
         this.scene.add(this.body);
         
-        // Update collision objects to exclude the newly created body
-        this.updateCollisionObjects();
-        
         console.log('Player capsule body created and added to scene');
         console.log('Body position:', this.body.position);
         console.log('Body children count:', this.body.children.length);
@@ -221,19 +235,8 @@ export class Player {
                 const clampedMovementY = Math.max(-50, Math.min(50, movementY));
                 
                 // Update rotation values directly to avoid Euler accumulation issues
-                this.rotationY -= clampedMovementX * this.mouseSensitivity;
-                this.rotationX -= clampedMovementY * this.mouseSensitivity;
-                
-                // Clamp pitch to prevent gimbal lock and over-rotation
-                this.rotationX = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.rotationX));
-                
-                // Normalize yaw to prevent accumulation (keep between -PI and PI)
-                while (this.rotationY > Math.PI) this.rotationY -= 2 * Math.PI;
-                while (this.rotationY < -Math.PI) this.rotationY += 2 * Math.PI;
-                
-                // Apply rotation to camera using clean Euler values
-                this.euler.set(this.rotationX, this.rotationY, 0, 'YXZ');
-                this.camera.quaternion.setFromEuler(this.euler);
+                const sensitivity = this.mouseSensitivity * this.sensitivityMultiplier;
+                this.rotateView(-clampedMovementY * sensitivity, -clampedMovementX * sensitivity);
             }
         });
         
@@ -245,56 +248,6 @@ export class Player {
         document.addEventListener('keyup', (event) => {
             this.handleKeyUp(event);
         });
-        
-        // Add collision objects (you can add more objects here)
-        this.scene.traverse((child) => {
-            if (child.isMesh && child !== this.camera && child.parent !== this.body) {
-                this.collisionObjects.push(child);
-            }
-        });
-        
-        // Update collision objects when body is created (exclude body parts)
-        this.updateCollisionObjects();
-    }
-    
-    updateCollisionObjects() {
-        // Clear existing collision objects
-        this.collisionObjects = [];
-        
-        // Add all mesh objects except camera and player body parts
-        this.scene.traverse((child) => {
-            if (child.isMesh && 
-                child !== this.camera && 
-                child.parent !== this.body && 
-                child !== this.body &&
-                !this.isPlayerBodyPart(child)) {
-                this.collisionObjects.push(child);
-            }
-        });
-    }
-    
-    isPlayerBodyPart(object) {
-        if (!object) return false;
-        
-        // Check userData flags
-        if (object.userData && (object.userData.isPlayerBody || object.userData.isWeapon || object.userData.isBullet)) {
-            return true;
-        }
-        
-        // Check if object is part of the body hierarchy
-        if (!this.body) return false;
-        
-        // Check if object is a direct child of the body
-        if (object.parent === this.body) return true;
-        
-        // Check if object is part of any attachment to the body
-        let parent = object.parent;
-        while (parent) {
-            if (parent === this.body) return true;
-            parent = parent.parent;
-        }
-        
-        return false;
     }
     
     requestPointerLock() {
@@ -415,32 +368,171 @@ export class Player {
         }
     }
     
-    checkCollisions() {
-        // Ground collision detection
-        this.raycaster.ray.origin.copy(this.camera.position);
-        this.raycaster.ray.direction.set(0, -1, 0);
-        
-        // Filter out player body parts from collision detection
-        const validCollisionObjects = this.collisionObjects.filter(obj => !this.isPlayerBodyPart(obj));
-        const intersections = this.raycaster.intersectObjects(validCollisionObjects);
-        
-        const targetHeight = this.isCrouching ? this.crouchHeight : this.height;
-        
-        if (intersections.length > 0) {
-            const distance = intersections[0].distance;
-            if (distance < targetHeight) {
-                this.camera.position.y = intersections[0].point.y + targetHeight;
-                this.velocity.y = Math.max(0, this.velocity.y);
-                
-                // Landing effect
-                if (!this.canJump && this.wasInAir) {
-                    this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
-                    this.wasInAir = false;
-                }
-                
-                this.canJump = true;
+    setHealth(health, maxHealth = this.maxHealth) {
+        this.maxHealth = maxHealth;
+        this.health = Math.max(0, Math.min(health, maxHealth));
+    }
+    
+    die() {
+        this.isDead = true;
+        this.health = 0;
+        
+        // Stop all movement and drop to the floor
+        this.moveForward = false;
+        this.moveBackward = false;
+        this.moveLeft = false;
+        this.moveRight = false;
+        this.velocity.set(0, 0, 0);
+        this.camera.position.y = this.crouchHeight / 2;
+        this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
+    }
+    
+    respawn(position) {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.velocity.set(0, 0, 0);
+        this.camera.position.set(position.x, position.y, position.z);
+        this.currentHeight = this.height;
+        this.canJump = true;
+        this.wasInAir = false;
+        
+        if (this.body) {
+            this.body.position.set(position.x, position.y - this.height / 2, position.z);
+        }
+    }
+    
+    // Move the player's capsule by displacement (world space), sliding along walls, stepping up onto
+    // low ledges and only standing on slopes up to maxSlopeAngle
+    moveAndCollide(displacement) {
+        const wasGrounded = this.canJump;
+        const feet = this.camera.position.clone();
+        feet.y -= this.currentHeight;
+        
+        // Crouch or stand up, staying crouched while there's no headroom
+        const height = this.isCrouching || !this.fitsAt(feet, this.height) ? this.crouchHeight : this.height;
+        
+        const steps = Math.min(MAX_MOVE_STEPS, Math.max(1, Math.ceil(displacement.length() / (this.radius * 0.5))));
+        const step = displacement.clone().divideScalar(steps);
+        let grounded = false;
+        
+        for (let i = 0; i < steps; i++) {
+            const from = feet.clone();
+            feet.add(step);
+            
+            let contact = this.resolveCollisions(feet, height);
+            if (contact.blocked && (wasGrounded || grounded)) {
+                contact = this.tryStepUp(from, step, feet, height) || contact;
+            }
+            
+            grounded = grounded || contact.grounded;
+            if (contact.ceiling) {
+                this.velocity.y = Math.min(0, this.velocity.y);
+            }
+        }
+        
+        // Follow the ground down slopes and steps instead of running off into the air
+        if (wasGrounded && !grounded && this.velocity.y <= 0) {
+            const probe = feet.clone();
+            probe.y -= this.stepHeight;
+            if (this.resolveCollisions(probe, height).grounded) {
+                feet.copy(probe);
+                grounded = true;
+            }
+        }
+        
+        if (grounded) {
+            this.velocity.y = Math.max(0, this.velocity.y);
+            
+            // Landing effect
+            if (!this.canJump && this.wasInAir) {
+                this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
+                this.wasInAir = false;
             }
+        } else if (this.canJump) {
+            this.wasInAir = true; // Walked off an edge
         }
+        this.canJump = grounded;
+        
+        this.currentHeight = height;
+        this.camera.position.set(feet.x, feet.y + height, feet.z);
+    }
+    
+    // Push feet out of the world, as { grounded, blocked, ceiling } for what the capsule touched.
+    // Ground pushes straight up so the player doesn't slide down walkable slopes; walls and slopes too
+    // steep to stand on push sideways only. When settling onto a ledge, resting on the edge of a
+    // walkable surface counts as ground too.
+    resolveCollisions(feet, height, settling = false) {
+        const contact = { grounded: false, blocked: false, ceiling: false };
+        const minGroundNormalY = Math.cos(this.maxSlopeAngle);
+        
+        for (let i = 0; i < MAX_RESOLVE_ITERATIONS; i++) {
+            const hit = this.worldCollider.capsuleIntersect(this.capsule.setFromFeet(feet, height, this.radius));
+            if (!hit) break;
+            
+            const normal = hit.normal;
+            const horizontal = Math.sqrt(normal.x * normal.x + normal.z * normal.z);
+            if (normal.y >= minGroundNormalY || (settling && normal.y > 0 && hit.faceNormal.y >= minGroundNormalY)) {
+                feet.y += hit.depth / normal.y;
+                contact.grounded = true;
+            } else if (normal.y < -Math.cos(this.maxSlopeAngle) || horizontal < 1e-6) {
+                feet.addScaledVector(normal, hit.depth);
+                contact.ceiling = true;
+            } else {
+                feet.x += normal.x / horizontal * hit.depth / horizontal;
+                feet.z += normal.z / horizontal * hit.depth / horizontal;
+                contact.blocked = true;
+            }
+        }
+        
+        return contact;
+    }
+    
+    // Walking into something: try the same step stepHeight higher and settle back down onto whatever is
+    // under it. Used only if that gets further than sliding along the obstacle did.
+    tryStepUp(from, step, feet, height) {
+        const raised = from.clone();
+        raised.y += this.stepHeight;
+        if (!this.fitsAt(raised, height)) return null;
+        
+        raised.x += step.x;
+        raised.z += step.z;
+        const over = this.resolveCollisions(raised, height);
+        if (over.blocked || over.ceiling) return null;
+        
+        for (let i = 0; i < STEP_DOWN_SAMPLES && this.fitsAt(raised, height); i++) {
+            raised.y -= this.stepHeight / STEP_DOWN_SAMPLES;
+        }
+        const settled = this.resolveCollisions(raised, height, true);
+        if (!settled.grounded || settled.blocked) return null;
+        
+        const stepDistance = (raised.x - from.x) ** 2 + (raised.z - from.z) ** 2;
+        const slideDistance = (feet.x - from.x) ** 2 + (feet.z - from.z) ** 2;
+        if (stepDistance <= slideDistance) return null;
+        
+        feet.copy(raised);
+        return settled;
+    }
+    
+    // Whether a capsule height tall fits at feet without touching the world
+    fitsAt(feet, height) {
+        return this.worldCollider.capsuleIntersect(this.capsule.setFromFeet(feet, height, this.radius)) === null;
+    }
+    
+    // Turn the view by the given pitch and yaw in radians - mouse look and weapon recoil both go through here
+    rotateView(pitch, yaw) {
+        this.rotationX += pitch;
+        this.rotationY += yaw;
+        
+        // Clamp pitch to prevent gimbal lock and over-rotation
+        this.rotationX = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.rotationX));
+        
+        // Normalize yaw to prevent accumulation (keep between -PI and PI)
+        while (this.rotationY > Math.PI) this.rotationY -= 2 * Math.PI;
+        while (this.rotationY < -Math.PI) this.rotationY += 2 * Math.PI;
+        
+        // Apply rotation to camera using clean Euler values
+        this.euler.set(this.rotationX, this.rotationY, 0, 'YXZ');
+        this.camera.quaternion.setFromEuler(this.euler);
     }
     
     addCameraShake(intensity, duration) {
@@ -543,6 +635,9 @@ export class Player {
         const delta = (time - this.prevTime) / 1000;
         this.prevTime = time;
         
+        // Nothing moves while waiting to respawn
+        if (this.isDead) return;
+        
         // Clamp delta to prevent large jumps
         const clampedDelta = Math.min(delta, 0.1);
         
@@ -560,6 +655,7 @@ export class Player {
         } else if (this.isCrouching) {
             currentSpeed = this.walkSpeed * 0.5;
         }
+        currentSpeed *= this.speedMultiplier;
         
         // Update direction based on movement keys
         this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
@@ -574,18 +670,16 @@ export class Player {
             this.velocity.x -= this.direction.x * currentSpeed * clampedDelta;
         }
         
-        // Apply movement with collision detection
-        const oldPosition = this.camera.position.clone();
-        
-        // Move horizontally
-        this.camera.translateX(this.velocity.x * clampedDelta);
-        this.camera.translateZ(this.velocity.z * clampedDelta);
-        
-        // Move vertically
-        this.camera.position.y += this.velocity.y * clampedDelta;
-        
-        // Check collisions and adjust position
-        this.checkCollisions();
+        // Velocity is relative to where the player faces (x right, z back): turn it into a world-space
+        // move along the ground, then collide with the world
+        const sin = Math.sin(this.rotationY);
+        const cos = Math.cos(this.rotationY);
+        this.moveDisplacement.set(
+            (this.velocity.x * cos + this.velocity.z * sin) * clampedDelta,
+            this.velocity.y * clampedDelta,
+            (this.velocity.z * cos - this.velocity.x * sin) * clampedDelta
+        );
+        this.moveAndCollide(this.moveDisplacement);
         
         // Update body position after collision checks to prevent conflicts
         if (this.body) {
@@ -600,15 +694,14 @@ export class Player {
         }
         
         // Prevent falling through the world
-        const minHeight = this.isCrouching ? this.crouchHeight : this.height;
-        if (this.camera.position.y < minHeight) {
+        if (this.camera.position.y < this.currentHeight) {
             // Landing effect when hitting the floor
             if (!this.canJump && this.wasInAir) {
                 this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
                 this.wasInAir = false;
             }
             
-            this.camera.position.y = minHeight;
+            this.camera.position.y = this.currentHeight;
             this.velocity.y = 0;
             this.canJump = true;
         }
@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+// Client-side prediction for the local player.
+// The player moves immediately; every input sent to the server carries a sequence number and
+// we remember the position we sent with it. The server echoes back the last input it processed
+// and where it actually put us, and any difference gets replayed onto the inputs it hasn't
+// processed yet and eased into the camera. Those inputs already left with the old positions: the
+// server shifts them by the same correction until our acknowledged snapshot shows we have seen it
+// (server/player.js toServerFrame()), and from then on we send positions that include it.
+export class MovementPrediction {
+    constructor(player) {
+        this.player = player;
+
+        this.pendingInputs = []; // Inputs the server hasn't acknowledged yet: { sequence, position }
+        this.correction = new THREE.Vector3(); // Error still waiting to be blended into the camera
+
+        // Tuning
+        this.correctionSpeed = 10; // Fraction of the remaining error applied per second
+        this.snapDistance = 5; // Errors bigger than this are applied instantly (teleports, respawns)
+        this.errorThreshold = 0.01; // Ignore floating point noise
+        this.maxPendingInputs = 100; // ~5 seconds of inputs at 20 Hz
+
+        // Debug stats
+        this.correctionCount = 0;
+        this.lastError = 0;
+    }
+
+    // Remember the position we predicted for an input that was just sent
+    recordInput(sequence, position) {
+        this.pendingInputs.push({
+            sequence: sequence,
+            position: position.clone()
+        });
+
+        // Don't grow forever if the server stops answering
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    // Where the camera ends up once the outstanding correction is blended in. This is the position to send
+    // and predict with - the camera itself lags behind while the correction eases in.
+    getCorrectedPosition() {
+        return this.player.camera.position.clone().add(this.correction);
+    }
+
+    // Compare the server's authoritative state against what we predicted for the same input
+    reconcile(serverState) {
+        if (!serverState.position || serverState.lastProcessedInput === undefined) return;
+
+        // Drop everything the server has processed, keeping the last one to compare against
+        let acknowledged = null;
+        while (this.pendingInputs.length > 0 && this.pendingInputs[0].sequence <= serverState.lastProcessedInput) {
+            acknowledged = this.pendingInputs.shift();
+        }
+
+        if (!acknowledged || acknowledged.sequence !== serverState.lastProcessedInput) return;
+
+        const error = new THREE.Vector3(
+            serverState.position.x - acknowledged.position.x,
+            serverState.position.y - acknowledged.position.y,
+            serverState.position.z - acknowledged.position.z
+        );
+
+        const errorDistance = error.length();
+        if (errorDistance < this.errorThreshold) return;
+
+        this.correctionCount++;
+        this.lastError = errorDistance;
+        console.log(`🧭 Server corrected input #${acknowledged.sequence} by ${errorDistance.toFixed(2)} units (${this.pendingInputs.length} inputs replayed)`);
+
+        // Replay the unacknowledged inputs from the server's position instead of ours.
+        // They all moved relative to the acknowledged one, so they shift by the same error.
+        this.pendingInputs.forEach(input => {
+            input.position.add(error);
+        });
+
+        if (errorDistance > this.snapDistance) {
+            this.player.camera.position.add(error);
+        } else {
+            this.correction.add(error);
+        }
+    }
+
+    // Blend any outstanding correction into the camera so it doesn't visibly pop
+    update(deltaTime) {
+        if (this.correction.lengthSq() < this.errorThreshold * this.errorThreshold) {
+            this.correction.set(0, 0, 0);
+            return;
+        }
+
+        const step = this.correction.clone().multiplyScalar(Math.min(deltaTime * this.correctionSpeed, 1));
+        this.player.camera.position.add(step);
+        this.correction.sub(step);
+    }
+
+    // Forget everything, e.g. after a respawn, death or room change
+    reset() {
+        this.pendingInputs = [];
+        this.correction.set(0, 0, 0);
+    }
+}
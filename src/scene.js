@@ -1,8 +1,12 @@
 import * as THREE from 'three';
 import { Player } from './player.js';
-import { Weapon } from './weapon.js';
+import { Weapon, TARGET_HIT_RADIUS } from './weapon.js';
 import { TargetManager } from './targets.js';
 import { NetworkManager, RemotePlayer } from './network.js';
+import { LocalNetworkManager } from './local-server.js';
+import { MovementPrediction } from './prediction.js';
+import { WorldCollider } from './collision.js';
+import { MapLoader } from './map-loader.js';
 
 // Initialize loading system first
 let gameIsReady = false;
@@ -23,7 +27,6 @@ if (window.gameLoadingManager) {
     console.log('🔄 Registering game systems with loading manager...');
     
     // Register all systems that need to be loaded
-    window.gameLoadingManager.registerSystem('skybox', 'Skybox textures');
     window.gameLoadingManager.registerSystem('player', 'Player system');
     window.gameLoadingManager.registerSystem('weapon', 'Weapon system');
     window.gameLoadingManager.registerSystem('targets', 'Target system');
@@ -34,53 +37,9 @@ if (window.gameLoadingManager) {
     console.log('✅ Game systems registered with loading manager');
 }
 
-// Create skybox using cube texture
-const loader = new THREE.CubeTextureLoader();
-const skyboxTexture = loader.load([
-    'skymap/px.png', // positive x
-    'skymap/nx.png', // negative x
-    'skymap/py.png', // positive y
-    'skymap/ny.png', // negative y
-    'skymap/pz.png', // positive z
-    'skymap/nz.png'  // negative z
-], 
-// onLoad
-() => {
-    console.log('Skybox cube texture loaded successfully');
-    if (window.gameLoadingManager) {
-        window.gameLoadingManager.markSystemLoaded('skybox');
-    }
-},
-// onProgress
-(progress) => {
-    console.log('Skybox loading progress:', progress);
-    if (window.gameLoadingManager && progress.loaded && progress.total) {
-        const percent = (progress.loaded / progress.total) * 100;
-        window.gameLoadingManager.updateSystemProgress('skybox', percent, 'Loading textures...');
-    }
-},
-// onError
-(error) => {
-    console.error('Error loading skybox cube texture:', error);
-    // Fallback to solid color background
-    scene.background = new THREE.Color(0x87CEEB);
-    if (window.gameLoadingManager) {
-        window.gameLoadingManager.markSystemError('skybox', error);
-    }
-});
-
-// Set the skybox as scene background
-scene.background = skyboxTexture;
-
-// Optional: Add subtle atmospheric fog for depth
-scene.fog = new THREE.Fog(0xffffff, 100, 300);
-
-// Remove fog temporarily while we load the skybox
-// scene.fog = new THREE.Fog(0x87CEEB, 50, 200);
-
 // Create camera
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(0, 1.6, 5); // Eye level height
+camera.position.set(0, 1.6, 5); // Eye level height, moved to the map's first spawn point once it loads
 
 // Add audio listener to camera
 const audioListener = new THREE.AudioListener();
@@ -105,78 +64,57 @@ renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.0;
 document.body.appendChild(renderer.domElement);
 
-// Enhanced lighting setup - bright ambient for sunny sky
-const ambientLight = new THREE.AmbientLight(0xB8D4F0, 1);
-scene.add(ambientLight);
-
-// Key directional light (sun)
-const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
-directionalLight.position.set(20, 30, 10);
-directionalLight.castShadow = true;
-directionalLight.shadow.mapSize.width = 2048;
-directionalLight.shadow.mapSize.height = 2048;
-directionalLight.shadow.camera.near = 0.5;
-directionalLight.shadow.camera.far = 100;
-directionalLight.shadow.camera.left = -50;
-directionalLight.shadow.camera.right = 50;
-directionalLight.shadow.camera.top = 50;
-directionalLight.shadow.camera.bottom = -50;
-directionalLight.shadow.bias = -0.0001;
-scene.add(directionalLight);
-
-// Fill light
-const fillLight = new THREE.DirectionalLight(0x87CEEB, 0.3);
-fillLight.position.set(-10, 10, -10);
-scene.add(fillLight);
-
-// Additional sunlight from specified position
-const sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
-sunLight.position.set(-30, 30, 20);
-sunLight.target.position.set(0, 0, 0);
-sunLight.castShadow = true;
-sunLight.shadow.mapSize.width = 2048;
-sunLight.shadow.mapSize.height = 2048;
-sunLight.shadow.camera.near = 0.5;
-sunLight.shadow.camera.far = 100;
-sunLight.shadow.camera.left = -50;
-sunLight.shadow.camera.right = 50;
-sunLight.shadow.camera.top = 50;
-sunLight.shadow.camera.bottom = -50;
-sunLight.shadow.bias = -0.0001;
-scene.add(sunLight);
-scene.add(sunLight.target);
-
-// Create enhanced floor with texture
-const floorGeometry = new THREE.PlaneGeometry(200, 200, 32, 32);
-const floorMaterial = new THREE.MeshLambertMaterial({ 
-    color: 0x556B2F,
-    transparent: true,
-    opacity: 0.9
+// The world comes from a map file (maps/, see shared/game-map.js). Its collision meshes are indexed
+// once for player movement; targets and remote players move, so bullets find them through the weapon's
+// own broadphase instead. The server picks the map after that (changeMap()).
+const worldCollider = new WorldCollider();
+const mapLoader = new MapLoader(scene, worldCollider);
+let mapLoading = mapLoader.load(window.GameMap.DEFAULT_MAP_ID).then(() => {
+    const spawn = mapLoader.getPlayerSpawn();
+    camera.position.set(spawn.x, spawn.y, spawn.z);
+}).catch(() => {
+    // Already reported on the loading screen
 });
 
-// Add some subtle vertex displacement for terrain variation
-const floorVertices = floorGeometry.attributes.position.array;
-for (let i = 0; i < floorVertices.length; i += 3) {
-    floorVertices[i + 2] = Math.random() * 0.5; // Small random height variations
-}
-floorGeometry.attributes.position.needsUpdate = true;
-floorGeometry.computeVertexNormals();
-
-const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-floor.rotation.x = -Math.PI / 2;
-floor.receiveShadow = true;
-scene.add(floor);
-
-
-
-
-
-
-
+// Swap the world for the map the server says the room is on, behind the loading screen, with the hills
+// grown from the room's terrain seed (the hills stay as they are without one). Loads queue up behind each
+// other; resolves to whether the world actually changed.
+function changeMap(mapId, mapName, terrainSeed) {
+    const change = mapLoading.then(async () => {
+        if (!mapId) return false;
+        const seed = terrainSeed !== undefined ? terrainSeed : mapLoader.terrainSeed;
+        if (mapLoader.map && mapLoader.map.id === mapId) {
+            if (seed === mapLoader.terrainSeed) return false;
+            mapLoader.setTerrainSeed(seed); // Same map, only the hills differ
+            return true;
+        }
 
+        console.log(`🗺️ Changing map to "${mapName || mapId}"`);
+        const loadingScreen = window.gameLoadingScreen;
+        if (loadingScreen) {
+            loadingScreen.showMapChange(mapName || mapId);
+        }
+        try {
+            await mapLoader.load(mapId, seed, (percent, text) => {
+                if (loadingScreen) {
+                    loadingScreen.setProgress(percent);
+                    loadingScreen.setText(text);
+                }
+            });
+        } catch (error) {
+            // Already logged - better to play on what is left than to stay stuck behind the loading screen
+        }
+        if (loadingScreen) {
+            loadingScreen.hide();
+        }
+        return true;
+    });
+    mapLoading = change.catch(() => {});
+    return change;
+}
 
 // Initialize player
-const player = new Player(camera, scene);
+const player = new Player(camera, scene, worldCollider);
 
 // Mark player system as loaded
 if (window.gameLoadingManager) {
@@ -186,8 +124,13 @@ if (window.gameLoadingManager) {
 // Expose player globally for debug functions
 window.gamePlayer = player;
 
+// Predict our own movement and reconcile it against the server
+const movementPrediction = new MovementPrediction(player);
+window.movementPrediction = movementPrediction; // Expose for debugging
+
 // Initialize multiplayer
-const networkManager = new NetworkManager();
+// Single player is the same game against an in-browser server
+const networkManager = window.gameMode === 'singleplayer' ? new LocalNetworkManager(mapLoader) : new NetworkManager();
 const remotePlayers = new Map();
 const processedPlayerIds = new Set(); // Track players we've already processed to prevent duplicates
 
@@ -198,6 +141,13 @@ if (window.gameLoadingManager) {
 
 // Expose for debugging
 window.networkManager = networkManager;
+
+networkManager.onLocalPlayerUpdate = (serverState) => {
+    // While dead the camera lies on the floor - the respawn puts us back in sync
+    if (player.isDead) return;
+    
+    movementPrediction.reconcile(serverState);
+};
 window.remotePlayers = remotePlayers;
 window.processedPlayerIds = processedPlayerIds;
 window.gameScene = scene;
@@ -214,21 +164,14 @@ networkManager.onPlayerJoined = (playerData) => {
         return;
     }
     
-    // Enhanced reconnection detection: Clean up any stale players first
+    // Clean up any stale players first. Reconnecting players resume their session with the same ID,
+    // so they never show up here as a second copy of themselves.
     const stalePlayersToRemove = [];
-    const newPlayerPosition = new THREE.Vector3(
-        playerData.position.x,
-        playerData.position.y,
-        playerData.position.z
-    );
     
     remotePlayers.forEach((remotePlayer, playerId) => {
-        // Check if player is stale or could be a reconnection duplicate
-        if (remotePlayer.isPlayerStale() || 
-            remotePlayer.isPotentialReconnectionDuplicate(playerData.position, 8)) { // Increased threshold to 8 units
-            
-            console.log(`🔄 Removing stale/duplicate player ${playerId} for new player ${playerData.id}`);
-            remotePlayer.markForCleanup('reconnection or stale detection');
+        if (remotePlayer.isPlayerStale()) {
+            console.log(`🔄 Removing stale player ${playerId} for new player ${playerData.id}`);
+            remotePlayer.markForCleanup('stale detection');
             stalePlayersToRemove.push(playerId);
         }
     });
@@ -298,7 +241,7 @@ networkManager.onPlayerLeft = (playerId) => {
     console.log('👥 Total remote players:', remotePlayers.size);
 };
 
-networkManager.onPlayerUpdate = (playerUpdates) => {
+networkManager.onPlayerUpdate = (playerUpdates, gameTime) => {
     if (playerUpdates.size > 0) {
         console.log('🔄 Updating', playerUpdates.size, 'remote players');
         playerUpdates.forEach((playerData, playerId) => {
@@ -313,7 +256,7 @@ networkManager.onPlayerUpdate = (playerUpdates) => {
     playerUpdates.forEach((playerData, playerId) => {
         const remotePlayer = remotePlayers.get(playerId);
         if (remotePlayer) {
-            remotePlayer.updateFromNetwork(playerData);
+            remotePlayer.updateFromNetwork(playerData, gameTime);
         } else {
             // Only create new remote player from update if we haven't processed initial game state yet
             // This prevents duplicate players when processing gameUpdate events after initial connection
@@ -323,6 +266,13 @@ networkManager.onPlayerUpdate = (playerUpdates) => {
     });
 };
 
+// Targets move server-side; the target manager interpolates them like remote players
+networkManager.onTargetUpdate = (targetStates, gameTime) => {
+    if (targetManager) {
+        targetManager.applyNetworkStates(targetStates, gameTime);
+    }
+};
+
 networkManager.onPlayerShot = (shotData) => {
     console.log('🔫 Player shot event received:', shotData);
     console.log('📍 Shot position:', shotData.position);
@@ -454,7 +404,7 @@ networkManager.onTargetHit = (hitData) => {
             }
             
             // Show visual hit effect using the target manager method
-            targetManager.showHitEffect(target);
+            targetManager.showHitEffect(target, hitData.zone, hitData.hitPoint);
             
             console.log(`Updated target ${hitData.targetId} health to ${hitData.health}/${hitData.maxHealth}`);
         } else {
@@ -463,6 +413,22 @@ networkManager.onTargetHit = (hitData) => {
     }
 };
 
+networkManager.onHitRejected = (rejectData) => {
+    // Undo locally predicted damage - the server's copy of the target is the real one
+    if (!targetManager || !rejectData.target) return;
+    
+    const target = targetManager.targets.find(t => t.userData.targetId === rejectData.targetId);
+    if (target) {
+        target.userData.health = rejectData.target.health;
+        target.userData.locallyDestroyed = false;
+        console.log(`🚫 Restored target ${rejectData.targetId} health to ${rejectData.target.health}/${rejectData.target.maxHealth}`);
+    } else if (rejectData.target.isAlive) {
+        // We already destroyed it locally, bring it back
+        console.log(`🚫 Recreating locally destroyed target ${rejectData.targetId}`);
+        networkManager.onTargetSpawned(rejectData.target);
+    }
+};
+
 networkManager.onTargetDestroyed = (destroyData) => {
     // Handle target destruction from server (applies to all players)
     if (targetManager) {
@@ -470,19 +436,154 @@ networkManager.onTargetDestroyed = (destroyData) => {
         
         const wasDestroyed = targetManager.destroyTargetById(destroyData.targetId, false); // false = don't send network event
         
-        if (wasDestroyed) {
-            if (destroyData.playerId === networkManager.playerId) {
-                console.log(`You destroyed target ${destroyData.targetId} for ${destroyData.points} points!`);
-                // Update local score
-                score += destroyData.points;
-                updateScoreDisplay();
-            } else {
-                console.log(`Player ${destroyData.playerId} destroyed target ${destroyData.targetId} for ${destroyData.points} points`);
-            }
-        } else {
+        if (!wasDestroyed) {
             console.warn(`Target ${destroyData.targetId} not found for destruction event`);
         }
     }
+    
+    // The server keeps score, even when we already destroyed the target locally
+    if (destroyData.playerId === networkManager.playerId) {
+        if (destroyData.awardedPoints < 0) {
+            console.log(`That was a decoy! Target ${destroyData.targetId} cost you ${-destroyData.awardedPoints} points`);
+        } else {
+            console.log(`You destroyed target ${destroyData.targetId} for ${destroyData.awardedPoints} points${destroyData.zone === 'head' ? ' with a headshot' : ''}!`);
+        }
+        score = destroyData.playerScore;
+        updateScoreDisplay();
+    } else {
+        console.log(`Player ${destroyData.playerId} destroyed target ${destroyData.targetId} for ${destroyData.awardedPoints} points`);
+    }
+};
+
+networkManager.onTargetDespawned = (despawnData) => {
+    if (targetManager) {
+        targetManager.despawnTargetById(despawnData.targetId);
+    }
+};
+
+networkManager.onMatchStateChange = (newMatchState) => {
+    const previousState = matchState ? matchState.state : null;
+    matchState = newMatchState;
+    matchStateReceivedAt = performance.now();
+    
+    // Pick up our own score from the scoreboard
+    const myEntry = matchState.scoreboard.find(entry => entry.id === networkManager.playerId);
+    score = myEntry ? myEntry.score : 0;
+    updateScoreDisplay();
+    updateMatchDisplay();
+    
+    if (matchState.state !== previousState) {
+        console.log(`🏁 Match state: ${previousState || 'none'} -> ${matchState.state} (round ${matchState.round})`);
+    }
+    
+    if (!matchState.mapVote) {
+        myMapVote = null;
+    }
+    if (weapon) {
+        weapon.setNumberKeysTaken(isMapVoteOpen());
+    }
+    
+    // Show the scoreboard for the whole end-of-round break
+    if (matchState.state === 'ended') {
+        showScoreboard(true);
+    } else if (previousState === 'ended') {
+        showScoreboard(scoreboardHeld);
+    } else {
+        updateScoreboard();
+    }
+};
+
+networkManager.onPlayerDamaged = (damageData) => {
+    if (damageData.playerId === networkManager.playerId) {
+        console.log(`🩸 Took ${damageData.damage} damage from ${damageData.attackerId}, health: ${damageData.health}/${damageData.maxHealth}`);
+        player.setHealth(damageData.health, damageData.maxHealth);
+        player.addCameraShake(0.08, 0.15);
+        updateHealthDisplay();
+        showDamageFlash();
+    } else {
+        const remotePlayer = remotePlayers.get(damageData.playerId);
+        if (remotePlayer) {
+            remotePlayer.health = damageData.health;
+            // The shooter already flashed this locally when the bullet connected
+            if (damageData.attackerId !== networkManager.playerId) {
+                remotePlayer.showHitEffect();
+            }
+        }
+    }
+};
+
+networkManager.onPlayerKilled = (killData) => {
+    if (killData.playerId === networkManager.playerId) {
+        player.die();
+        movementPrediction.reset();
+        updateHealthDisplay();
+        showDeathScreen(killData.killerName, killData.respawnDelay);
+    } else {
+        const remotePlayer = remotePlayers.get(killData.playerId);
+        if (remotePlayer) {
+            remotePlayer.setAlive(false);
+        }
+        if (killData.killerId === networkManager.playerId) {
+            console.log(`💀 You killed ${remotePlayer ? remotePlayer.name : killData.playerId}`);
+        }
+    }
+};
+
+networkManager.onPlayerRespawned = (respawnData) => {
+    if (respawnData.playerId === networkManager.playerId) {
+        player.setHealth(respawnData.health, respawnData.maxHealth);
+        player.respawn(respawnData.position);
+        movementPrediction.reset();
+        updateHealthDisplay();
+        hideDeathScreen();
+    } else {
+        const remotePlayer = remotePlayers.get(respawnData.playerId);
+        if (remotePlayer) {
+            remotePlayer.health = respawnData.health;
+            remotePlayer.teleport(respawnData.position);
+            remotePlayer.setAlive(true);
+        }
+    }
+};
+
+// Pick up where the server kept us after a dropped connection
+function restoreLocalPlayer(state) {
+    if (state.isAlive) {
+        player.respawn(state.position);
+        player.setHealth(state.health, state.maxHealth);
+        hideDeathScreen();
+    } else {
+        player.camera.position.set(state.position.x, state.position.y, state.position.z);
+        player.die();
+        showDeathScreen(null, 0); // The server's respawn timer kept running while we were away
+    }
+    movementPrediction.reset();
+    updateHealthDisplay();
+}
+
+// Bring the local player back to life when leaving the room they died in
+function resetLocalPlayerHealth() {
+    if (player.isDead) {
+        player.respawn(mapLoader.getPlayerSpawn());
+    }
+    movementPrediction.reset();
+    player.setHealth(player.maxHealth);
+    updateHealthDisplay();
+    hideDeathScreen();
+}
+
+// The room moved on to another map: everyone respawns there (playerRespawned follows)
+networkManager.onMapChange = (mapData) => {
+    changeMap(mapData.mapId, mapData.mapName, mapData.terrainSeed);
+};
+
+networkManager.onMatchReset = (resetData) => {
+    // New round - replace every target with the server's fresh set
+    if (!targetManager) return;
+    
+    targetManager.clearAllTargets();
+    resetData.targets.forEach(targetData => networkManager.onTargetSpawned(targetData));
+    updateTargetsDisplay();
 };
 
 networkManager.onTargetSpawned = (targetData) => {
@@ -560,6 +661,8 @@ networkManager.onTargetSpawned = (targetData) => {
             health: targetData.health,
             points: targetData.points,
             rotation: rotation,
+            behaviour: targetData.behaviour ? targetData.behaviour.type : undefined,
+            type: targetData.type,
             targetId: targetData.id // Pass the server ID
         });
         
@@ -636,8 +739,26 @@ let pendingGameState = null;
 
 networkManager.onGameStateReceived = (gameState) => {
     console.log('🎮 Initial game state received, players:', gameState.players.length, 'targets:', gameState.targets.length);
+    
+    // Inputs sent to a previous room (or connection) will never be acknowledged
+    movementPrediction.reset();
     console.log('🎮 Full game state object:', gameState);
     
+    // A resumed session keeps our health and position, anything else starts fresh
+    const localState = gameState.players.find(playerData => playerData.id === gameState.yourId);
+    if (gameState.resumed && localState) {
+        restoreLocalPlayer(localState);
+    } else {
+        resetLocalPlayerHealth();
+    }
+    
+    // Every room can be on a different map. Joining puts us on the spawn point the server picked for us.
+    changeMap(gameState.mapId, gameState.mapName, gameState.terrainSeed).then(() => {
+        if (gameState.resumed) return;
+        player.respawn(localState ? localState.position : mapLoader.getPlayerSpawn());
+        movementPrediction.reset();
+    });
+    
     // Store the gameState for processing
     pendingGameState = gameState;
     
@@ -741,6 +862,8 @@ function processGameState() {
                         health: targetData.health,
                         points: targetData.points,
                         rotation: rotation,
+                        behaviour: targetData.behaviour ? targetData.behaviour.type : undefined,
+                        type: targetData.type,
                         targetId: targetData.id // Pass the server ID
                     });
                     
@@ -832,10 +955,38 @@ networkManager.onConnectionChange = (connected) => {
         remotePlayers.clear();
         processedPlayerIds.clear(); // Clear processed players tracking
         updatePlayerCount();
+        // Local health and position stay as they are: the server holds our slot and sends them back if we resume
         console.log('🧹 All remote players cleared due to disconnection');
     }
 };
 
+networkManager.onReconnecting = (attempt) => {
+    const connectionElement = document.getElementById('connection');
+    if (connectionElement) {
+        connectionElement.textContent = `🟡 Reconnecting (attempt ${attempt})...`;
+        connectionElement.classList.remove('connected');
+    }
+};
+
+networkManager.onRoomLeft = () => {
+    // Nothing from the old room should stay in the world
+    remotePlayers.forEach(remotePlayer => remotePlayer.destroy());
+    remotePlayers.clear();
+    processedPlayerIds.clear();
+    if (targetManager) {
+        targetManager.clearAllTargets();
+    }
+    matchState = null;
+    myMapVote = null;
+    if (weapon) {
+        weapon.setNumberKeysTaken(false);
+    }
+    showScoreboard(false);
+    resetLocalPlayerHealth();
+    updatePlayerCount();
+    updateConnectionStatus(networkManager.isConnected);
+};
+
 // Initialize weapon system first, then connect to multiplayer
 let weapon = null;
 let targetManager = null;
@@ -851,6 +1002,11 @@ async function initializeSystems() {
         // Expose weapon globally for target system integration
         window.weapon = weapon;
         
+        // Let bullets hit other players
+        weapon.setRemotePlayers(remotePlayers);
+        weapon.setMapLoader(mapLoader);
+        weapon.setNumberKeysTaken(isMapVoteOpen());
+        
         // Mark weapon system as loaded
         if (window.gameLoadingManager) {
             window.gameLoadingManager.markSystemLoaded('weapon');
@@ -900,14 +1056,6 @@ async function initializeSystems() {
             checkTargetManagerReady();
         }
         
-        // Set up callbacks after initialization
-        if (targetManager) {
-            targetManager.onTargetDestroyed = (points) => {
-                score += points;
-                updateScoreDisplay();
-            };
-        }
-        
         console.log('🎯 Target system initialized, current target count:', targetManager.getTargetCount());
         
         // Process any pending game state now that target manager is ready
@@ -924,16 +1072,26 @@ async function initializeSystems() {
         }, 5000); // Scan every 5 seconds
         
         if (weapon) {
-            weapon.onAmmoChange = (mag, total) => {
-                updateAmmoDisplay(mag, total);
+            weapon.onWeaponChange = (definition, slotIndex) => {
+                updateWeaponDisplay(definition, slotIndex);
+            };
+            weapon.onAmmoChange = (mag, total, isReloading) => {
+                updateAmmoDisplay(mag, total, isReloading);
+            };
+            weapon.onHitMarker = (zone) => {
+                showHitMarker(zone);
             };
             
             // Initialize HUD with starting ammo after a delay
             setTimeout(() => {
                 if (weapon) {
                     const ammo = weapon.getAmmoCount();
-                    updateAmmoDisplay(ammo.mag, ammo.total);
+                    updateAmmoDisplay(ammo.mag, ammo.total, weapon.isReloading);
+                    if (weapon.getCurrentDefinition()) {
+                        updateWeaponDisplay(weapon.getCurrentDefinition(), weapon.currentSlot);
+                    }
                 }
+                updateHealthDisplay();
             }, 1000);
         }
         
@@ -966,7 +1124,8 @@ if (window.gameLoadingManager) {
                 <p>Click or press <strong>F</strong> to start playing</p>
                 <p>Use <strong>WASD</strong> to move, <strong>Space</strong> to jump</p>
                 <p>Left click to shoot, <strong>R</strong> to reload</p>
-                <p>Press <strong>Tab</strong> for debug panel</p>
+                <p>Hold <strong>P</strong> for scoreboard</p>
+            <p>Press <strong>Tab</strong> for debug panel</p>
                 <p>Press <strong>Escape</strong> to exit</p>
             `;
         }
@@ -1031,7 +1190,7 @@ function startGame() {
             }
         };
         
-        networkManager.connect();
+        networkManager.connect(window.gameRoomChoice);
     } else {
         // Already connected or no network manager
         networkSynced = true;
@@ -1047,9 +1206,11 @@ function showGameInstructions() {
         instructions.innerHTML = `
             <h2>Cat FPS Game</h2>
             <p><strong>Player:</strong> ${window.gamePlayerName || 'Guest'}</p>
+            <p><strong>Room:</strong> ${networkManager.roomName || 'Main Arena'}</p>
             <p>Click or press <strong>F</strong> to start playing</p>
             <p>Use <strong>WASD</strong> to move, <strong>Space</strong> to jump</p>
             <p>Left click to shoot, <strong>R</strong> to reload</p>
+            <p>Hold <strong>P</strong> for scoreboard</p>
             <p>Press <strong>Tab</strong> for debug panel</p>
             <p>Press <strong>Escape</strong> to exit</p>
         `;
@@ -1060,21 +1221,132 @@ function showGameInstructions() {
 // Initialize systems first, but don't connect to network yet
 initializeSystems();
 
-// Score system
+// Score system - the score itself comes from the server's match state
 let score = 0;
+let matchState = null;
+let matchStateReceivedAt = 0;
+let scoreboardHeld = false;
+let myMapVote = null; // Map we voted for in the current end-of-round vote
 
 // HUD update functions
-function updateAmmoDisplay(mag, total) {
+function updateAmmoDisplay(mag, total, isReloading = false) {
+    const text = isReloading ? `Ammo: Reloading... (${total})` : `Ammo: ${mag}/${total}`;
     const ammoElement = document.getElementById('ammo');
     if (!ammoElement) {
         // Create ammo display if it doesn't exist
         const hud = document.getElementById('hud');
         const ammoDiv = document.createElement('div');
         ammoDiv.id = 'ammo';
-        ammoDiv.innerHTML = `Ammo: ${mag}/${total}`;
+        ammoDiv.innerHTML = text;
         hud.appendChild(ammoDiv);
     } else {
-        ammoElement.innerHTML = `Ammo: ${mag}/${total}`;
+        ammoElement.innerHTML = text;
+    }
+}
+
+// Open the crosshair up to where shots can land: the spread angle projected onto the screen
+const CROSSHAIR_MIN_GAP = 4;
+let crosshairGap = CROSSHAIR_MIN_GAP;
+
+function updateCrosshair(spread) {
+    const crosshair = document.getElementById('crosshair');
+    if (!crosshair) return;
+    
+    const halfHeight = window.innerHeight / 2;
+    const gap = CROSSHAIR_MIN_GAP + Math.tan(spread) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * halfHeight;
+    
+    // Only touch the style when the change is visible
+    if (Math.abs(gap - crosshairGap) < 0.5) return;
+    crosshairGap = gap;
+    crosshair.style.setProperty('--crosshair-gap', `${gap.toFixed(1)}px`);
+}
+
+// Flash the hit marker around the crosshair, red and longer for headshots
+const HIT_MARKER_DURATION = 150;
+const HEADSHOT_MARKER_DURATION = 350;
+let hitMarkerTimer = null;
+
+function showHitMarker(zone) {
+    const marker = document.getElementById('hit-marker');
+    if (!marker) return;
+    
+    const isHeadshot = zone === 'head';
+    marker.classList.toggle('headshot', isHeadshot);
+    marker.classList.add('visible');
+    
+    clearTimeout(hitMarkerTimer);
+    hitMarkerTimer = setTimeout(() => {
+        marker.classList.remove('visible');
+    }, isHeadshot ? HEADSHOT_MARKER_DURATION : HIT_MARKER_DURATION);
+}
+
+function updateWeaponDisplay(definition, slotIndex) {
+    let weaponElement = document.getElementById('weapon');
+    if (!weaponElement) {
+        const hud = document.getElementById('hud');
+        if (!hud) return;
+        weaponElement = document.createElement('div');
+        weaponElement.id = 'weapon';
+        hud.appendChild(weaponElement);
+    }
+    
+    weaponElement.textContent = `Weapon: [${slotIndex + 1}] ${definition.name}`;
+}
+
+function updateHealthDisplay() {
+    let healthElement = document.getElementById('health');
+    if (!healthElement) {
+        // Create health display if it doesn't exist
+        const hud = document.getElementById('hud');
+        if (!hud) return;
+        healthElement = document.createElement('div');
+        healthElement.id = 'health';
+        hud.appendChild(healthElement);
+    }
+    
+    healthElement.textContent = `Health: ${Math.ceil(player.health)}/${player.maxHealth}`;
+    healthElement.classList.toggle('low', player.health <= player.maxHealth * 0.3);
+}
+
+function showDamageFlash() {
+    const flash = document.getElementById('damageFlash');
+    if (!flash) return;
+    
+    // Restart the fade-out animation
+    flash.classList.remove('active');
+    void flash.offsetWidth;
+    flash.classList.add('active');
+}
+
+let respawnCountdownInterval = null;
+
+function showDeathScreen(killerName, respawnDelay) {
+    const deathScreen = document.getElementById('deathScreen');
+    if (!deathScreen) return;
+    
+    const respawnAt = performance.now() + respawnDelay;
+    const updateCountdown = () => {
+        const secondsLeft = Math.max(0, Math.ceil((respawnAt - performance.now()) / 1000));
+        deathScreen.innerHTML = `
+            <h2>You were eliminated</h2>
+            <p>Killed by <strong>${escapeHtml(killerName || 'someone')}</strong></p>
+            <p>Respawning in ${secondsLeft}...</p>
+        `;
+    };
+    
+    updateCountdown();
+    clearInterval(respawnCountdownInterval);
+    respawnCountdownInterval = setInterval(updateCountdown, 250);
+    deathScreen.classList.add('active');
+}
+
+function hideDeathScreen() {
+    clearInterval(respawnCountdownInterval);
+    respawnCountdownInterval = null;
+    
+    const deathScreen = document.getElementById('deathScreen');
+    if (deathScreen) {
+        deathScreen.classList.remove('active');
     }
 }
 
@@ -1092,6 +1364,161 @@ function updateScoreDisplay() {
     }
 }
 
+function formatMatchTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function updateMatchDisplay() {
+    if (!matchState) return;
+    
+    let matchElement = document.getElementById('match');
+    if (!matchElement) {
+        // Create match display if it doesn't exist
+        const hud = document.getElementById('hud');
+        matchElement = document.createElement('div');
+        matchElement.id = 'match';
+        hud.appendChild(matchElement);
+    }
+    
+    // Count down locally between server updates
+    const timeRemaining = Math.max(0, matchState.timeRemaining - (performance.now() - matchStateReceivedAt));
+    let text;
+    if (matchState.mode === 'waves') {
+        text = getWaveDisplayText(timeRemaining);
+    } else if (matchState.state === 'warmup') {
+        text = `Warmup: ${formatMatchTime(timeRemaining)}`;
+    } else if (matchState.state === 'live') {
+        text = `Round ${matchState.round}: ${formatMatchTime(timeRemaining)} (first to ${matchState.scoreLimit})`;
+    } else {
+        text = `Round over - next in ${formatMatchTime(timeRemaining)}`;
+    }
+    
+    if (matchElement.textContent !== text) {
+        matchElement.textContent = text;
+    }
+}
+
+// Wave survival: the wave counter, how many cats are loose and the countdown to the next wave or game over
+function getWaveDisplayText(timeRemaining) {
+    switch (matchState.state) {
+        case 'warmup':
+            return `Wave 1 in ${formatMatchTime(timeRemaining)}`;
+        case 'intermission':
+            return `Wave ${matchState.wave} cleared - wave ${matchState.wave + 1} in ${formatMatchTime(timeRemaining)}`;
+        case 'live':
+            return `Wave ${matchState.wave}: ${formatMatchTime(timeRemaining)} - ${targetManager.getTargetCount()}/${matchState.maxAliveTargets} cats loose`;
+        default:
+            return `Game over on wave ${matchState.wave} - restarting in ${formatMatchTime(timeRemaining)}`;
+    }
+}
+
+function updateScoreboard() {
+    const scoreboard = document.getElementById('scoreboard');
+    if (!scoreboard || !matchState) return;
+    
+    let title = `Round ${matchState.round}`;
+    let footnote = `First to ${matchState.scoreLimit} points or most points when time runs out`;
+    if (matchState.mode === 'waves') {
+        ({ title, footnote } = getWaveScoreboardText());
+    } else if (matchState.state === 'warmup') {
+        title += ' - Warmup';
+    } else if (matchState.state === 'ended') {
+        const winner = matchState.scoreboard.find(entry => entry.id === matchState.winnerId);
+        title += winner ? ` - ${winner.name} wins!` : ' - No winner';
+    }
+    
+    const rows = matchState.scoreboard.map((entry, index) => `
+        <tr class="${entry.id === networkManager.playerId ? 'me' : ''}">
+            <td>${index + 1}</td>
+            <td>${escapeHtml(entry.name)}</td>
+            <td>${entry.kills}</td>
+            <td>${entry.score}</td>
+        </tr>
+    `).join('');
+    
+    scoreboard.innerHTML = `
+        <h2>${escapeHtml(title)}</h2>
+        <table>
+            <tr><th>#</th><th>Player</th><th>Kills</th><th>Score</th></tr>
+            ${rows}
+        </table>
+        <p>${escapeHtml(footnote)}</p>
+        ${getMapVoteHtml()}
+    `;
+}
+
+// Next map vote under the scoreboard while the round is over
+function getMapVoteHtml() {
+    if (!isMapVoteOpen()) return '';
+    
+    const candidates = matchState.mapVote.candidates.map((candidate, index) => `
+        <li class="${candidate.id === myMapVote ? 'voted' : ''}">
+            ${index + 1}. ${escapeHtml(candidate.name)} - ${candidate.votes} ${candidate.votes === 1 ? 'vote' : 'votes'}
+        </li>
+    `).join('');
+    
+    return `
+        <div class="map-vote">
+            <h3>Vote for the next map</h3>
+            <ul>${candidates}</ul>
+            <p>Press ${matchState.mapVote.candidates.map((candidate, index) => index + 1).join(', ')} to vote</p>
+        </div>
+    `;
+}
+
+// The round is over and the next map is being voted on
+function isMapVoteOpen() {
+    return !!matchState && matchState.state === 'ended' && !!matchState.mapVote;
+}
+
+// Number keys vote while the next map vote is open (the weapon leaves them alone then)
+function voteForMap(index) {
+    const candidate = matchState.mapVote.candidates[index];
+    if (!candidate || candidate.id === myMapVote) return;
+    
+    myMapVote = candidate.id;
+    networkManager.sendMapVote(candidate.id);
+    updateScoreboard();
+}
+
+// Co-op scoreboard: how far the group got instead of a winner
+function getWaveScoreboardText() {
+    let title = matchState.wave > 0 ? `Wave ${matchState.wave}` : 'Wave Survival';
+    if (matchState.state === 'warmup') {
+        title += ' - Get ready';
+    } else if (matchState.state === 'ended') {
+        title = `Game over - reached wave ${matchState.wave}`;
+    }
+    
+    const endReasons = {
+        overrun: `Overrun: ${matchState.maxAliveTargets} cats were loose at once`,
+        time: 'Time ran out before the wave was cleared'
+    };
+    const footnote = matchState.state === 'ended' && endReasons[matchState.endReason]
+        ? endReasons[matchState.endReason]
+        : `Clear each wave in time and never let ${matchState.maxAliveTargets} cats loose at once`;
+    return { title, footnote };
+}
+
+function showScoreboard(visible) {
+    const scoreboard = document.getElementById('scoreboard');
+    if (!scoreboard) return;
+    
+    if (visible) {
+        updateScoreboard();
+    }
+    scoreboard.classList.toggle('active', visible);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 function updateTargetsDisplay() {
     const targetsElement = document.getElementById('targets');
     const targetCount = targetManager.getTargetCount();
@@ -1111,8 +1538,11 @@ function updateTargetsDisplay() {
 function updateConnectionStatus(connected) {
     const connectionElement = document.getElementById('connection');
     if (connectionElement) {
-        if (connected) {
-            connectionElement.textContent = '🟢 Online';
+        if (connected && networkManager.isLocal) {
+            connectionElement.textContent = '🎯 Single Player';
+            connectionElement.classList.add('connected');
+        } else if (connected) {
+            connectionElement.textContent = networkManager.roomName ? `🟢 Online - ${networkManager.roomName}` : '🟢 Online';
             connectionElement.classList.add('connected');
         } else {
             connectionElement.textContent = '🔴 Offline';
@@ -1138,6 +1568,27 @@ function updatePlayerCount() {
     }
 }
 
+// Hold P to see the scoreboard
+document.addEventListener('keydown', (event) => {
+    if (event.code === 'KeyP' && !event.repeat) {
+        scoreboardHeld = true;
+        showScoreboard(true);
+    }
+    
+    const digit = event.code.match(/^Digit([1-9])$/);
+    if (digit && !event.repeat && isMapVoteOpen()) {
+        voteForMap(Number(digit[1]) - 1);
+    }
+});
+
+document.addEventListener('keyup', (event) => {
+    if (event.code === 'KeyP') {
+        scoreboardHeld = false;
+        // Keep it up while the round is over
+        showScoreboard(matchState && matchState.state === 'ended');
+    }
+});
+
 // Debug Panel functionality
 let debugPanelVisible = false;
 
@@ -1254,14 +1705,21 @@ function animate() {
     // Update player
     player.update();
     
+    // Ease in any server correction to our predicted position
+    movementPrediction.update(deltaTime);
+    
+    // Keep the match clock ticking
+    updateMatchDisplay();
+    
     // Send player state to server
+    const correctedPosition = movementPrediction.getCorrectedPosition();
     if (networkManager.isConnected && player.isLocked) {
         const playerInput = {
             name: window.gamePlayerName || 'Guest',
             position: {
-                x: player.camera.position.x,
-                y: player.camera.position.y,
-                z: player.camera.position.z
+                x: correctedPosition.x,
+                y: correctedPosition.y,
+                z: correctedPosition.z
             },
             rotation: {
                 x: player.rotationX,
@@ -1274,17 +1732,21 @@ function animate() {
             },
             isMoving: player.isWalking,
             isCrouching: player.isCrouching,
-            isRunning: player.isRunning
+            isRunning: player.isRunning,
+            isAiming: weapon ? weapon.isAiming : false
         };
-        networkManager.sendPlayerInput(playerInput);
+        const sequence = networkManager.sendPlayerInput(playerInput);
+        if (sequence !== null) {
+            movementPrediction.recordInput(sequence, correctedPosition);
+        }
     } else if (networkManager.isConnected && !player.isLocked) {
         // Send basic position even when not locked, in case player is in menu
         const basicInput = {
             name: window.gamePlayerName || 'Guest',
             position: {
-                x: player.camera.position.x,
-                y: player.camera.position.y,
-                z: player.camera.position.z
+                x: correctedPosition.x,
+                y: correctedPosition.y,
+                z: correctedPosition.z
             },
             rotation: {
                 x: player.rotationX || 0,
@@ -1293,9 +1755,13 @@ function animate() {
             velocity: { x: 0, y: 0, z: 0 },
             isMoving: false,
             isCrouching: false,
-            isRunning: false
+            isRunning: false,
+            isAiming: false
         };
-        networkManager.sendPlayerInput(basicInput);
+        const sequence = networkManager.sendPlayerInput(basicInput);
+        if (sequence !== null) {
+            movementPrediction.recordInput(sequence, correctedPosition);
+        }
     }
     
     // Update remote players
@@ -1336,6 +1802,7 @@ function animate() {
     // Update weapon system (if loaded)
     if (weapon) {
         weapon.update(0.016); // Assuming ~60fps
+        updateCrosshair(weapon.currentSpread);
         
         // Debug weapon state occasionally
         if (frameCount % 300 === 0) { // Every 5 seconds at 60fps
@@ -1372,7 +1839,7 @@ function animate() {
     // ...existing animation code...
     
     // Dynamic lighting
-    directionalLight.intensity = 0.8 + Math.sin(time * 0.5) * 0.2;
+    mapLoader.update(time);
     
     renderer.render(scene, camera);
 }
@@ -1571,7 +2038,8 @@ window.hideColliders = () => {
     }
 };
 
-// Debug function to test collision detection
+// Debug function to test collision detection: sweeps a bullet path through the first target the way
+// Weapon.checkBulletHits() does, without reporting a hit
 window.testCollision = () => {
     if (window.weapon && window.weapon.targetColliders) {
         console.log('🧪 Testing collision detection...');
@@ -1585,16 +2053,18 @@ window.testCollision = () => {
         
         console.log('🎯 Testing with target:', firstTarget.userData.targetId);
         
-        // Create a fake bullet at the target position
-        const fakeBullet = {
-            mesh: {
-                position: firstTarget.position.clone()
-            }
+        // A path straight through the collider, from 10 units in front of it to 10 behind
+        const center = window.weapon.targetColliders.get(firstTarget).position;
+        const segment = {
+            from: { x: center.x, y: center.y, z: center.z + 10 },
+            to: { x: center.x, y: center.y, z: center.z - 10 },
+            length: 20
         };
         
         // Test collision
-        const hit = window.weapon.checkBulletColliderCollision(fakeBullet, firstTarget.position.clone());
-        console.log('🧪 Collision test result:', hit);
+        const fraction = window.Ballistics.sweepSphere(segment, center, TARGET_HIT_RADIUS);
+        const hit = fraction !== null;
+        console.log('🧪 Collision test result:', hit, hit ? `at ${(fraction * segment.length).toFixed(2)} units along the path` : '');
         
         return hit;
     } else {
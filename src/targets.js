@@ -1,5 +1,17 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { INTERPOLATION_DELAY, MAX_EXTRAPOLATION, lerpAngle } from './network.js';
+
+const TARGET_SNAPSHOT_BUFFER_DURATION = 1000; // How much server state history each target keeps (ms)
+const TARGET_TINT_AMOUNT = 0.6; // How far a target type's tint pulls the cat's colours
+
+// Particles each target type's death effect (shared/target-types.js) throws out
+const DEATH_EFFECTS = {
+    burst: { count: 20, speed: 1, size: 0.05, colors: null }, // Random colours
+    explosion: { count: 60, speed: 3, size: 0.1, colors: [0xff5a1f, 0xffa500, 0xffe066, 0x333333], light: 0xff7a30 },
+    sparkle: { count: 40, speed: 1.5, size: 0.06, colors: [0xffd700, 0xfff4b0, 0xffffff] },
+    puff: { count: 15, speed: 0.5, size: 0.12, colors: [0xcccccc, 0x999999] }
+};
 
 export class TargetManager {
     constructor(scene, networkManager = null) {
@@ -8,8 +20,10 @@ export class TargetManager {
         this.targets = [];
         this.loader = new GLTFLoader();
         this.targetModel = null;
+        this.hitZones = null; // Zone spheres of the loaded model, see getHitZones()
         this.onTargetDestroyed = null; // Callback for score updates
         this.isModelLoaded = false; // Track if the target model is ready
+        this.samplePosition = new THREE.Vector3(); // Reused by sampleTarget()
         
         this.init();
     }
@@ -18,18 +32,9 @@ export class TargetManager {
         try {
             await this.loadTargetModel();
             
-            // Don't spawn initial targets automatically in multiplayer - they come from server
-            // But spawn a few test targets if we're in development mode or server targets fail to load
-            if (!this.networkManager) {
-                // Singleplayer mode - spawn targets immediately
-                console.log('🎯 Singleplayer mode - spawning initial targets');
-                this.spawnInitialTargets();
-            } else {
-                // Multiplayer mode - DO NOT create fallback targets automatically
-                // The server will send targets via gameState and targetSpawned events
-                console.log('🎯 Multiplayer mode - waiting for server targets (NO fallback targets)');
-                console.log('🎯 Targets will be created when server sends gameState or targetSpawned events');
-            }
+            // Targets only ever come from the server (src/local-server.js in single player), via
+            // gameState and targetSpawned events
+            console.log('🎯 Waiting for server targets');
             
             console.log('Target system initialized');
         } catch (error) {
@@ -43,6 +48,7 @@ export class TargetManager {
                 'models/oiia_cat.glb',
                 (gltf) => {
                     this.targetModel = gltf.scene;
+                    this.hitZones = this.getHitZones(this.targetModel);
                     this.isModelLoaded = true;
                     console.log('✅ Cat model loaded successfully - target creation now possible');
                     resolve();
@@ -53,6 +59,7 @@ export class TargetManager {
                 (error) => {
                     console.warn('Could not load cat model, using fallback:', error);
                     this.createFallbackModel();
+                    this.hitZones = this.getHitZones(this.targetModel);
                     this.isModelLoaded = true;
                     console.log('✅ Fallback model created - target creation now possible');
                     resolve();
@@ -69,6 +76,7 @@ export class TargetManager {
         const bodyGeometry = new THREE.BoxGeometry(0.6, 0.3, 0.8);
         const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xff6b6b });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.name = 'body'; // Head, body and tail names give the hit zones their bounds
         body.position.y = 0.15;
         group.add(body);
         
@@ -76,6 +84,7 @@ export class TargetManager {
         const headGeometry = new THREE.SphereGeometry(0.2, 12, 8);
         const headMaterial = new THREE.MeshStandardMaterial({ color: 0xff8888 });
         const head = new THREE.Mesh(headGeometry, headMaterial);
+        head.name = 'head';
         head.position.set(0, 0.4, 0.3);
         group.add(head);
         
@@ -95,6 +104,7 @@ export class TargetManager {
         const tailGeometry = new THREE.CylinderGeometry(0.03, 0.06, 0.5, 8);
         const tailMaterial = new THREE.MeshStandardMaterial({ color: 0xff5555 });
         const tail = new THREE.Mesh(tailGeometry, tailMaterial);
+        tail.name = 'tail';
         tail.position.set(0, 0.3, -0.4);
         tail.rotation.x = Math.PI / 6;
         group.add(tail);
@@ -103,6 +113,38 @@ export class TargetManager {
         console.log('Created fallback cat model');
     }
     
+    // Hit zone spheres in the model's own space (see shared/hit-zones.js): the bounds of the nodes named
+    // after each zone where the model has them, the shared defaults measured from oiia_cat.glb otherwise
+    getHitZones(model) {
+        const HitZones = window.HitZones;
+        model.updateMatrixWorld(true);
+        
+        const zones = {};
+        Object.keys(HitZones.ZONES).forEach(zone => {
+            let node = null;
+            model.traverse((child) => {
+                if (!node && child !== model && child.name.toLowerCase().includes(zone)) {
+                    node = child;
+                }
+            });
+            
+            if (!node) {
+                zones[zone] = HitZones.ZONES[zone];
+                return;
+            }
+            
+            const sphere = new THREE.Box3().setFromObject(node).getBoundingSphere(new THREE.Sphere());
+            zones[zone] = {
+                ...HitZones.ZONES[zone],
+                center: { x: sphere.center.x, y: sphere.center.y, z: sphere.center.z },
+                radius: sphere.radius
+            };
+        });
+        
+        console.log('🎯 Target hit zones:', Object.keys(zones).map(zone => `${zone} r=${zones[zone].radius.toFixed(2)}`).join(', '));
+        return zones;
+    }
+    
     createTarget(position = new THREE.Vector3(), options = {}) {
         if (!this.targetModel) {
             console.error('❌ CRITICAL: Target model not loaded yet - this is why targets are not being created!');
@@ -132,10 +174,14 @@ export class TargetManager {
         }
         
         // Configure target properties
+        const TargetTypes = window.TargetTypes;
+        target.userData.type = TargetTypes.isType(options.type) ? options.type : TargetTypes.DEFAULT_TYPE;
+        const archetype = TargetTypes.get(target.userData.type);
         target.userData.isTarget = true;
         target.userData.health = options.health || 100;
         target.userData.maxHealth = target.userData.health;
         target.userData.points = options.points || 10;
+        target.userData.hitZones = this.hitZones;
         
         // Use provided target ID or generate one for singleplayer
         if (options.targetId) {
@@ -150,11 +196,15 @@ export class TargetManager {
             console.warn(`⚠️ Creating target without server ID - this may cause sync issues`);
         }
         
+        // Movement: targets follow their snapshots (see applyNetworkStates()) from the server, or from
+        // src/local-server.js in single player, which run the behaviours (shared/target-behaviours.js)
+        target.userData.snapshots = []; // { time, position, velocity, rotationY } oldest first
+        target.userData.basePosition = position.clone(); // Where the target is before the bobbing
+        target.userData.behaviour = { type: options.behaviour || 'idle', state: 'idle' };
+        
         // Animation properties
         target.userData.bobSpeed = 0.5 + Math.random() * 1.0;
         target.userData.bobHeight = 0.1 + Math.random() * 0.2;
-        target.userData.rotationSpeed = (Math.random() - 0.5) * 0.5;
-        target.userData.initialY = position.y;
         
         // Set up materials and shadows
         target.traverse((child) => {
@@ -165,6 +215,9 @@ export class TargetManager {
                 // Clone material to ensure each target has its own material instance
                 if (child.material) {
                     child.material = child.material.clone();
+                    if (archetype.tint !== null) {
+                        child.material.color.lerp(new THREE.Color(archetype.tint), TARGET_TINT_AMOUNT);
+                    }
                     child.userData.originalColor = child.material.color.clone();
                     child.userData.originalEmissive = child.material.emissive ? child.material.emissive.clone() : new THREE.Color(0x000000);
                     child.userData.originalOpacity = child.material.opacity || 1.0; // Store original opacity
@@ -201,13 +254,14 @@ export class TargetManager {
     }
     
     onTargetHit(target, hitInfo, sendToNetwork = true) {
-        const damage = hitInfo.damage || 25;
+        // Headshots hurt more, tail hits and armor less - the same multipliers the server applies
+        const damage = window.TargetTypes.getDamage(hitInfo.damage || 25, target.userData.type, hitInfo.zone);
         
-        console.log(`🎯 Target hit! SendToNetwork: ${sendToNetwork}, Damage: ${damage}`);
+        console.log(`🎯 Target hit! SendToNetwork: ${sendToNetwork}, Zone: ${hitInfo.zone || 'none'}, Damage: ${damage}`);
         console.log(`🎯 Target ID: ${target.userData.targetId}, Health: ${target.userData.health}/${target.userData.maxHealth}`);
         
         // Always show visual feedback immediately for responsive gameplay
-        this.showHitEffect(target);
+        this.showHitEffect(target, hitInfo.zone, hitInfo.zonePoint);
         
         // Apply damage locally for responsive gameplay
         const oldHealth = target.userData.health;
@@ -226,7 +280,7 @@ export class TargetManager {
         }
     }
     
-    showHitEffect(target) {
+    showHitEffect(target, zone = null, point = null) {
         // Flash red
         target.traverse((child) => {
             if (child.isMesh && child.material) {
@@ -241,19 +295,20 @@ export class TargetManager {
             }
         });
         
-        // Create hit particle effect
-        this.createHitParticles(target.position.clone().add(new THREE.Vector3(0, 0.5, 0)));
+        // Create hit particle effect where the bullet went in, with a bigger burst for headshots
+        const position = point ? new THREE.Vector3(point.x, point.y, point.z) : target.position.clone().add(new THREE.Vector3(0, 0.5, 0));
+        this.createHitParticles(position, zone === 'head');
     }
     
-    createHitParticles(position) {
-        const particleCount = 10;
+    createHitParticles(position, isHeadshot = false) {
+        const particleCount = isHeadshot ? 25 : 10;
         const particles = [];
         
         for (let i = 0; i < particleCount; i++) {
             const particle = new THREE.Mesh(
                 new THREE.SphereGeometry(0.02, 4, 4),
                 new THREE.MeshBasicMaterial({
-                    color: Math.random() > 0.5 ? 0xff4444 : 0xffaa00,
+                    color: isHeadshot ? (Math.random() > 0.5 ? 0xffff66 : 0xffffff) : (Math.random() > 0.5 ? 0xff4444 : 0xffaa00),
                     transparent: true,
                     opacity: 0.8
                 })
@@ -298,8 +353,20 @@ export class TargetManager {
         console.log(`🎯 Network manager available: ${!!this.networkManager}`);
         
         // Create destruction effect
-        this.createDestructionEffect(target.position);
+        this.createDestructionEffect(target.position, window.TargetTypes.get(target.userData.type).deathEffect);
         
+        this.removeTarget(target);
+        
+        // Notify score system
+        if (this.onTargetDestroyed) {
+            this.onTargetDestroyed(target.userData.points);
+        }
+        
+        // Don't respawn targets here - the server handles spawning new targets
+        console.log(`🎯 Server will handle target respawning`);
+    }
+    
+    removeTarget(target) {
         // Remove from weapon system's collision tracking
         if (window.weapon && window.weapon.removeTargetCollider) {
             window.weapon.removeTargetCollider(target);
@@ -315,22 +382,17 @@ export class TargetManager {
         
         this.scene.remove(target);
         console.log(`🎯 Removed target from scene`);
+    }
+    
+    // A bonus target got away: it vanishes in a puff, with no points for anyone
+    despawnTargetById(targetId) {
+        const target = this.targets.find(t => t.userData.targetId === targetId.toString());
+        if (!target) return false;
         
-        // Notify score system
-        if (this.onTargetDestroyed) {
-            this.onTargetDestroyed(target.userData.points);
-        }
-        
-        // Don't respawn targets automatically - server handles spawning new targets
-        if (!this.networkManager) {
-            // Only respawn in singleplayer mode
-            console.log(`🎯 Singleplayer mode - scheduling target respawn`);
-            setTimeout(() => {
-                this.spawnRandomTarget();
-            }, 2000 + Math.random() * 3000);
-        } else {
-            console.log(`🎯 Multiplayer mode - server will handle target respawning`);
-        }
+        console.log(`🎯 Target ${targetId} got away`);
+        this.createDestructionEffect(target.position, 'puff');
+        this.removeTarget(target);
+        return true;
     }
     
     // Find and destroy target by ID (for multiplayer events)
@@ -350,15 +412,18 @@ export class TargetManager {
         }
     }
     
-    createDestructionEffect(position) {
-        const particleCount = 20;
+    createDestructionEffect(position, effectName = 'burst') {
+        const effect = DEATH_EFFECTS[effectName] || DEATH_EFFECTS.burst;
         const particles = [];
         
-        for (let i = 0; i < particleCount; i++) {
+        for (let i = 0; i < effect.count; i++) {
+            const color = effect.colors
+                ? new THREE.Color(effect.colors[Math.floor(Math.random() * effect.colors.length)])
+                : new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
             const particle = new THREE.Mesh(
-                new THREE.BoxGeometry(0.05, 0.05, 0.05),
+                new THREE.BoxGeometry(effect.size, effect.size, effect.size),
                 new THREE.MeshBasicMaterial({
-                    color: new THREE.Color().setHSL(Math.random(), 0.7, 0.6),
+                    color: color,
                     transparent: true,
                     opacity: 1.0
                 })
@@ -369,7 +434,7 @@ export class TargetManager {
                 (Math.random() - 0.5) * 4,
                 Math.random() * 3 + 1,
                 (Math.random() - 0.5) * 4
-            );
+            ).multiplyScalar(effect.speed);
             particle.angularVelocity = new THREE.Vector3(
                 Math.random() * 0.2,
                 Math.random() * 0.2,
@@ -380,12 +445,25 @@ export class TargetManager {
             particles.push(particle);
         }
         
+        // Explosions light up their surroundings for a moment
+        let flash = null;
+        if (effect.light) {
+            flash = new THREE.PointLight(effect.light, 3, 15);
+            flash.position.copy(position);
+            this.scene.add(flash);
+        }
+        
         // Animate destruction particles
         const startTime = Date.now();
         const animateDestruction = () => {
             const elapsed = Date.now() - startTime;
             const progress = elapsed / 2000; // 2 second duration
             
+            if (flash && progress >= 0.15) {
+                this.scene.remove(flash);
+                flash = null;
+            }
+            
             if (progress >= 1) {
                 particles.forEach(particle => this.scene.remove(particle));
                 return;
@@ -413,55 +491,82 @@ export class TargetManager {
         return this.isModelLoaded && this.targetModel !== null;
     }
     
-    spawnInitialTargets() {
-        const positions = [
-            new THREE.Vector3(0, 2, -15),
-            new THREE.Vector3(-8, 1.5, -20),
-            new THREE.Vector3(8, 2.5, -18),
-            new THREE.Vector3(-5, 1, -25),
-            new THREE.Vector3(5, 3, -22),
-            new THREE.Vector3(0, 1.5, -30),
-            new THREE.Vector3(-12, 2, -35),
-            new THREE.Vector3(12, 1.8, -32)
-        ];
-        
-        positions.forEach((pos, index) => {
-            setTimeout(() => {
-                this.createTarget(pos, {
-                    scale: 5 + Math.random() * 0.5,
-                    health: 75 + Math.random() * 50,
-                    points: 10 + Math.floor(Math.random() * 20)
-                });
-            }, index * 500); // Stagger spawning
+    // Latest server state of the targets (see NetworkManager.onTargetUpdate), buffered for interpolation
+    applyNetworkStates(states, gameTime) {
+        const targetsById = new Map(this.targets.map(target => [target.userData.targetId, target]));
+        
+        states.forEach(state => {
+            const target = targetsById.get(state.id);
+            if (!target) return; // Not spawned here yet
+            
+            const snapshots = target.userData.snapshots;
+            const latest = snapshots[snapshots.length - 1];
+            if (latest && gameTime <= latest.time) return;
+            
+            snapshots.push({
+                time: gameTime,
+                position: new THREE.Vector3(state.position.x, state.position.y, state.position.z),
+                velocity: new THREE.Vector3(state.velocity.x, state.velocity.y, state.velocity.z),
+                rotationY: state.rotationY
+            });
+            while (snapshots.length > 2 && gameTime - snapshots[0].time > TARGET_SNAPSHOT_BUFFER_DURATION) {
+                snapshots.shift();
+            }
+            
+            target.userData.behaviour = state.behaviour;
         });
     }
     
-    spawnRandomTarget() {
-        const x = (Math.random() - 0.5) * 40;
-        const y = 1 + Math.random() * 4;
-        const z = -15 - Math.random() * 25;
-        
-        this.createTarget(new THREE.Vector3(x, y, z), {
-            scale: 5 + Math.random() * 0.6,
-            health: 50 + Math.random() * 100,
-            points: 5 + Math.floor(Math.random() * 25)
-        });
+    // Where a server target is at renderTime (server gameTime), as { position, rotationY }, blended between
+    // its snapshots. null before the first snapshot arrives.
+    sampleTarget(target, renderTime) {
+        const snapshots = target.userData.snapshots;
+        if (snapshots.length === 0) return null;
+        
+        const latest = snapshots[snapshots.length - 1];
+        if (renderTime === null || renderTime >= latest.time) {
+            // Ran out of snapshots - keep going at the last known velocity, for a little while
+            const ahead = renderTime === null ? 0 : Math.min(renderTime - latest.time, MAX_EXTRAPOLATION) / 1000;
+            this.samplePosition.copy(latest.position).addScaledVector(latest.velocity, ahead);
+            return { position: this.samplePosition, rotationY: latest.rotationY };
+        }
+        
+        if (renderTime <= snapshots[0].time) {
+            this.samplePosition.copy(snapshots[0].position);
+            return { position: this.samplePosition, rotationY: snapshots[0].rotationY };
+        }
+        
+        // Find the pair of snapshots around renderTime
+        let index = snapshots.length - 1;
+        while (index > 0 && snapshots[index - 1].time > renderTime) {
+            index--;
+        }
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        const alpha = (renderTime - from.time) / (to.time - from.time);
+        
+        this.samplePosition.copy(from.position).lerp(to.position, alpha);
+        return { position: this.samplePosition, rotationY: lerpAngle(from.rotationY, to.rotationY, alpha) };
     }
     
     update(time) {
-        // Animate targets
+        // Server targets are drawn in the past like remote players, so there are snapshots on both sides
+        const serverTime = this.networkManager ? this.networkManager.getServerTime() : null;
+        const renderTime = serverTime === null ? null : serverTime - INTERPOLATION_DELAY;
+        
         this.targets.forEach(target => {
-            if (!target.userData) return;
+            if (!target.userData || !target.userData.basePosition) return;
             
-            // Bobbing animation
-            const bobOffset = Math.sin(time * target.userData.bobSpeed) * target.userData.bobHeight;
-            target.position.y = target.userData.initialY + bobOffset;
-            
-            // Rotation animation - properly set with order
-            if (!target.rotation.order) {
-                target.rotation.order = 'XYZ'; // Set default rotation order
+            const state = this.sampleTarget(target, renderTime);
+            if (state) {
+                target.userData.basePosition.copy(state.position);
+                target.rotation.y = state.rotationY;
             }
-            target.rotation.y += target.userData.rotationSpeed * 0.016;
+            
+            // Bobbing animation on top of wherever the target is
+            const bobOffset = Math.sin(time * target.userData.bobSpeed) * target.userData.bobHeight;
+            target.position.copy(target.userData.basePosition);
+            target.position.y += bobOffset;
         });
     }
     
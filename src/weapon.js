@@ -1,6 +1,22 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// How far a holstered weapon drops out of view and tilts away while switching
+const HOLSTER_DROP = 0.6;
+const HOLSTER_TILT = THREE.MathUtils.degToRad(50);
+
+export const TARGET_HIT_RADIUS = 3; // Bullets hit a cat within this distance of its collider's center
+
+// Played on top of the shot for headshots, pitched up so it stands out
+const HEADSHOT_SOUND = { url: 'sounds/oiia-oiia-short.mp3', volume: 0.7, pitch: 1.8 };
+
+// Eases the holster and aim transitions in and out
+function smoothstep(amount) {
+    return amount * amount * (3 - 2 * amount);
+}
+
+const ADS_MODES = ['hold', 'toggle']; // Right click held down, or clicked once to aim and again to stop
+
 export class Weapon {
     constructor(camera, scene, audioListener, playerBody = null, player = null, networkManager = null) {
         this.camera = camera;
@@ -20,24 +36,53 @@ export class Weapon {
         this.lastCameraRotation = new THREE.Euler();
         this.weaponRotationOffset = new THREE.Euler(); // Base rotation offset
         
-        // Bullet effects
+        // Bullet effects - bullets fly along shared/ballistics.js, which also decides what they hit
         this.activeBullets = [];
-        this.bulletSpeed = 25; // Reduced speed for better collision detection and visibility
-        this.bulletLifetime = 3.0; // seconds
         this.maxBulletTrails = 50;
         this.ammoModel = null; // Loaded ammo.glb model
         
-        // Shooting properties
+        // Shooting properties - copied from the equipped weapon's definition in shared/weapons.json
         this.isLoaded = false;
         this.isShooting = false;
         this.fireRate = 0.1; // Time between shots in seconds
+        this.isAutomatic = true; // Semi-automatic weapons fire once per click
         this.shootTimer = 0.0;
-        this.magAmmo = 30;
-        this.maxAmmo = 30;
-        this.totalAmmo = 1200;
-        this.damage = 10;
-        this.range = 100;
+        this.magAmmo = 0;
+        this.maxAmmo = 0;
+        this.totalAmmo = 0;
+        this.damage = 0;
+        this.range = 0;
+        
+        // Recoil and spread - see the recoil/spread sections of shared/weapons.json
+        this.spreadModel = null; // Equipped weapon's spread rules
+        this.recoilModel = null; // Equipped weapon's recoil pattern
+        this.bloom = 0; // Extra spread built up by firing, in radians
+        this.currentSpread = 0; // Spread the next shot will have, in radians (also sizes the crosshair)
+        this.recoilIndex = 0; // Position in the recoil pattern
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // View kick not yet recovered, in radians
+        this.timeSinceShot = Infinity;
+        this.weaponId = null; // Server looks up damage/fire rate by this ID
+        this.shotSequence = 0; // Incrementing shot ID so the server can match hits to shots
         this.blocked = false; // Input blocking
+        this.numberKeysTaken = false; // Number keys vote for the next map instead of picking a slot, see setNumberKeysTaken()
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        
+        // Inventory
+        this.definitions = null; // Parsed shared/weapons.json
+        this.inventory = []; // One slot per loadout weapon: { id, definition, model, mixer, animations, magAmmo, totalAmmo, shootBuffer }
+        this.currentSlot = -1;
+        this.switchState = null; // { phase: 'holster' | 'draw', timer, duration, nextSlot } while switching weapons
+        this.holsterAmount = 0; // 0 = ready, 1 = fully lowered
+        this.modelBasePosition = new THREE.Vector3(); // Where the equipped model sits when ready
+        
+        // Aim down sights - see the ads section of shared/weapons.json
+        this.adsModel = null; // Equipped weapon's sight position, zoom and handling
+        this.adsMode = 'hold';
+        this.wantsToAim = false; // Right click state
+        this.isAiming = false; // Actually aiming: wanted, and not switching, reloading or dead (sent to the server)
+        this.adsAmount = 0; // 0 = hip, 1 = fully in the sights
+        this.baseFov = camera.fov; // FOV to return to when leaving the sights
         
         // Visual effects
         this.muzzleFlash = null;
@@ -47,18 +92,20 @@ export class Weapon {
         // Audio
         this.shootSound = null;
         this.reloadSound = null;
-        
-        // Raycasting
-        this.raycaster = new THREE.Raycaster();
+        this.headshotSound = null;
         
         // HUD elements
         this.onAmmoChange = null; // Callback for ammo updates
+        this.onWeaponChange = null; // Callback when a different weapon is equipped
+        this.onHitMarker = null; // Callback when a bullet hits something: (zone), zone is null for players
         
         // Debug mode
         this.debugMode = false;
         this.debugHelpers = new Map(); // Store debug wireframes
-        this.bulletColliders = new Map(); // Store bullet colliders
         this.targetColliders = new Map(); // Store target colliders
+        this.remotePlayers = null; // Map of RemotePlayers bullets can hit (multiplayer only)
+        this.mapLoader = null; // World the bullets fly through (src/map-loader.js), see setMapLoader()
+        this.dynamicGrid = window.SpatialGrid.create(); // Targets and remote players, refilled every frame with bullets in flight
         
         this.init();
     }
@@ -66,12 +113,12 @@ export class Weapon {
     async init() {
         try {
             console.log('Initializing weapon system...');
-            await this.loadModel();
+            this.definitions = await window.WeaponTable.load();
+            await this.loadInventory();
             await this.loadAmmoModel();
             this.setupMuzzleFlash();
             this.setupAudio();
-            this.setupAnimations();
-            this.attachWeapon();
+            this.equip(0);
             this.setupInput();
             this.isLoaded = true;
             
@@ -83,6 +130,7 @@ export class Weapon {
             window.weaponDebug = () => this.toggleDebugMode();
             window.registerTarget = (target, size) => this.registerTarget(target, size);
             window.scanTargets = () => this.scanForNewTargets();
+            window.setAdsMode = (mode) => this.setAdsMode(mode);
             
             console.log('Weapon loaded successfully, model:', this.model);
             console.log('Ammo model loaded:', this.ammoModel);
@@ -90,32 +138,62 @@ export class Weapon {
             console.log('Debug command available: weaponDebug()');
             console.log('Target registration: registerTarget(mesh, {width, height, depth})');
             console.log('Manual target scan: scanTargets()');
+            console.log('Aim mode: setAdsMode("hold" | "toggle")');
         } catch (error) {
             console.error('Error loading weapon:', error);
         }
     }
     
-    async loadModel() {
+    // One slot per weapon of the loadout, each with its own model and ammo
+    async loadInventory() {
+        for (const weaponId of this.definitions.loadout) {
+            const definition = this.definitions.weapons[weaponId];
+            if (!definition) {
+                console.warn(`Loadout weapon "${weaponId}" has no definition, skipping`);
+                continue;
+            }
+            
+            const slot = {
+                id: weaponId,
+                definition: definition,
+                model: await this.loadModel(definition),
+                mixer: null,
+                animations: {},
+                magAmmo: definition.magazineSize,
+                totalAmmo: definition.reserveAmmo,
+                shootBuffer: null
+            };
+            this.setupAnimations(slot);
+            this.inventory.push(slot);
+        }
+        
+        console.log('🔫 Inventory:', this.inventory.map(slot => slot.definition.name).join(', '));
+    }
+    
+    async loadModel(definition) {
+        // Weapons without a model of their own use the generated one
+        if (!definition.model) {
+            return this.buildFallbackModel();
+        }
+        
         const loader = new GLTFLoader();
         
-        return new Promise((resolve, reject) => {
-            // First try the exact filename that exists
+        return new Promise((resolve) => {
             loader.load(
-                'models/ak47.glb',
+                definition.model,
                 (gltf) => {
-                    this.model = gltf.scene;
-                    this.model.animations = gltf.animations;
-                    console.log('AK-47 GLB model loaded successfully');
-                    resolve();
+                    const model = gltf.scene;
+                    model.animations = gltf.animations;
+                    console.log(`${definition.name} GLB model loaded successfully`);
+                    resolve(model);
                 },
                 (progress) => {
-                    console.log('Loading AK-47:', Math.round(progress.loaded / progress.total * 100) + '%');
+                    console.log(`Loading ${definition.name}:`, Math.round(progress.loaded / progress.total * 100) + '%');
                 },
                 (error) => {
-                    console.warn('Could not load AK-47 GLB model, trying fallback:', error);
+                    console.warn(`Could not load ${definition.name} GLB model, trying fallback:`, error);
                     // Create a simple fallback weapon model
-                    this.createFallbackModel();
-                    resolve();
+                    resolve(this.buildFallbackModel());
                 }
             );
         });
@@ -159,6 +237,15 @@ export class Weapon {
     }
     
     createFallbackModel() {
+        this.model = this.buildFallbackModel();
+        
+        const slot = this.inventory[this.currentSlot];
+        if (slot) {
+            slot.model = this.model;
+        }
+    }
+    
+    buildFallbackModel() {
         // Create a simple gun-like shape as fallback
         const group = new THREE.Group();
         
@@ -198,32 +285,32 @@ export class Weapon {
         magazine.position.set(0.05, -0.12, 0);
         group.add(magazine);
         
-        this.model = group;
         console.log('Created fallback weapon model');
+        return group;
     }
     
-    setupAnimations() {
-        if (!this.model || !this.model.animations) return;
+    setupAnimations(slot) {
+        if (!slot.model || !slot.model.animations) return;
         
-        this.mixer = new THREE.AnimationMixer(this.model);
+        slot.mixer = new THREE.AnimationMixer(slot.model);
         
         // Set up animations if they exist
-        this.model.animations.forEach((clip, index) => {
-            const action = this.mixer.clipAction(clip);
+        slot.model.animations.forEach((clip, index) => {
+            const action = slot.mixer.clipAction(clip);
             
             // Map animations based on typical naming or index
             if (clip.name.toLowerCase().includes('idle') || index === 1) {
-                this.animations.idle = { clip, action };
+                slot.animations.idle = { clip, action };
             } else if (clip.name.toLowerCase().includes('shoot') || clip.name.toLowerCase().includes('fire') || index === 0) {
-                this.animations.shoot = { clip, action };
+                slot.animations.shoot = { clip, action };
             } else if (clip.name.toLowerCase().includes('reload') || index === 2) {
-                this.animations.reload = { clip, action };
+                slot.animations.reload = { clip, action };
             }
         });
         
         // Start with idle animation if available
-        if (this.animations.idle) {
-            this.animations.idle.action.play();
+        if (slot.animations.idle) {
+            slot.animations.idle.action.play();
         }
     }
     
@@ -287,26 +374,69 @@ export class Weapon {
         
         // Create shoot sound
         this.shootSound = new THREE.Audio(this.audioListener);
+        this.shootSound.setLoop(false);
         
-        // Load shooting sound
+        // Load each weapon's shooting sound
         const audioLoader = new THREE.AudioLoader();
+        this.inventory.forEach((slot) => {
+            audioLoader.load(
+                slot.definition.sounds.shoot,
+                (buffer) => {
+                    slot.shootBuffer = buffer;
+                    if (slot === this.inventory[this.currentSlot]) {
+                        this.applyShootSound(slot);
+                    }
+                },
+                undefined,
+                (error) => {
+                    console.warn(`Could not load ${slot.definition.name} shoot sound:`, error);
+                }
+            );
+        });
+        
+        this.headshotSound = new THREE.Audio(this.audioListener);
+        this.headshotSound.setLoop(false);
         audioLoader.load(
-            'sounds/oiia-oiia-short.mp3',
+            HEADSHOT_SOUND.url,
             (buffer) => {
-                this.shootSound.setBuffer(buffer);
-                this.shootSound.setLoop(false);
-                this.shootSound.setVolume(0.5);
+                this.headshotSound.setBuffer(buffer);
+                this.headshotSound.setVolume(HEADSHOT_SOUND.volume);
+                this.headshotSound.setPlaybackRate(HEADSHOT_SOUND.pitch);
             },
             undefined,
             (error) => {
-                console.warn('Could not load shoot sound:', error);
+                console.warn('Could not load headshot sound:', error);
             }
         );
     }
     
+    playHeadshotSound() {
+        if (!this.headshotSound || !this.headshotSound.buffer) return;
+        
+        if (this.headshotSound.isPlaying) {
+            this.headshotSound.stop();
+        }
+        this.headshotSound.play();
+    }
+    
+    applyShootSound(slot) {
+        if (!this.shootSound || !slot.shootBuffer) return;
+        
+        if (this.shootSound.isPlaying) {
+            this.shootSound.stop();
+        }
+        this.shootSound.setBuffer(slot.shootBuffer);
+        this.shootSound.setVolume(slot.definition.sounds.volume);
+        this.shootSound.setPlaybackRate(slot.definition.sounds.pitch || 1);
+    }
+    
     attachWeapon() {
         if (!this.model) return;
         
+        const definition = this.getCurrentDefinition();
+        const modelScale = definition ? definition.modelScale : 0.3;
+        const muzzleOffset = definition ? definition.muzzleOffset : { x: 0.4, y: 0.2, z: -1.3 };
+        
         // Ensure all materials are visible and mark as weapon
         this.model.traverse((child) => {
             if (child.isMesh) {
@@ -323,18 +453,18 @@ export class Weapon {
         });
         
         // Position and scale the weapon
-        this.model.scale.set(0.3, 0.3, 0.3);
+        this.model.scale.setScalar(modelScale);
         
         // Add muzzle flash to weapon
         if (this.muzzleFlash) {
-            this.muzzleFlash.position.set(0.4, 0.2, -1.3);
-            this.muzzleFlash.rotateY(Math.PI);
+            this.muzzleFlash.position.set(muzzleOffset.x, muzzleOffset.y, muzzleOffset.z);
+            this.muzzleFlash.rotation.set(0, Math.PI, 0);
             this.model.add(this.muzzleFlash);
         }
         
         // Add muzzle particles
         if (this.muzzleParticles) {
-            this.muzzleParticles.position.set(0.4, 0.2, -1.3);
+            this.muzzleParticles.position.set(muzzleOffset.x, muzzleOffset.y, muzzleOffset.z);
             this.model.add(this.muzzleParticles);
         }
         
@@ -366,6 +496,8 @@ export class Weapon {
             console.log('Weapon attached to camera (fallback)');
         }
         
+        this.modelBasePosition.copy(this.model.position);
+        
         // Ensure model is visible
         this.model.visible = true;
         
@@ -390,6 +522,200 @@ export class Weapon {
         }
     }
     
+    // Give bullets the other players to collide with
+    setRemotePlayers(remotePlayers) {
+        this.remotePlayers = remotePlayers;
+    }
+    
+    // Leave the number keys alone while something else uses them (the end-of-round map vote)
+    setNumberKeysTaken(taken) {
+        this.numberKeysTaken = taken;
+    }
+    
+    // Stop bullets at the obstacles of whatever map is loaded, like the server does
+    setMapLoader(mapLoader) {
+        this.mapLoader = mapLoader;
+    }
+    
+    getCurrentDefinition() {
+        const slot = this.inventory[this.currentSlot];
+        return slot ? slot.definition : null;
+    }
+    
+    // Make an inventory slot the active weapon right away - switchWeapon() animates it
+    equip(slotIndex) {
+        const slot = this.inventory[slotIndex];
+        if (!slot) return;
+        
+        // Leave the current weapon's ammo in its slot
+        const currentSlot = this.inventory[this.currentSlot];
+        if (currentSlot) {
+            currentSlot.magAmmo = this.magAmmo;
+            currentSlot.totalAmmo = this.totalAmmo;
+        }
+        
+        if (this.model && this.model.parent) {
+            this.model.parent.remove(this.model);
+        }
+        
+        const definition = slot.definition;
+        this.currentSlot = slotIndex;
+        this.model = slot.model;
+        this.mixer = slot.mixer;
+        this.animations = slot.animations;
+        this.weaponId = slot.id;
+        this.fireRate = definition.fireRate;
+        this.isAutomatic = window.WeaponTable.isAutomatic(definition);
+        this.damage = definition.damage;
+        this.range = definition.range;
+        this.spreadModel = definition.spread;
+        this.recoilModel = definition.recoil;
+        this.adsModel = definition.ads || null;
+        this.bloom = 0;
+        this.recoilIndex = 0;
+        this.maxAmmo = definition.magazineSize;
+        this.magAmmo = slot.magAmmo;
+        this.totalAmmo = slot.totalAmmo;
+        
+        this.applyShootSound(slot);
+        this.attachWeapon();
+        
+        console.log(`🔫 Equipped ${definition.name} (slot ${slotIndex + 1})`);
+        
+        if (this.onWeaponChange) {
+            this.onWeaponChange(definition, slotIndex);
+        }
+        if (this.onAmmoChange) {
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
+        }
+    }
+    
+    // Holster the current weapon, then draw the one in the given slot
+    switchWeapon(slotIndex) {
+        if (!this.isLoaded || !this.inventory[slotIndex]) return;
+        
+        // Already holding it, or already on the way to it
+        if (slotIndex === this.getSwitchTarget()) return;
+        
+        this.cancelReload();
+        
+        const state = this.switchState;
+        const definition = this.getCurrentDefinition();
+        if (slotIndex === this.currentSlot) {
+            // Changed our mind while holstering - raise the same weapon again from where it is
+            this.switchState = {
+                phase: 'draw',
+                timer: (1 - this.holsterAmount) * definition.drawTime,
+                duration: definition.drawTime,
+                nextSlot: null
+            };
+        } else if (state && state.phase === 'holster') {
+            state.nextSlot = slotIndex;
+        } else {
+            // Start lowering from wherever a draw in progress got to
+            this.switchState = {
+                phase: 'holster',
+                timer: this.holsterAmount * definition.holsterTime,
+                duration: definition.holsterTime,
+                nextSlot: slotIndex
+            };
+        }
+    }
+    
+    // The slot that will be in hand once any switch in progress is done
+    getSwitchTarget() {
+        return this.switchState && this.switchState.phase === 'holster' ? this.switchState.nextSlot : this.currentSlot;
+    }
+    
+    // Scroll through the inventory, wrapping around
+    cycleWeapon(step) {
+        if (this.inventory.length < 2) return;
+        
+        const slotIndex = (this.getSwitchTarget() + step + this.inventory.length) % this.inventory.length;
+        this.switchWeapon(slotIndex);
+    }
+    
+    updateWeaponSwitch(deltaTime) {
+        const state = this.switchState;
+        if (!state) return;
+        
+        state.timer += deltaTime;
+        const progress = Math.min(1, state.timer / Math.max(state.duration, 0.001));
+        
+        if (state.phase === 'holster') {
+            this.holsterAmount = progress;
+            if (progress >= 1) {
+                this.equip(state.nextSlot);
+                const drawTime = this.getCurrentDefinition().drawTime;
+                this.switchState = { phase: 'draw', timer: 0, duration: drawTime, nextSlot: null };
+            }
+        } else {
+            this.holsterAmount = 1 - progress;
+            if (progress >= 1) {
+                this.switchState = null;
+            }
+        }
+        
+    }
+    
+    // Ease in or out of the sights: zoom the camera, slow the mouse and the player down
+    updateAim(deltaTime) {
+        const ads = this.adsModel;
+        this.isAiming = this.wantsToAim && !!ads && this.isReady() && !(this.player && this.player.isDead);
+        
+        const step = ads ? deltaTime / Math.max(ads.time, 0.001) : 1;
+        this.adsAmount = this.isAiming ? Math.min(1, this.adsAmount + step) : Math.max(0, this.adsAmount - step);
+        
+        const eased = smoothstep(this.adsAmount);
+        const fov = ads ? THREE.MathUtils.lerp(this.baseFov, ads.fov, eased) : this.baseFov;
+        if (this.camera.fov !== fov) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+        
+        if (this.player) {
+            this.player.sensitivityMultiplier = ads ? THREE.MathUtils.lerp(1, ads.sensitivityMultiplier, eased) : 1;
+            this.player.speedMultiplier = ads ? THREE.MathUtils.lerp(1, ads.moveSpeedMultiplier, eased) : 1;
+        }
+    }
+    
+    // Place the model between the hip and the sights, dropped out of view while holstering
+    updateWeaponPose() {
+        if (!this.model) return;
+        
+        this.model.position.copy(this.modelBasePosition);
+        
+        const ads = this.adsModel;
+        if (ads && this.adsAmount > 0) {
+            // The sight position is given for looking straight ahead; the body only turns with yaw,
+            // so swing it around the eyes with the view pitch to keep it in front of the camera
+            const eyeHeight = this.player ? this.player.height / 2 : 0;
+            const sightPosition = new THREE.Vector3(ads.position.x, ads.position.y - eyeHeight, ads.position.z);
+            if (this.player) {
+                sightPosition.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.player.rotationX || 0);
+            }
+            sightPosition.y += eyeHeight;
+            this.model.position.lerp(sightPosition, smoothstep(this.adsAmount));
+        }
+        
+        this.model.position.y -= smoothstep(this.holsterAmount) * HOLSTER_DROP;
+    }
+    
+    setAdsMode(mode) {
+        if (!ADS_MODES.includes(mode)) {
+            console.warn(`Unknown aim mode "${mode}", expected one of: ${ADS_MODES.join(', ')}`);
+            return;
+        }
+        this.adsMode = mode;
+        this.wantsToAim = false;
+        console.log(`🎯 Aim down sights: ${mode}`);
+    }
+    
+    // Not switching weapons or reloading
+    isReady() {
+        return !this.switchState && !this.isReloading;
+    }
+    
     setupInput() {
         console.log('🎮 Setting up weapon input handlers...');
         
@@ -399,6 +725,8 @@ export class Weapon {
             if (event.button === 0) { // Left mouse button
                 console.log('🔫 Left click detected, starting shooting...');
                 this.startShooting();
+            } else if (event.button === 2 && document.pointerLockElement) { // Right mouse button aims
+                this.wantsToAim = this.adsMode === 'toggle' ? !this.wantsToAim : true;
             }
         });
         
@@ -407,6 +735,15 @@ export class Weapon {
             if (event.button === 0) {
                 console.log('🔫 Left click released, stopping shooting...');
                 this.stopShooting();
+            } else if (event.button === 2 && this.adsMode === 'hold') {
+                this.wantsToAim = false;
+            }
+        });
+        
+        // Right click is for aiming, not the browser menu
+        document.addEventListener('contextmenu', (event) => {
+            if (document.pointerLockElement) {
+                event.preventDefault();
             }
         });
         
@@ -422,6 +759,18 @@ export class Weapon {
                 console.log('🧪 Manual test shot triggered');
                 this.shoot();
             }
+            
+            // Number keys pick an inventory slot, unless they are voting
+            const digit = event.code.match(/^Digit([1-9])$/);
+            if (digit && !this.numberKeysTaken) {
+                this.switchWeapon(Number(digit[1]) - 1);
+            }
+        });
+        
+        // Mouse wheel cycles through the inventory while playing
+        document.addEventListener('wheel', (event) => {
+            if (!document.pointerLockElement || event.deltaY === 0) return;
+            this.cycleWeapon(event.deltaY > 0 ? 1 : -1);
         });
         
         console.log('🎮 Input handlers set up successfully');
@@ -433,8 +782,8 @@ export class Weapon {
             console.log('❌ Weapon not loaded, cannot shoot');
             return;
         }
+        // The first shot goes out immediately unless the last one was too recent for the fire rate
         this.isShooting = true;
-        this.shootTimer = 0; // Allow immediate first shot
         console.log('✅ Shooting started, isShooting:', this.isShooting);
     }
     
@@ -455,6 +804,16 @@ export class Weapon {
             return false;
         }
         
+        // Dead players can't shoot
+        if (this.player && this.player.isDead) {
+            return false;
+        }
+        
+        // Nothing to shoot with while switching weapons or reloading
+        if (!this.isReady()) {
+            return false;
+        }
+        
         if (this.magAmmo <= 0) {
             console.log('🔫 No ammo, reloading...');
             this.reload();
@@ -479,20 +838,26 @@ export class Weapon {
         console.log('🔫 Bullet details:', {
             muzzlePos: muzzlePos,
             shootDirection: shootDirection,
-            bulletSpeed: this.bulletSpeed,
+            bulletSpeed: this.getCurrentDefinition().ballistics.speed,
             targetColliders: this.targetColliders.size
         });
         
-        // No spread - bullets must follow crosshair exactly for precise hitbox collision
+        // Scatter within the current spread cone, then kick the view for the next shot
         shootDirection.normalize();
+        this.applySpread(shootDirection, this.getCurrentSpread());
+        this.applyRecoil();
         
+        const shotId = ++this.shotSequence;
         const bullet = this.createBulletTrail(muzzlePos, shootDirection);
+        bullet.shotId = shotId;
         console.log('🔫 Bullet created:', bullet);
         console.log('🔫 Active bullets count:', this.activeBullets.length);
         
         // Send shooting event to server for multiplayer
         if (this.networkManager && this.networkManager.isConnected) {
             this.networkManager.sendPlayerShoot({
+                shotId: shotId,
+                weaponId: this.weaponId,
                 position: {
                     x: muzzlePos.x,
                     y: muzzlePos.y,
@@ -518,52 +883,103 @@ export class Weapon {
         
         // Update HUD
         if (this.onAmmoChange) {
-            this.onAmmoChange(this.magAmmo, this.totalAmmo);
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
         }
         
         return true;
     }
     
-    performRaycast() {
-        // Set ray from camera center
-        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-        
-        // Get all objects in scene (excluding weapon)
-        const targets = [];
-        this.scene.traverse((child) => {
-            if (child.isMesh && !this.isWeaponMesh(child)) {
-                targets.push(child);
+    // Spread for the next shot in radians: the weapon's base spread, widened by moving, running or being
+    // in the air, plus the bloom built up by firing, then narrowed by crouching and aiming down sights
+    getCurrentSpread() {
+        const spread = this.spreadModel;
+        if (!spread) return 0;
+        
+        let movementSpread = 0;
+        if (this.player) {
+            const horizontalSpeed = Math.sqrt(this.player.velocity.x * this.player.velocity.x + this.player.velocity.z * this.player.velocity.z);
+            if (!this.player.canJump) {
+                movementSpread = spread.air;
+            } else if (this.player.isRunning && horizontalSpeed > 1) {
+                movementSpread = spread.running;
+            } else if (horizontalSpeed > 1) {
+                movementSpread = spread.moving;
             }
-        });
-        
-        const intersects = this.raycaster.intersectObjects(targets, true);
+        }
         
-        if (intersects.length > 0) {
-            const hit = intersects[0];
-            
-            // Create hit effect
-            this.createHitEffect(hit.point, hit.face.normal);
+        let total = spread.base + movementSpread + this.bloom;
+        if (this.player && this.player.isCrouching && this.player.canJump) {
+            total *= spread.crouchMultiplier;
+        }
+        if (this.adsModel) {
+            total *= THREE.MathUtils.lerp(1, this.adsModel.spreadMultiplier, this.adsAmount);
+        }
+        return total;
+    }
+    
+    // Turn a unit direction by a random angle of up to `spread` radians, evenly over the cone
+    applySpread(direction, spread) {
+        if (spread <= 0) return direction;
+        
+        const angle = Math.random() * Math.PI * 2;
+        const offset = Math.tan(Math.sqrt(Math.random()) * spread);
+        const right = new THREE.Vector3().crossVectors(direction, this.camera.up).normalize();
+        const up = new THREE.Vector3().crossVectors(right, direction).normalize();
+        
+        direction.addScaledVector(right, Math.cos(angle) * offset);
+        direction.addScaledVector(up, Math.sin(angle) * offset);
+        return direction.normalize();
+    }
+    
+    // Kick the view by the next step of the weapon's recoil pattern and bloom the spread
+    applyRecoil() {
+        const recoil = this.recoilModel;
+        if (recoil && recoil.pattern.length > 0) {
+            // Past the end of the pattern, keep repeating its last step
+            const [pitchKick, yawKick] = recoil.pattern[Math.min(this.recoilIndex, recoil.pattern.length - 1)];
+            const pitch = THREE.MathUtils.degToRad(pitchKick);
+            const yaw = THREE.MathUtils.degToRad(yawKick + (Math.random() - 0.5) * 2 * recoil.jitter);
+            this.recoilIndex++;
             
-            // Check if we hit a target (cat)
-            let targetMesh = hit.object;
-            while (targetMesh.parent && !targetMesh.userData.isTarget) {
-                targetMesh = targetMesh.parent;
+            this.recoilOffset.pitch += pitch;
+            this.recoilOffset.yaw += yaw;
+            if (this.player && this.player.rotateView) {
+                this.player.rotateView(pitch, yaw);
+            }
+        }
+        
+        if (this.spreadModel) {
+            this.bloom = Math.min(this.bloom + this.spreadModel.perShot, this.spreadModel.max);
+        }
+        this.timeSinceShot = 0;
+    }
+    
+    // Ease the view back from the recoil kick, let bloom settle, and restart the pattern after a pause
+    updateRecoil(deltaTime) {
+        this.timeSinceShot += deltaTime;
+        
+        const recoil = this.recoilModel;
+        if (recoil) {
+            if (this.timeSinceShot > recoil.resetTime) {
+                this.recoilIndex = 0;
             }
             
-            if (targetMesh.userData.isTarget) {
-                // Check if target is locally destroyed (avoid hitting "dead" targets)
-                if (targetMesh.userData.locallyDestroyed) {
-                    console.log('🎯 Hit locally destroyed target - ignoring');
-                    return hit;
+            const step = THREE.MathUtils.degToRad(recoil.recovery) * deltaTime;
+            const pitchBack = Math.sign(this.recoilOffset.pitch) * Math.min(Math.abs(this.recoilOffset.pitch), step);
+            const yawBack = Math.sign(this.recoilOffset.yaw) * Math.min(Math.abs(this.recoilOffset.yaw), step);
+            if (pitchBack !== 0 || yawBack !== 0) {
+                this.recoilOffset.pitch -= pitchBack;
+                this.recoilOffset.yaw -= yawBack;
+                if (this.player && this.player.rotateView) {
+                    this.player.rotateView(-pitchBack, -yawBack);
                 }
-                
-                this.onTargetHit(targetMesh, hit);
             }
-            
-            return hit;
         }
         
-        return null;
+        if (this.spreadModel) {
+            this.bloom = Math.max(0, this.bloom - this.spreadModel.recovery * deltaTime);
+        }
+        this.currentSpread = this.getCurrentSpread();
     }
     
     isWeaponMesh(mesh) {
@@ -605,7 +1021,9 @@ export class Weapon {
                     y: hitInfo.point.y,
                     z: hitInfo.point.z
                 },
-                damage: this.damage || 25, // Use weapon damage or default
+                shotId: hitInfo.shotId, // Server validates the hit against this shot and applies its own damage
+                zone: hitInfo.zone, // Checked against the shot's path before the zone's damage and points apply
+                zonePoint: hitInfo.zonePoint,
                 playerId: this.networkManager.playerId
             };
             
@@ -622,11 +1040,20 @@ export class Weapon {
         // Apply local hit effect immediately (don't wait for server response)
         // This ensures responsive gameplay for the shooting player
         if (target.userData.onHit) {
-            // Pass the actual damage to the hit handler
-            const hitInfoWithDamage = { ...hitInfo, damage: this.damage || 25 };
+            // Predict the damage the server will apply, falloff included - the target adds its hit zone multiplier
+            const definition = this.definitions && this.definitions.weapons[hitInfo.weaponId];
+            const damage = definition ? window.WeaponTable.getDamage(definition, hitInfo.travelDistance, hitInfo.penetrated) : this.damage;
+            const hitInfoWithDamage = { ...hitInfo, damage: damage || 25 };
             // Don't send to network since we already sent it above
             target.userData.onHit(hitInfoWithDamage, false);
         }
+        
+        if (hitInfo.zone === 'head') {
+            this.playHeadshotSound();
+        }
+        if (this.onHitMarker) {
+            this.onHitMarker(hitInfo.zone);
+        }
     }
     
     showMuzzleFlash() {
@@ -656,13 +1083,11 @@ export class Weapon {
     }
     
     reload() {
-        if (this.magAmmo >= this.maxAmmo || this.totalAmmo <= 0) return;
-        
-        const bulletsNeeded = this.maxAmmo - this.magAmmo;
-        const bulletsToReload = Math.min(bulletsNeeded, this.totalAmmo);
+        if (!this.isReady() || this.magAmmo >= this.maxAmmo || this.totalAmmo <= 0) return;
         
-        this.magAmmo += bulletsToReload;
-        this.totalAmmo -= bulletsToReload;
+        // The magazine is refilled once the weapon's reload time has passed, see finishReload()
+        this.isReloading = true;
+        this.reloadTimer = this.getCurrentDefinition().reloadTime;
         
         // Play reload animation
         if (this.animations.reload) {
@@ -672,12 +1097,44 @@ export class Weapon {
         
         // Update HUD
         if (this.onAmmoChange) {
-            this.onAmmoChange(this.magAmmo, this.totalAmmo);
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
+        }
+        
+        console.log(`🔄 Reloading ${this.getCurrentDefinition().name} (${this.reloadTimer}s)`);
+    }
+    
+    finishReload() {
+        const bulletsNeeded = this.maxAmmo - this.magAmmo;
+        const bulletsToReload = Math.min(bulletsNeeded, this.totalAmmo);
+        
+        this.magAmmo += bulletsToReload;
+        this.totalAmmo -= bulletsToReload;
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        
+        // Update HUD
+        if (this.onAmmoChange) {
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
         }
         
         console.log(`Reloaded! Mag: ${this.magAmmo}, Total: ${this.totalAmmo}`);
     }
     
+    // Switching weapons interrupts a reload without refilling anything
+    cancelReload() {
+        if (!this.isReloading) return;
+        
+        this.isReloading = false;
+        this.reloadTimer = 0;
+        if (this.animations.reload) {
+            this.animations.reload.action.stop();
+        }
+        
+        if (this.onAmmoChange) {
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
+        }
+    }
+    
     createBulletTrail(startPos, direction) {
         let bullet;
         
@@ -738,11 +1195,15 @@ export class Weapon {
             this.addDebugHelper(bullet);
         }
         
-        // Create bullet object with properties - bullets now act as hitboxes
+        // The mesh just shows where the projectile is - the projectile is what the server will replay
+        const definition = this.getCurrentDefinition();
         const bulletObj = {
             mesh: bullet,
-            velocity: direction.clone().multiplyScalar(this.bulletSpeed),
-            life: this.bulletLifetime,
+            weaponId: this.weaponId,
+            definition: definition,
+            projectile: window.Ballistics.create(startPos, direction, definition),
+            stepTime: 0, // Frame time not yet simulated, in seconds
+            hitKeys: new Set(), // Targets/players already hit, so penetrating bullets don't hit them again
             startTime: performance.now()
         };
         
@@ -821,35 +1282,49 @@ export class Weapon {
             }
         }
         
+        const Ballistics = window.Ballistics;
+        const layout = this.mapLoader ? this.mapLoader.layout : null;
+        const world = layout ? layout.world : null;
+        
+        if (this.activeBullets.length > 0) {
+            this.updateDynamicBroadphase();
+        }
+        
         for (let i = this.activeBullets.length - 1; i >= 0; i--) {
             const bullet = this.activeBullets[i];
+            const projectile = bullet.projectile;
             
-            // Store previous position for collision detection
-            const prevPosition = bullet.mesh.position.clone();
-            
-            // Update position
-            bullet.mesh.position.add(bullet.velocity.clone().multiplyScalar(deltaTime));
+            // Simulate in the same fixed steps the server uses, so both see the same flight
+            bullet.stepTime += deltaTime;
+            while (bullet.stepTime >= Ballistics.STEP && projectile.alive) {
+                bullet.stepTime -= Ballistics.STEP;
+                const segment = Ballistics.step(projectile, bullet.definition, world);
+                this.checkBulletHits(bullet, segment);
+            }
             
             // Less frequent position logging
             if (this.bulletUpdateCounter % 120 === 0) {
-                console.log(`🔄 Bullet ${i} position:`, bullet.mesh.position);
+                console.log(`🔄 Bullet ${i} position:`, projectile.position);
             }
             
-            // Perform collision detection for this bullet
-            const hit = this.checkBulletColliderCollision(bullet, prevPosition);
-            if (hit) {
-                console.log('🎯 Bullet hit detected and handled!');
-                continue; // Bullet was removed due to hit
+            // Remove spent bullets
+            if (!projectile.alive) {
+                this.removeBullet(bullet);
+                continue;
+            }
+            
+            // Move the mesh to the projectile, pointing along its (dropping) flight path
+            bullet.mesh.position.set(projectile.position.x, projectile.position.y, projectile.position.z);
+            if (!this.ammoModel) {
+                const direction = new THREE.Vector3(projectile.velocity.x, projectile.velocity.y, projectile.velocity.z).normalize();
+                bullet.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
             }
             
             // Add bullet rotation for visual effect - spin around Y-axis
             bullet.mesh.rotation.y += deltaTime * 15; // Consistent Y-axis spinning for all bullet types
             
-            // Update lifetime
-            bullet.life -= deltaTime;
-            
-            // Fade out bullet over time
-            const lifeFactor = bullet.life / this.bulletLifetime;
+            // Fade out bullet as it nears the end of its range
+            const lifeFactor = Math.max(0, 1 - projectile.distance / bullet.definition.range);
             
             // Handle material opacity for both simple mesh and complex models
             if (this.ammoModel) {
@@ -861,141 +1336,124 @@ export class Weapon {
             } else {
                 bullet.mesh.material.opacity = lifeFactor * 0.8;
             }
-            
-            // Remove expired bullets
-            if (bullet.life <= 0) {
-                this.removeDebugHelper(bullet.mesh);
-                this.scene.remove(bullet.mesh);
-                this.activeBullets.splice(i, 1);
-            }
         }
     }
     
-    checkBulletColliderCollision(bullet, prevPosition) {
-        // SIMPLIFIED INDUSTRY-STANDARD APPROACH
-        // Use distance-based collision detection for reliability
-        
-        // Less frequent collision debug logging
-        if (!this.collisionCheckCounter) this.collisionCheckCounter = 0;
-        this.collisionCheckCounter++;
-        if (this.collisionCheckCounter % 180 === 0) { // Only log every 3 seconds at 60fps
-            console.log('🔍 Checking bullet collision (distance-based method)');
+    removeBullet(bullet) {
+        this.removeDebugHelper(bullet.mesh);
+        this.scene.remove(bullet.mesh);
+        const bulletIndex = this.activeBullets.indexOf(bullet);
+        if (bulletIndex > -1) {
+            this.activeBullets.splice(bulletIndex, 1);
         }
-        
-        // Check collision with each target using distance method
-        let hit = false;
-        const currentPos = bullet.mesh.position;
+    }
+    
+    // Bin everything bullets can hit this frame by where it is, so each bullet step only tests what's near it
+    updateDynamicBroadphase() {
+        const SpatialGrid = window.SpatialGrid;
+        SpatialGrid.clear(this.dynamicGrid);
         
         this.targetColliders.forEach((collider, target) => {
-            if (hit) return; // Already hit something
-            
-            // Primary collision: Distance-based detection
-            const distance = currentPos.distanceTo(collider.position);
-            const hitRadius = 3; // Target hit radius
+            if (!target.userData.isTarget || target.userData.locallyDestroyed) return;
             
-            if (distance <= hitRadius) {
-                console.log('🎯 DISTANCE HIT!', {
-                    target: target.userData.targetId,
-                    bulletPos: currentPos,
-                    targetPos: target.position,
-                    colliderPos: collider.position,
-                    distance: distance,
-                    hitRadius: hitRadius
-                });
+            const center = collider.position;
+            SpatialGrid.insert(this.dynamicGrid, { target, collider }, SpatialGrid.segmentBounds(center, center, TARGET_HIT_RADIUS));
+        });
+        
+        if (this.remotePlayers) {
+            for (const remotePlayer of this.remotePlayers.values()) {
+                if (!remotePlayer.mesh || !remotePlayer.isAlive) continue;
                 
-                // Create hit data
-                const hitData = {
-                    point: currentPos.clone(),
-                    face: { normal: new THREE.Vector3(0, 1, 0) },
-                    object: collider,
-                    distance: distance
-                };
+                const capsule = remotePlayer.getHitCapsule();
+                SpatialGrid.insert(this.dynamicGrid, { remotePlayer, capsule }, SpatialGrid.segmentBounds(capsule.start, capsule.end, capsule.radius));
+            }
+        }
+    }
+    
+    // Everything the bullet's path crossed during one simulation step, nearest first. Each hit is reported;
+    // the bullet carries on through it if it can still penetrate, otherwise it stops there.
+    checkBulletHits(bullet, segment) {
+        const Ballistics = window.Ballistics;
+        const hits = [];
+        
+        window.SpatialGrid.query(this.dynamicGrid, window.SpatialGrid.segmentBounds(segment.from, segment.to), ({ target, collider, remotePlayer, capsule }) => {
+            if (target) {
+                const key = `target:${target.userData.targetId}`;
+                if (target.userData.locallyDestroyed || bullet.hitKeys.has(key)) return; // Destroyed earlier this frame
                 
-                // Trigger target hit
-                if (target.userData.isTarget && !target.userData.locallyDestroyed) {
-                    this.onTargetHit(target, hitData);
+                const fraction = Ballistics.sweepSphere(segment, collider.position, TARGET_HIT_RADIUS);
+                if (fraction !== null) {
+                    hits.push({ key, fraction, target, collider });
                 }
+            } else {
+                const key = `player:${remotePlayer.id}`;
+                if (!remotePlayer.isAlive || bullet.hitKeys.has(key)) return;
                 
-                // Remove bullet
-                this.removeDebugHelper(bullet.mesh);
-                this.scene.remove(bullet.mesh);
-                const bulletIndex = this.activeBullets.indexOf(bullet);
-                if (bulletIndex > -1) {
-                    this.activeBullets.splice(bulletIndex, 1);
+                const fraction = Ballistics.sweepCapsule(segment, capsule.start, capsule.end, capsule.radius);
+                if (fraction !== null) {
+                    hits.push({ key, fraction, remotePlayer });
                 }
-                
-                hit = true;
-                return;
             }
+        });
+        
+        hits.sort((a, b) => a.fraction - b.fraction);
+        
+        for (const hit of hits) {
+            const point = Ballistics.pointOnSegment(segment, hit.fraction);
+            const hitData = {
+                point: new THREE.Vector3(point.x, point.y, point.z),
+                face: { normal: new THREE.Vector3(0, 1, 0) },
+                shotId: bullet.shotId,
+                weaponId: bullet.weaponId,
+                travelDistance: segment.startDistance + segment.length * hit.fraction,
+                penetrated: bullet.hitKeys.size // Things already passed through, each costing damage
+            };
+            bullet.hitKeys.add(hit.key);
             
-            if (distance < hitRadius) {
-                console.log('🎯 DISTANCE HIT!', {
-                    target: target.userData.targetId,
-                    distance: distance,
-                    hitRadius: hitRadius,
-                    bulletPos: currentPos,
-                    targetPos: target.position
-                });
-                
-                // Create hit data
-                const hitData = {
-                    point: currentPos.clone(),
-                    face: { normal: new THREE.Vector3(0, 1, 0) },
-                    object: collider,
-                    distance: distance
+            if (hit.target) {
+                // Follow the bullet on through the cat to see whether it's a head, body or tail hit
+                const target = hit.target;
+                const direction = {
+                    x: (segment.to.x - segment.from.x) / segment.length,
+                    y: (segment.to.y - segment.from.y) / segment.length,
+                    z: (segment.to.z - segment.from.z) / segment.length
                 };
+                const zones = window.HitZones.getWorldZones(target.position, target.rotation.y, target.scale.x, target.userData.hitZones);
+                const { zone, point: zonePoint } = window.HitZones.classify(point, direction, zones, TARGET_HIT_RADIUS * 2);
                 
-                // Trigger target hit
-                if (target.userData.isTarget && !target.userData.locallyDestroyed) {
-                    this.onTargetHit(target, hitData);
-                }
-                
-                // Remove bullet
-                this.removeDebugHelper(bullet.mesh);
-                this.scene.remove(bullet.mesh);
-                const bulletIndex = this.activeBullets.indexOf(bullet);
-                if (bulletIndex > -1) {
-                    this.activeBullets.splice(bulletIndex, 1);
-                }
-                
-                hit = true;
-                return;
+                console.log('🎯 BULLET HIT target', target.userData.targetId, 'in the', zone, 'after', hitData.travelDistance.toFixed(1), 'units');
+                this.onTargetHit(target, { ...hitData, zone, zonePoint, object: hit.collider });
+            } else {
+                console.log('🎯 PLAYER HIT!', hit.remotePlayer.id);
+                this.onPlayerHit(hit.remotePlayer, hitData);
             }
-        });
+            
+            if (!Ballistics.penetrate(bullet.projectile, bullet.definition)) {
+                return true;
+            }
+        }
         
-        return hit;
+        return false;
     }
     
-    createBulletCollider(bullet) {
-        // Create a rectangular collider for the bullet
-        const colliderGeometry = new THREE.BoxGeometry(5, 5, 5); // Small rectangular hitbox
-        const colliderMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            transparent: true,
-            opacity: 0.3,
-            visible: this.debugMode // Only visible in debug mode
-        });
-        
-        const collider = new THREE.Mesh(colliderGeometry, colliderMaterial);
-        collider.userData.isBulletCollider = true;
-        collider.userData.parentBullet = bullet;
-        
-        // Position collider to match bullet
-        collider.position.copy(bullet.position);
-        collider.rotation.copy(bullet.rotation);
-        
-        // Add collider to scene and track it
-        this.scene.add(collider);
-        this.bulletColliders.set(bullet, collider);
+    onPlayerHit(remotePlayer, hitInfo) {
+        // The server decides the damage - we just report which shot hit whom
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendPlayerHit({
+                targetPlayerId: remotePlayer.id,
+                shotId: hitInfo.shotId,
+                hitPoint: {
+                    x: hitInfo.point.x,
+                    y: hitInfo.point.y,
+                    z: hitInfo.point.z
+                }
+            });
+        }
         
-        return collider;
-    }
-    
-    removeBulletCollider(bullet) {
-        const collider = this.bulletColliders.get(bullet);
-        if (collider) {
-            this.scene.remove(collider);
-            this.bulletColliders.delete(bullet);
+        // Immediate feedback for the shooter
+        remotePlayer.showHitEffect();
+        if (this.onHitMarker) {
+            this.onHitMarker(null);
         }
     }
     
@@ -1226,6 +1684,21 @@ export class Weapon {
             this.mixer.update(deltaTime);
         }
         
+        // Draw/holster animation while switching weapons, and moving in or out of the sights
+        this.updateWeaponSwitch(deltaTime);
+        this.updateAim(deltaTime);
+        this.updateWeaponPose();
+        
+        // Recoil recovery and spread
+        this.updateRecoil(deltaTime);
+        
+        if (this.isReloading) {
+            this.reloadTimer -= deltaTime;
+            if (this.reloadTimer <= 0) {
+                this.finishReload();
+            }
+        }
+        
         // Update bullet trails
         this.updateBullets(deltaTime);
         
@@ -1233,11 +1706,16 @@ export class Weapon {
         this.updateTargetColliders();
         
         // Handle shooting
-        if (this.isShooting && this.shootTimer <= 0) {
+        if (this.isShooting && this.shootTimer <= 0 && this.isReady()) {
             console.log('🔫 Attempting to shoot...');
             if (this.shoot()) {
                 this.shootTimer = this.fireRate;
                 console.log('✅ Shot fired, next shot in:', this.fireRate);
+                
+                // Semi-automatic weapons need another click for the next shot
+                if (!this.isAutomatic) {
+                    this.isShooting = false;
+                }
             } else {
                 console.log('❌ Shot failed');
             }
@@ -1257,9 +1735,10 @@ export class Weapon {
     }
     
     addAmmo(amount) {
-        this.totalAmmo = Math.min(this.totalAmmo + amount, 300); // Max 300 total ammo
+        const definition = this.getCurrentDefinition();
+        this.totalAmmo = Math.min(this.totalAmmo + amount, definition ? definition.reserveAmmo : 300); // Capped at the weapon's reserve
         if (this.onAmmoChange) {
-            this.onAmmoChange(this.magAmmo, this.totalAmmo);
+            this.onAmmoChange(this.magAmmo, this.totalAmmo, this.isReloading);
         }
     }
 
@@ -1281,6 +1760,7 @@ export class Weapon {
         let pitchInfluence = 0.4; // How much camera pitch affects weapon (0-1)
         let yawInfluence = 0.2;   // How much camera yaw affects weapon beyond body rotation (0-1)
         let rollInfluence = 0.1;  // Subtle roll effect based on yaw movement
+
         
         // Adjust influences based on player state
         if (this.player.isRunning) {
@@ -1293,6 +1773,12 @@ export class Weapon {
             rollInfluence *= 0.5;
         }
         
+        // In the sights the weapon is held steady along the line of sight
+        const aim = smoothstep(this.adsAmount);
+        pitchInfluence = THREE.MathUtils.lerp(pitchInfluence, 1, aim);
+        yawInfluence *= 1 - aim;
+        rollInfluence *= 1 - aim;
+        
         // Calculate yaw movement speed for dynamic roll effect using direct rotation values
         const yawDelta = yawRotation - (this.lastCameraRotation.y || 0);
         const rollFromYaw = yawDelta * rollInfluence * 50; // Scale for visible effect
@@ -1302,7 +1788,7 @@ export class Weapon {
         
         // Calculate the weapon's target rotation using stable values
         const targetRotation = new THREE.Euler(
-            this.weaponRotationOffset.x + (pitchRotation * pitchInfluence), // Pitch follows camera
+            this.weaponRotationOffset.x + (pitchRotation * pitchInfluence) - this.holsterAmount * HOLSTER_TILT, // Pitch follows camera, tipped down while holstering
             this.weaponRotationOffset.y + (yawRotation * yawInfluence),     // Slight yaw sway
             this.weaponRotationOffset.z + rollFromYaw, // Dynamic roll from movement
             'YXZ'
@@ -1334,10 +1820,6 @@ export class Weapon {
         }
         
         // Update collider visibility
-        this.bulletColliders.forEach((collider) => {
-            collider.material.visible = this.debugMode;
-        });
-        
         this.targetColliders.forEach((collider) => {
             collider.material.visible = this.debugMode;
         });